@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { normalizeCardName } = require('./services/card-names');
 
 console.log('[DB] Creating connection pool...');
 console.log(`[DB] DATABASE_URL: ${process.env.DATABASE_URL ? '***SET*** (length: ' + process.env.DATABASE_URL.length + ')' : 'NOT SET'}`);
@@ -48,6 +49,9 @@ async function initializeDatabase() {
         updated_at TIMESTAMP DEFAULT NOW()
       );
 
+      -- Needed to resolve inventory_levels/update webhooks back to a variant
+      ALTER TABLE variants ADD COLUMN IF NOT EXISTS inventory_item_id BIGINT;
+
       CREATE TABLE IF NOT EXISTS sync_log (
         id SERIAL PRIMARY KEY,
         started_at TIMESTAMP DEFAULT NOW(),
@@ -58,14 +62,297 @@ async function initializeDatabase() {
         error_message TEXT
       );
 
+      -- "full" or "incremental"; "webhook" rows only carry a webhook's changes (services/shopify-webhooks.js)
+      ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'full';
+      -- "startup", "cron" or "manual"; the topic for webhook rows
+      ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS triggered_by TEXT;
+
+      -- Canonical matching key from normalizeCardName() (services/card-names.js)
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS normalized_name TEXT;
+
+      -- Staff-maintained alternate names, e.g. Universes Beyond / Secret Lair names
+      CREATE TABLE IF NOT EXISTS card_aliases (
+        id SERIAL PRIMARY KEY,
+        alias TEXT NOT NULL,
+        normalized_alias TEXT UNIQUE NOT NULL,
+        card_name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Card identity from an offline Scryfall bulk import (services/scryfall-import.js)
+      CREATE TABLE IF NOT EXISTS oracle_cards (
+        oracle_id UUID PRIMARY KEY,
+        name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL,
+        face_names TEXT[] DEFAULT '{}',
+        faces JSONB DEFAULT '[]',
+        type_line TEXT,
+        color_identity TEXT[] DEFAULT '{}',
+        legalities JSONB DEFAULT '{}',
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS card_printings (
+        scryfall_id UUID PRIMARY KEY,
+        oracle_id UUID NOT NULL REFERENCES oracle_cards(oracle_id) ON DELETE CASCADE,
+        set_code TEXT,
+        set_name TEXT,
+        collector_number TEXT,
+        lang TEXT,
+        released_at DATE,
+        finishes TEXT[] DEFAULT '{}'
+      );
+
+      -- Set code -> our set_name, filled by the Scryfall import or by staff (services/set-codes.js)
+      CREATE TABLE IF NOT EXISTS set_codes (
+        set_code TEXT PRIMARY KEY,
+        set_name TEXT NOT NULL,
+        source TEXT DEFAULT 'scryfall'
+      );
+
+      -- Saved customer decks, addressed by a random shareable ID (services/saved-decks.js)
+      CREATE TABLE IF NOT EXISTS decks (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        format TEXT,
+        source TEXT,
+        source_url TEXT,
+        cards JSONB NOT NULL DEFAULT '[]',
+        selections JSONB NOT NULL DEFAULT '[]',
+        match_snapshot JSONB NOT NULL DEFAULT '[]',
+        matched_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Back-in-stock subscriptions (services/stock-alerts.js)
+      CREATE TABLE IF NOT EXISTS stock_alerts (
+        id SERIAL PRIMARY KEY,
+        token TEXT NOT NULL,
+        card_name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL,
+        set_code TEXT,
+        condition TEXT,
+        finish TEXT,
+        target_type TEXT NOT NULL,
+        target TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        in_stock BOOLEAN NOT NULL DEFAULT FALSE,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        notified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Price/stock history: a row whenever a variant's price or quantity changes,
+      -- rolled up to one row per variant per day after HISTORY_RAW_DAYS (services/price-history.js)
+      CREATE TABLE IF NOT EXISTS variant_history (
+        id BIGSERIAL PRIMARY KEY,
+        shopify_variant_id BIGINT NOT NULL,
+        shopify_product_id BIGINT NOT NULL,
+        normalized_name TEXT,
+        card_name TEXT,
+        set_name TEXT,
+        condition TEXT,
+        finish TEXT,
+        price DECIMAL(10, 2),
+        quantity INTEGER,
+        recorded_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS variant_history_daily (
+        shopify_variant_id BIGINT NOT NULL,
+        day DATE NOT NULL,
+        shopify_product_id BIGINT NOT NULL,
+        normalized_name TEXT,
+        card_name TEXT,
+        set_name TEXT,
+        condition TEXT,
+        finish TEXT,
+        price_min DECIMAL(10, 2),
+        price_max DECIMAL(10, 2),
+        price_close DECIMAL(10, 2),
+        quantity_close INTEGER,
+        changes INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (shopify_variant_id, day)
+      );
+
+      -- What each sync changed (services/sync-reports.js); counts per type in sync_log.change_summary
+      ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS change_summary JSONB;
+
+      CREATE TABLE IF NOT EXISTS sync_changes (
+        id BIGSERIAL PRIMARY KEY,
+        sync_id INTEGER NOT NULL REFERENCES sync_log(id) ON DELETE CASCADE,
+        change_type TEXT NOT NULL,
+        shopify_product_id BIGINT,
+        shopify_variant_id BIGINT,
+        normalized_name TEXT,
+        card_name TEXT,
+        set_name TEXT,
+        condition TEXT,
+        finish TEXT,
+        old_price DECIMAL(10, 2),
+        new_price DECIMAL(10, 2),
+        old_quantity INTEGER,
+        new_quantity INTEGER
+      );
+
+      -- Admin API keys (services/api-keys.js); only a SHA-256 of each key is stored
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT UNIQUE NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      );
+
+      -- Every admin action, through the API or the api-keys CLI
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+        actor TEXT NOT NULL,
+        action TEXT NOT NULL,
+        scope TEXT,
+        status_code INTEGER,
+        ip TEXT,
+        details JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Remote deck fetches (services/deck-cache.js); raw is the source's JSON, or its page/export text
+      CREATE TABLE IF NOT EXISTS deck_fetch_cache (
+        source TEXT NOT NULL,
+        deck_key TEXT NOT NULL,
+        raw JSONB NOT NULL,
+        etag TEXT,
+        last_modified TEXT,
+        fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (source, deck_key)
+      );
+
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS oracle_id UUID;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS scryfall_id UUID;
+      -- services/games.js; everything synced before other games were carried is Magic
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS game TEXT NOT NULL DEFAULT 'mtg';
+      ALTER TABLE decks ADD COLUMN IF NOT EXISTS game TEXT;
+
+      -- Yu-Gi-Oh! passcode -> card name, filled from YGOPRODeck as .ydk/YDKE lists need them
+      CREATE TABLE IF NOT EXISTS ygo_cards (
+        passcode BIGINT PRIMARY KEY,
+        card_name TEXT NOT NULL,
+        fetched_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Storefronts and their Shopify app credentials (services/stores.js)
+      CREATE TABLE IF NOT EXISTS stores (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        shop_domain TEXT UNIQUE NOT NULL,
+        storefront_url TEXT,
+        client_id TEXT NOT NULL,
+        client_secret TEXT NOT NULL,
+        webhook_secret TEXT,
+        sync_interval_minutes INTEGER NOT NULL DEFAULT 15,
+        full_sync_hour INTEGER NOT NULL DEFAULT 3,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Everything synced before there were other stores came from the environment's "main" store
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'main';
+      ALTER TABLE variants ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'main';
+      ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'main';
+      ALTER TABLE variant_history ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'main';
+      ALTER TABLE variant_history_daily ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'main';
+      -- NULL: the deck matches against every store
+      ALTER TABLE decks ADD COLUMN IF NOT EXISTS store_id TEXT DEFAULT 'main';
+
+      -- Shopify product details beyond the title (services/product-attributes.js)
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS product_type TEXT;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS vendor TEXT;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS rarity TEXT;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS collector_number TEXT;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS language TEXT;
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS tcgplayer_id BIGINT;
+      -- { "namespace.key": value } for the configured metafield namespaces
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS metafields JSONB NOT NULL DEFAULT '{}';
+
+      -- The product's updated_at in Shopify when it was last written; webhooks older than it are ignored
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS shopify_updated_at TIMESTAMPTZ;
+
+      -- When the sync began reading from Shopify; the next incremental sync fetches what changed since
+      ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS fetch_started_at TIMESTAMP;
+
+      -- Email alerts wait as status 'pending' until the link with confirm_token is followed (services/stock-alerts.js)
+      ALTER TABLE stock_alerts ADD COLUMN IF NOT EXISTS confirm_token TEXT;
+      ALTER TABLE stock_alerts ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+
+      -- SHA-256 of the token that lets a deck's creator change or delete it (services/saved-decks.js);
+      -- decks saved before there were tokens have none and can't be edited
+      ALTER TABLE decks ADD COLUMN IF NOT EXISTS edit_token_hash TEXT;
+
       -- Indexes for fast lookups
       CREATE INDEX IF NOT EXISTS idx_products_card_name ON products(card_name);
       CREATE INDEX IF NOT EXISTS idx_products_card_name_lower ON products(LOWER(card_name));
+      CREATE INDEX IF NOT EXISTS idx_products_normalized_name ON products(normalized_name);
+      CREATE INDEX IF NOT EXISTS idx_products_game_normalized_name ON products(game, normalized_name);
+      CREATE INDEX IF NOT EXISTS idx_products_store_id ON products(store_id);
       CREATE INDEX IF NOT EXISTS idx_products_set_name ON products(set_name);
+      CREATE INDEX IF NOT EXISTS idx_products_oracle_id ON products(oracle_id);
+      CREATE INDEX IF NOT EXISTS idx_products_tcgplayer_id ON products(tcgplayer_id);
+      CREATE INDEX IF NOT EXISTS idx_products_tags ON products USING gin (tags);
+      CREATE INDEX IF NOT EXISTS idx_oracle_cards_normalized_name ON oracle_cards(normalized_name);
+      CREATE INDEX IF NOT EXISTS idx_oracle_cards_face_names ON oracle_cards USING gin (face_names);
+      CREATE INDEX IF NOT EXISTS idx_card_printings_oracle_id ON card_printings(oracle_id);
+      CREATE INDEX IF NOT EXISTS idx_card_printings_set ON card_printings(set_code, collector_number);
       CREATE INDEX IF NOT EXISTS idx_variants_product_id ON variants(shopify_product_id);
       CREATE INDEX IF NOT EXISTS idx_variants_quantity ON variants(quantity);
+      CREATE INDEX IF NOT EXISTS idx_variants_inventory_item_id ON variants(inventory_item_id);
+      CREATE INDEX IF NOT EXISTS idx_variants_store_id ON variants(store_id);
+      CREATE INDEX IF NOT EXISTS idx_sync_log_store_started ON sync_log(store_id, started_at);
+      CREATE INDEX IF NOT EXISTS idx_variant_history_name ON variant_history(normalized_name, recorded_at);
+      CREATE INDEX IF NOT EXISTS idx_variant_history_recorded_at ON variant_history(recorded_at);
+      CREATE INDEX IF NOT EXISTS idx_variant_history_daily_name ON variant_history_daily(normalized_name, day);
+      CREATE INDEX IF NOT EXISTS idx_sync_changes_sync ON sync_changes(sync_id, change_type);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+      CREATE INDEX IF NOT EXISTS idx_deck_fetch_cache_fetched_at ON deck_fetch_cache(fetched_at);
+      CREATE INDEX IF NOT EXISTS idx_stock_alerts_active ON stock_alerts(normalized_name) WHERE status = 'active';
+      -- One active subscription per target and criteria; re-subscribing extends it
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_alerts_unique_active ON stock_alerts
+        (target_type, target, normalized_name, COALESCE(set_code, ''), COALESCE(condition, ''), COALESCE(finish, ''))
+        WHERE status = 'active';
     `);
     console.log('[DB] Database tables initialized successfully');
+
+    // Backfill normalized_name for rows synced before the column existed
+    const unnormalized = await client.query('SELECT id, card_name FROM products WHERE normalized_name IS NULL');
+    if (unnormalized.rows.length > 0) {
+      await client.query(
+        'UPDATE products p SET normalized_name = u.normalized_name FROM unnest($1::int[], $2::text[]) AS u(id, normalized_name) WHERE p.id = u.id',
+        [unnormalized.rows.map(r => r.id), unnormalized.rows.map(r => normalizeCardName(r.card_name))]
+      );
+      console.log(`[DB] Backfilled normalized_name for ${unnormalized.rows.length} products`);
+    }
+
+    // Trigram index for fuzzy card-name matching. Kept separate so a host
+    // without pg_trgm still starts up; fuzzy matching just returns no suggestions.
+    try {
+      await client.query(`
+        CREATE EXTENSION IF NOT EXISTS pg_trgm;
+        CREATE INDEX IF NOT EXISTS idx_products_normalized_name_trgm ON products USING gin (normalized_name gin_trgm_ops);
+      `);
+      console.log('[DB] pg_trgm enabled for fuzzy matching');
+    } catch (error) {
+      console.warn('[DB] Could not enable pg_trgm - fuzzy card matching disabled:', error.message);
+    }
   } catch (error) {
     console.error('[DB] Error initializing database:', error.message);
     console.error('[DB] Full error:', error);
@@ -2,7 +2,7 @@
  * Cardsurfer Games - Deck Builder Backend
  * 
  * Main entry point. Starts the Express server, initializes the database,
- * runs the initial inventory sync, and schedules periodic re-syncs.
+ * runs the initial inventory sync of each store, and schedules periodic re-syncs.
  */
 
 require('dotenv').config();
@@ -11,29 +11,52 @@ const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
 const { initializeDatabase } = require('./database');
-const { syncInventory } = require('./services/inventory-sync');
+const { requestSync, requestScheduledSyncs } = require('./services/sync-runner');
+const { ensureEnvStore, listStores, DEFAULT_STORE_ID } = require('./services/stores');
+const { METAFIELD_NAMESPACES } = require('./services/product-attributes');
+const { runHistoryRetention } = require('./services/price-history');
+const { listApiKeys } = require('./services/api-keys');
+const { pruneDeckCache } = require('./services/deck-cache');
 const apiRoutes = require('./routes/api');
+const webhookRoutes = require('./routes/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const FULL_SYNC_HOUR = parseInt(process.env.FULL_SYNC_HOUR || '3', 10);
 
 console.log('=== Cardsurfer Deck Builder Backend Starting ===');
 console.log(`[STARTUP] Node version: ${process.version}`);
 console.log(`[STARTUP] Environment: ${process.env.NODE_ENV || 'development'}`);
 console.log(`[STARTUP] Port: ${PORT}`);
-console.log(`[STARTUP] Shopify Store Domain: ${process.env.SHOPIFY_STORE_DOMAIN || 'NOT SET'}`);
+console.log(`[STARTUP] Shopify Store Domain (store "main"): ${process.env.SHOPIFY_STORE_DOMAIN || 'NOT SET'}`);
 console.log(`[STARTUP] Shopify Client ID: ${process.env.SHOPIFY_CLIENT_ID ? process.env.SHOPIFY_CLIENT_ID.substring(0, 8) + '...' : 'NOT SET'}`);
 console.log(`[STARTUP] Shopify Client Secret: ${process.env.SHOPIFY_CLIENT_SECRET ? '***SET***' : 'NOT SET'}`);
+console.log(`[STARTUP] Default store: ${DEFAULT_STORE_ID}`);
+console.log(`[STARTUP] Metafield namespaces: ${METAFIELD_NAMESPACES.join(', ') || 'none'}`);
 console.log(`[STARTUP] Database URL: ${process.env.DATABASE_URL ? '***SET***' : 'NOT SET'}`);
 console.log(`[STARTUP] Frontend URL: ${process.env.FRONTEND_URL || 'NOT SET'}`);
+console.log(`[STARTUP] Trust proxy: ${process.env.TRUST_PROXY || 'NOT SET'}`);
+
+// Behind a proxy (Railway's is one hop: TRUST_PROXY=1) req.ip must come from
+// X-Forwarded-For, or every client shares the proxy's address in rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+}));
+app.use(express.json({
+  limit: '1mb',
+  // Keep the raw bytes around for Shopify webhook HMAC verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
 }));
-app.use(express.json({ limit: '1mb' }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -49,6 +72,7 @@ app.use((req, res, next) => {
 });
 
 // API Routes
+app.use('/api/webhooks', webhookRoutes);
 app.use('/api', apiRoutes);
 
 // Root endpoint
@@ -57,14 +81,45 @@ app.get('/', (req, res) => {
     service: 'Cardsurfer Deck Builder API',
     version: '1.0.0',
     endpoints: {
-      'POST /api/deck/import': 'Parse a deck list (text or URL) and match against inventory',
-      'POST /api/deck/parse': 'Parse a deck list without matching',
-      'POST /api/deck/match': 'Match card names against inventory',
-      'POST /api/deck/auto-select': 'Auto-select variants (cheapest or best-condition)',
-      'GET /api/search?q=': 'Search cards by name',
-      'GET /api/sync/status': 'Get inventory sync status',
-      'POST /api/sync/trigger': 'Trigger manual inventory sync',
+      'POST /api/deck/import': 'Parse a deck list (text or URL) and match against inventory (game: optional filter, store: id or "all")',
+      'POST /api/deck/parse': 'Parse a deck list without matching (URLs are cached; refresh: true revalidates)',
+      'POST /api/deck/upload': 'Parse an uploaded deck file (.dek, .ydk, CSV or text)',
+      'GET /api/deck/sources': 'List the deck sites accepted as URLs',
+      'GET /api/games': 'List the games the catalog carries',
+      'GET /api/stores': 'List the store locations (pass an id as store to other endpoints, or "all")',
+      'DELETE /api/deck-cache': 'Purge cached deck fetches (?url= or ?source=, neither for all; scope: cache:purge)',
+      'POST /api/deck/match': 'Match card names against inventory (game: optional filter, store: id or "all")',
+      'POST /api/deck/auto-select': 'Auto-select variants (cheapest, best-condition, or a constraint strategy; store: id or "all")',
+      'POST /api/deck/cart': 'Build a cart permalink at one store from selected variants (store: id; a Draft Order needs scope: orders:draft)',
+      'POST /api/decks': 'Save a deck and get a shareable ID and an edit token',
+      'GET /api/decks/:id': 'Get a saved deck',
+      'PUT /api/decks/:id': 'Update a saved deck (?token= edit token)',
+      'DELETE /api/decks/:id': 'Delete a saved deck (?token= edit token)',
+      'GET /api/decks/:id/refresh': 'Re-match a saved deck and list changes since it was saved',
+      'POST /api/alerts': 'Subscribe to a back-in-stock alert (email or webhook; email alerts need confirming)',
+      'GET /api/alerts/:id/confirm': 'Confirm an email alert from its emailed link (?token=)',
+      'GET /api/alerts/:id': 'Check a back-in-stock alert (?token=)',
+      'DELETE /api/alerts/:id': 'Cancel a back-in-stock alert (?token=)',
+      'GET /api/search?q=': 'Search cards by name (&game= to limit to one game, &store= id or "all")',
+      'GET /api/cards/:name/history': 'Price and stock history per variant (?days=90&store=)',
+      'GET /api/oracle/:oracleId': 'Card metadata from the Scryfall import',
+      'GET /api/aliases': 'List card name aliases',
+      'POST /api/aliases': 'Create or update a card name alias (scope: aliases:write)',
+      'DELETE /api/aliases/:id': 'Delete a card name alias (scope: aliases:write)',
+      'GET /api/set-codes': 'List set code to set name mappings',
+      'PUT /api/set-codes/:code': 'Add or correct a set code mapping (scope: aliases:write)',
+      'GET /api/sync/status': 'Get inventory sync status and live progress (?store=)',
+      'GET /api/sync/events': 'Server-sent events: sync queued/started/progress/finished/failed (scope: reports:read)',
+      'GET /api/sync/history': 'Past syncs with change counts (?store=&limit=20&offset=0, scope: reports:read)',
+      'GET /api/sync/:id': 'What a sync changed (?type=sold_out&card=&limit=100&offset=0, scope: reports:read)',
+      'POST /api/sync/trigger': 'Trigger manual inventory sync (body: { mode: "full" | "incremental", store }, scope: sync:trigger)',
+      'GET /api/audit-log': 'Admin actions, newest first (?limit=50&offset=0, scope: reports:read)',
+      'GET /api/shopify/metrics': 'Shopify GraphQL requests, retries and query cost since startup (scope: reports:read)',
       'GET /api/health': 'Health check',
+      'POST /api/webhooks/products/create': 'Shopify webhook: product created',
+      'POST /api/webhooks/products/update': 'Shopify webhook: product updated',
+      'POST /api/webhooks/products/delete': 'Shopify webhook: product deleted',
+      'POST /api/webhooks/inventory_levels/update': 'Shopify webhook: inventory level changed',
     },
   });
 });
@@ -77,37 +132,66 @@ async function start() {
     await initializeDatabase();
     console.log('[STARTUP] Database initialized successfully');
 
+    const activeKeys = (await listApiKeys()).filter(key => !key.revokedAt);
+    if (activeKeys.length === 0) {
+      console.warn('[STARTUP] No active API keys - admin endpoints will refuse every request (create one with: npm run api-keys -- create <name> <scopes>)');
+    } else {
+      console.log(`[STARTUP] ${activeKeys.length} active API keys`);
+    }
+
     // Start Express server
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`[STARTUP] Server running on port ${PORT}`);
       console.log('[STARTUP] Ready to accept requests');
     });
 
-    // Run initial inventory sync
-    console.log('[STARTUP] Starting initial inventory sync...');
-    syncInventory()
-      .then(result => {
-        console.log(`[STARTUP] Initial sync complete: ${result.productCount} products, ${result.variantCount} variants in ${result.elapsed}s`);
-      })
-      .catch(err => {
-        console.error('[STARTUP] Initial sync failed (will retry on schedule):', err.message);
-        console.error('[STARTUP] Full error:', err);
-      });
+    // Register the store configured through SHOPIFY_* (sister locations come from the stores CLI)
+    await ensureEnvStore();
+    const stores = await listStores();
+    if (stores.length === 0) {
+      console.warn('[STARTUP] No active stores - nothing will sync (add one with: npm run stores -- add <id> <shop-domain> <client-id> <client-secret>)');
+    }
 
-    // Schedule inventory sync every 15 minutes
-    cron.schedule('*/15 * * * *', () => {
-      console.log('[CRON] Running scheduled inventory sync...');
-      syncInventory()
-        .then(result => {
-          console.log(`[CRON] Scheduled sync complete: ${result.productCount} products, ${result.variantCount} variants in ${result.elapsed}s`);
+    // Run initial inventory sync of each store
+    // Always full on startup so deletions made while we were down are picked up
+    // Failures are logged by the runner and retried on schedule
+    for (const store of stores) {
+      console.log(`[STARTUP] Starting initial inventory sync of store ${store.id} (${store.shopDomain})...`);
+      requestSync({ store, mode: 'full', trigger: 'startup' });
+    }
+
+    // Check the sync schedules every 5 minutes
+    // Webhooks keep stock current between runs; this is the reconciliation pass.
+    // Each store syncs every sync_interval_minutes, incrementally except for the
+    // first run of its full_sync_hour, which is a full sync so products deleted
+    // in Shopify get removed.
+    cron.schedule('*/5 * * * *', () => {
+      requestScheduledSyncs()
+        .then(requested => {
+          for (const { store, mode, status } of requested) {
+            console.log(`[CRON] Scheduled ${mode} inventory sync of store ${store} ${status}`);
+          }
         })
         .catch(err => {
-          console.error('[CRON] Scheduled sync failed:', err.message);
-          console.error('[CRON] Full error:', err);
+          console.error('[CRON] Scheduling syncs failed:', err.message);
         });
     });
 
-    console.log('[STARTUP] Inventory sync scheduled every 15 minutes');
+    for (const store of stores) {
+      console.log(`[STARTUP] Store ${store.id} syncs every ${store.syncIntervalMinutes} minutes (full sync nightly at ${store.fullSyncHour}:00)`);
+    }
+
+    // Roll up and prune price/stock history (and prune the deck cache) once a day, after the nightly full sync
+    cron.schedule(`45 ${FULL_SYNC_HOUR} * * *`, () => {
+      console.log('[CRON] Running price history retention...');
+      runHistoryRetention().catch(err => {
+        console.error('[CRON] History retention failed:', err.message);
+        console.error('[CRON] Full error:', err);
+      });
+      pruneDeckCache().catch(err => {
+        console.error('[CRON] Deck cache prune failed:', err.message);
+      });
+    });
 
   } catch (error) {
     console.error('[FATAL] Failed to start server:', error);
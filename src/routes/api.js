@@ -6,16 +6,231 @@
 
 const express = require('express');
 const router = express.Router();
-const { parseDeckInput } = require('../services/deck-parser');
-const { matchDeckList, getCheapestForEach, getBestConditionForEach, searchCards } = require('../services/deck-matcher');
-const { syncInventory } = require('../services/inventory-sync');
+const { parseDeckInput, listDeckSources } = require('../services/deck-parser');
+const { matchDeckList, toCardRequests, selectVariants, normalizeStrategy, searchCards } = require('../services/deck-matcher');
+const { requestSync, getSyncProgress, getAllSyncProgress, syncEvents } = require('../services/sync-runner');
+const { buildCart, createDraftOrder } = require('../services/cart-builder');
+const { listAliases, validateAlias, upsertAlias, deleteAlias } = require('../services/card-aliases');
+const { parseMultipart } = require('../services/multipart');
+const { getOracleCard } = require('../services/oracle-cards');
+const { getCardHistory, HISTORY_RETENTION_DAYS } = require('../services/price-history');
+const { validateAlert, createAlert, confirmAlert, getAlert, cancelAlert } = require('../services/stock-alerts');
+const { validateDeck, createDeck, getDeck, updateDeck, deleteDeck, refreshDeck } = require('../services/saved-decks');
+const { listSetCodes, upsertSetCode } = require('../services/set-codes');
+const { listSyncs, getSyncReport, CHANGE_TYPES } = require('../services/sync-reports');
+const { authenticateKey, recordAudit, listAuditLog } = require('../services/api-keys');
+const { deckCacheKey, purgeDeckCache } = require('../services/deck-cache');
+const { getGraphQLMetrics } = require('../services/shopify-graphql');
+const { GAME_IDS, isGame, listGames } = require('../services/games');
+const { ALL_STORES, listStores, getStore, publicStore, resolveStoreScope } = require('../services/stores');
+const { createRateLimiter } = require('../services/rate-limit');
 const { pool } = require('../database');
 
+/**
+ * Read an optional fuzzyThreshold (0-1) from a request body
+ * Returns undefined when absent so the matcher's default applies
+ */
+function parseFuzzyThreshold(body) {
+  if (body.fuzzyThreshold === undefined) return undefined;
+  const value = Number(body.fuzzyThreshold);
+  if (Number.isNaN(value) || value < 0 || value > 1) {
+    throw new Error('"fuzzyThreshold" must be a number between 0 and 1');
+  }
+  return value;
+}
+
+/**
+ * API key from "Authorization: Bearer <key>" or "X-API-Key", or null
+ */
+function readApiKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * The listed fields of a request body, or undefined if it has none of them
+ */
+function auditedBody(body, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (body && body[field] !== undefined) picked[field] = body[field];
+  }
+  return Object.keys(picked).length > 0 ? picked : undefined;
+}
+
+/**
+ * Middleware: require an API key with the given scope (see services/api-keys.js)
+ * 401 without a valid key, 403 if the key lacks the scope. Every attempt is
+ * written to the audit log once the response has gone out, with the route's
+ * params and query and only the body fields listed in auditBody - bodies can
+ * carry customer details that don't belong in the log.
+ * With optional, requests without a key go through anonymously; a key that is
+ * sent is still checked. Anonymous requests are audited only when privileged(req)
+ * says they ask for the scoped action. The route sees the key as req.apiKey.
+ */
+function requireScope(scope, { optional = false, privileged = () => false, auditBody = [] } = {}) {
+  return async (req, res, next) => {
+    const action = `${req.method} ${req.baseUrl}${req.path}`;
+    let apiKey = null;
+    const anonymous = optional && !readApiKey(req);
+
+    if (anonymous && !privileged(req)) {
+      return next();
+    }
+
+    res.on('finish', () => {
+      recordAudit({
+        apiKeyId: apiKey?.id ?? null,
+        actor: apiKey?.name ?? 'anonymous',
+        action,
+        scope,
+        statusCode: res.statusCode,
+        ip: req.ip,
+        details: { params: req.params, query: req.query, body: auditedBody(req.body, auditBody) },
+      }).catch(error => console.error('[AUTH] Failed to write audit log:', error.message));
+    });
+
+    if (anonymous) {
+      return next();
+    }
+
+    try {
+      const key = readApiKey(req);
+      apiKey = key ? await authenticateKey(key) : null;
+
+      if (!apiKey) {
+        console.warn(`[AUTH] ${action} - ${key ? 'invalid or revoked' : 'missing'} API key`);
+        res.set('WWW-Authenticate', 'Bearer realm="cardsurfer-admin"');
+        return res.status(401).json({ error: key ? 'Invalid or revoked API key' : 'API key required' });
+      }
+      if (!apiKey.scopes.includes(scope)) {
+        console.warn(`[AUTH] ${action} - key ${apiKey.id} "${apiKey.name}" lacks scope ${scope}`);
+        return res.status(403).json({ error: `API key is missing the "${scope}" scope`, requiredScope: scope });
+      }
+
+      console.log(`[AUTH] ${action} - key ${apiKey.id} "${apiKey.name}"`);
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      console.error(`[AUTH] ${action} - error:`, error.message);
+      console.error('[AUTH] Full error:', error);
+      res.status(500).json({ error: 'Failed to check API key' });
+    }
+  };
+}
+
+/**
+ * Respond to a failed deck parse: 429 with Retry-After when a fetch limit was
+ * hit, otherwise 400 with the parser's message
+ */
+function sendParseError(res, error) {
+  if (error.code === 'RATE_LIMITED') {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+  }
+  return res.status(400).json({ error: error.message });
+}
+
+/**
+ * Middleware: allow each client IP `limit` requests per `windowMs` (0 disables it)
+ * Over the limit it answers 429 with Retry-After.
+ */
+function limitPerIp({ limit, windowMs, message }) {
+  const limiter = createRateLimiter({ limit, windowMs });
+  return (req, res, next) => {
+    if (limit <= 0) return next();
+    const retryAfter = limiter.retryAfter(req.ip);
+    if (retryAfter > 0) {
+      console.warn(`[API] ${req.method} ${req.baseUrl}${req.path} - rate limited ${req.ip} (retry in ${retryAfter}s)`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `${message} Try again in ${retryAfter}s.`, retryAfter });
+    }
+    limiter.take(req.ip);
+    next();
+  };
+}
+
+// Alert subscriptions per client IP per hour
+const ALERT_SUBSCRIPTIONS_PER_IP = parseInt(process.env.ALERT_SUBSCRIPTIONS_PER_IP || '10', 10);
+// Cart builds per client IP per minute
+const CARTS_PER_IP = parseInt(process.env.CARTS_PER_IP || '20', 10);
+// Longest note accepted for a draft order
+const DRAFT_NOTE_MAX_LENGTH = 1000;
+// Deck saves and edits per client IP per hour - each one matches the whole deck
+const DECK_SAVES_PER_IP = parseInt(process.env.DECK_SAVES_PER_IP || '30', 10);
+
+/**
+ * Read limit/offset paging from a query string
+ * Throws with a client-facing message when either is out of range
+ */
+function parsePaging(query, { defaultLimit, maxLimit }) {
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (Number.isNaN(limit) || limit < 1 || limit > maxLimit) {
+    throw new Error(`"limit" must be between 1 and ${maxLimit}`);
+  }
+  if (Number.isNaN(offset) || offset < 0) {
+    throw new Error('"offset" must be 0 or more');
+  }
+  return { limit, offset };
+}
+
+/**
+ * Read an optional printingMode ("prefer" | "require") from a request body
+ * "prefer" ranks the requested set/collector number first; "require" drops
+ * every other printing
+ */
+function parsePrintingMode(body) {
+  if (body.printingMode === undefined) return 'prefer';
+  if (!['prefer', 'require'].includes(body.printingMode)) {
+    throw new Error('"printingMode" must be "prefer" or "require"');
+  }
+  return body.printingMode;
+}
+
+/**
+ * Read an optional game id (see services/games.js) from a body or query field
+ * Returns null when absent, meaning every game
+ */
+function parseGame(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!isGame(value)) {
+    throw new Error(`"game" must be one of: ${GAME_IDS.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Resolve an optional "store" field to one store's record (the default store when absent)
+ * For endpoints that act on a single store; throws with a client-facing
+ * message for "all" or an unknown store
+ */
+async function parseSingleStore(value) {
+  if (value === ALL_STORES) {
+    throw new Error(`"store" must be a store ID here, not "${ALL_STORES}"`);
+  }
+  const id = await resolveStoreScope(value);
+  const store = await getStore(id);
+  if (!store) {
+    throw new Error(`Store "${id}" is not configured`);
+  }
+  return store;
+}
+
 /**
  * POST /api/deck/parse
  * 
- * Accepts a deck list (text or URL) and returns parsed card names with quantities.
+ * Accepts a deck list (text, URL, or pasted .dek/CSV) and returns parsed card names with quantities.
  * This is step 1: just parse, don't match against inventory yet.
+ * Also takes Pokémon TCG Live exports, Yu-Gi-Oh! .ydk files and YDKE URLs;
+ * the result's "game" says which game the list is for when the format tells,
+ * and an optional body field game labels lists that don't.
+ * Decks from a URL come through the deck cache and carry "cache"
+ * ({ status, stale, fetchedAt }); refresh: true revalidates a fresh cached copy.
  */
 router.post('/deck/parse', async (req, res) => {
   try {
@@ -27,13 +242,119 @@ router.post('/deck/parse', async (req, res) => {
       return res.status(400).json({ error: 'Missing or invalid "input" field' });
     }
 
-    const result = await parseDeckInput(input);
+    const game = parseGame(req.body.game);
+    const result = await parseDeckInput(input, { clientIp: req.ip, refresh: req.body.refresh === true, game });
     console.log(`[API] POST /deck/parse - success: ${result.cards.length} cards parsed`);
     res.json(result);
   } catch (error) {
     console.error('[API] POST /deck/parse - error:', error.message);
     console.error('[API] Full error:', error);
-    res.status(400).json({ error: error.message });
+    sendParseError(res, error);
+  }
+});
+
+/**
+ * POST /api/deck/upload
+ * 
+ * Upload a deck file as multipart/form-data, field "file": MTGO .dek, a CSV
+ * export (Moxfield, ManaBox, Dragon Shield, TCGplayer), a Yu-Gi-Oh! .ydk or a
+ * plain text list. An optional "game" field works as in /deck/parse.
+ * Returns the same shape as /deck/parse.
+ */
+router.post('/deck/upload', express.raw({ type: 'multipart/form-data', limit: '2mb' }), async (req, res) => {
+  try {
+    console.log(`[API] POST /deck/upload - content length: ${req.headers['content-length'] || 'unknown'}`);
+
+    if (!Buffer.isBuffer(req.body)) {
+      console.log('[API] POST /deck/upload - bad request: not multipart/form-data');
+      return res.status(400).json({ error: 'Expected a multipart/form-data upload' });
+    }
+
+    const { fields, files } = parseMultipart(req.body, req.headers['content-type']);
+    const file = files.find(f => f.fieldName === 'file');
+    if (!file || file.data.length === 0) {
+      console.log('[API] POST /deck/upload - bad request: missing "file"');
+      return res.status(400).json({ error: 'Missing "file" upload' });
+    }
+    const game = parseGame(fields.game);
+
+    console.log(`[API] POST /deck/upload - file "${file.fileName}" (${file.data.length} bytes)`);
+    const result = await parseDeckInput(file.data.toString('utf8'), { fileName: file.fileName, clientIp: req.ip, game });
+    console.log(`[API] POST /deck/upload - success: ${result.cards.length} cards parsed`);
+    res.json(result);
+  } catch (error) {
+    console.error('[API] POST /deck/upload - error:', error.message);
+    console.error('[API] Full error:', error);
+    sendParseError(res, error);
+  }
+});
+
+/**
+ * GET /api/deck/sources
+ * 
+ * Deck sites whose URLs /deck/parse and /deck/import accept.
+ */
+router.get('/deck/sources', (req, res) => {
+  console.log('[API] GET /deck/sources');
+  res.json({ sources: listDeckSources() });
+});
+
+/**
+ * GET /api/games
+ * 
+ * Games the catalog carries; their ids are what the "game" fields and filters take.
+ */
+router.get('/games', (req, res) => {
+  console.log('[API] GET /games');
+  res.json({ games: listGames() });
+});
+
+/**
+ * GET /api/stores
+ * 
+ * The store locations whose inventory can be matched; their ids are what the
+ * "store" fields and filters take, along with "all" for every location.
+ * Without a store, requests use the one marked "default".
+ */
+router.get('/stores', async (req, res) => {
+  try {
+    console.log('[API] GET /stores');
+    const stores = await listStores();
+    res.json({ stores: stores.map(publicStore) });
+  } catch (error) {
+    console.error('[API] GET /stores - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to list stores' });
+  }
+});
+
+/**
+ * DELETE /api/deck-cache?url=... | ?source=moxfield
+ * 
+ * Purge cached deck fetches: one deck by its URL, every deck of a source, or
+ * (with neither) the whole cache. Requires the cache:purge scope.
+ */
+router.delete('/deck-cache', requireScope('cache:purge'), async (req, res) => {
+  try {
+    const { url, source } = req.query;
+    console.log(`[API] DELETE /deck-cache - url: ${url || 'none'}, source: ${source || 'none'}`);
+
+    let target = { source: source || null };
+    if (url !== undefined) {
+      target = deckCacheKey(String(url));
+      if (!target) {
+        return res.status(400).json({ error: '"url" is not a supported deck URL' });
+      }
+    } else if (source !== undefined && !listDeckSources().some(s => s.name === source)) {
+      return res.status(400).json({ error: `Unknown source "${source}"` });
+    }
+
+    const purged = await purgeDeckCache(target);
+    res.json({ purged });
+  } catch (error) {
+    console.error('[API] DELETE /deck-cache - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to purge deck cache' });
   }
 });
 
@@ -42,10 +363,23 @@ router.post('/deck/parse', async (req, res) => {
  * 
  * Accepts a list of card names and returns all available variants from inventory.
  * This is step 2: match parsed cards against what's in stock.
+ * Unmatched names get fuzzy "suggestions"; close-enough ones are auto-accepted
+ * with matchedBy: "fuzzy". Optional body field fuzzyThreshold (0-1) tunes that.
+ * Cards may carry setCode / collectorNumber / finish (as /deck/parse returns
+ * them); matching printings are ranked first, or required with
+ * printingMode: "require". Optional game (see GET /api/games) only matches
+ * that game's products. Optional store (see GET /api/stores) picks the
+ * location to match against; "all" matches every location, and each printing
+ * says which store has it (storeId, storeName).
  */
 router.post('/deck/match', async (req, res) => {
   try {
     const { cards } = req.body;
+    let requests;
+    let fuzzyThreshold;
+    let printingMode;
+    let game;
+    let store;
     console.log(`[API] POST /deck/match - cards: ${cards ? cards.length : 'null'}`);
     
     if (!cards || !Array.isArray(cards)) {
@@ -53,16 +387,26 @@ router.post('/deck/match', async (req, res) => {
       return res.status(400).json({ error: 'Missing or invalid "cards" array' });
     }
 
-    // Extract just the card names for matching
-    const cardNames = cards.map(c => c.name || c);
-    console.log(`[API] POST /deck/match - matching ${cardNames.length} card names`);
+    try {
+      // Plain names or parsed card objects (keeps any requested printing)
+      requests = toCardRequests(cards);
+      fuzzyThreshold = parseFuzzyThreshold(req.body);
+      printingMode = parsePrintingMode(req.body);
+      game = parseGame(req.body.game);
+      store = await resolveStoreScope(req.body.store);
+    } catch (validationError) {
+      console.log(`[API] POST /deck/match - bad request: ${validationError.message}`);
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    console.log(`[API] POST /deck/match - matching ${requests.length} cards`);
     
-    const results = await matchDeckList(cardNames);
+    const results = await matchDeckList(requests, { fuzzyThreshold, printingMode, game, store });
 
     // Merge quantities back in
     const withQuantities = results.map((result, i) => ({
       ...result,
-      quantity: cards[i].quantity || 1,
+      quantity: requests[i].quantity,
     }));
 
     console.log(`[API] POST /deck/match - success: returning ${withQuantities.length} results`);
@@ -79,6 +423,10 @@ router.post('/deck/match', async (req, res) => {
  * 
  * Combined endpoint: parse + match in one call.
  * Accepts a deck list (text or URL) and returns matched inventory results.
+ * Accepts the same optional fuzzyThreshold and printingMode as /deck/match,
+ * and refresh / returns cache as /deck/parse does. Matching is limited to the
+ * body's game, else the game the parsed list is for (returned as "game"),
+ * and to the body's store as in /deck/match.
  */
 router.post('/deck/import', async (req, res) => {
   try {
@@ -90,15 +438,21 @@ router.post('/deck/import', async (req, res) => {
       return res.status(400).json({ error: 'Missing or invalid "input" field' });
     }
 
+    // Throw (-> 400) before any remote fetch if the options are invalid
+    const fuzzyThreshold = parseFuzzyThreshold(req.body);
+    const printingMode = parsePrintingMode(req.body);
+    const requestedGame = parseGame(req.body.game);
+    const store = await resolveStoreScope(req.body.store);
+
     // Step 1: Parse
     console.log('[API] POST /deck/import - Step 1: Parsing...');
-    const parsed = await parseDeckInput(input);
-    console.log(`[API] POST /deck/import - Parsed ${parsed.cards.length} cards from "${parsed.deckName}"`);
+    const parsed = await parseDeckInput(input, { clientIp: req.ip, refresh: req.body.refresh === true, game: requestedGame });
+    const game = requestedGame || parsed.game || null;
+    console.log(`[API] POST /deck/import - Parsed ${parsed.cards.length} cards from "${parsed.deckName}"${game ? ` (${game})` : ''}`);
 
     // Step 2: Match against inventory
     console.log('[API] POST /deck/import - Step 2: Matching against inventory...');
-    const cardNames = parsed.cards.map(c => c.name);
-    const matches = await matchDeckList(cardNames);
+    const matches = await matchDeckList(parsed.cards, { fuzzyThreshold, printingMode, game, store });
 
     // Merge quantities and board info
     const results = matches.map((match, i) => ({
@@ -114,49 +468,60 @@ router.post('/deck/import', async (req, res) => {
     res.json({
       deckName: parsed.deckName,
       format: parsed.format,
+      game,
+      store: store ?? ALL_STORES,
       results,
       parseErrors: parsed.errors,
+      parseWarnings: parsed.warnings,
+      cache: parsed.cache,
     });
   } catch (error) {
     console.error('[API] POST /deck/import - error:', error.message);
     console.error('[API] Full error:', error);
-    res.status(400).json({ error: error.message });
+    sendParseError(res, error);
   }
 });
 
 /**
  * POST /api/deck/auto-select
  * 
- * Given a list of card names, auto-select variants based on strategy.
- * Strategies: "cheapest" or "best-condition"
+ * Given a list of cards with quantities, auto-select variants based on strategy.
+ * Strategy is "cheapest", "best-condition", or a constraint object:
+ *   { sort, minCondition, preferFinish, excludeFinishes, preferredSets,
+ *     excludedSets, maxCardPrice, budget }
+ * Each quantity is split across variants/printings in strategy order; every
+ * result carries an "allocation" list (each printing with the copies
+ * "allocated" from it), a "shortfall" count and "unmet" constraints
+ * explaining any shortfall. "selected" is the first allocated printing. Optional game and store work as in
+ * /deck/match; with store "all" an allocation can span locations, but a cart
+ * is built at one store.
  */
 router.post('/deck/auto-select', async (req, res) => {
   try {
     const { cards, strategy } = req.body;
-    console.log(`[API] POST /deck/auto-select - cards: ${cards ? cards.length : 'null'}, strategy: ${strategy}`);
+    console.log(`[API] POST /deck/auto-select - cards: ${cards ? cards.length : 'null'}, strategy: ${JSON.stringify(strategy)}`);
     
     if (!cards || !Array.isArray(cards)) {
       console.log('[API] POST /deck/auto-select - bad request: missing or invalid cards array');
       return res.status(400).json({ error: 'Missing or invalid "cards" array' });
     }
 
-    const cardNames = cards.map(c => c.name || c);
-    let results;
-
-    if (strategy === 'best-condition') {
-      results = await getBestConditionForEach(cardNames);
-    } else {
-      // Default to cheapest
-      results = await getCheapestForEach(cardNames);
+    let game;
+    let store;
+    try {
+      toCardRequests(cards);
+      normalizeStrategy(strategy);
+      game = parseGame(req.body.game);
+      store = await resolveStoreScope(req.body.store);
+    } catch (validationError) {
+      console.log(`[API] POST /deck/auto-select - bad request: ${validationError.message}`);
+      return res.status(400).json({ error: validationError.message });
     }
 
-    const withQuantities = results.map((result, i) => ({
-      ...result,
-      quantity: cards[i].quantity || 1,
-    }));
+    const selection = await selectVariants(cards, strategy, { game, store });
 
-    console.log(`[API] POST /deck/auto-select - success: ${withQuantities.length} results`);
-    res.json({ results: withQuantities, strategy: strategy || 'cheapest' });
+    console.log(`[API] POST /deck/auto-select - success: ${selection.results.length} results, $${selection.totalPrice}, ${selection.totalShortfall} copies short`);
+    res.json(selection);
   } catch (error) {
     console.error('[API] POST /deck/auto-select - error:', error.message);
     console.error('[API] Full error:', error);
@@ -165,21 +530,433 @@ router.post('/deck/auto-select', async (req, res) => {
 });
 
 /**
- * GET /api/search?q=card+name
+ * POST /api/deck/cart
+ * 
+ * Turn selected variants into a one-click checkout.
+ * Body: { items: [{ variantId, quantity }], store?, draftOrder?: boolean, email?, note? }
+ * The cart is at one store (the default store unless store names another);
+ * variants stocked by a different store come back as "other_store" shortfalls.
+ * Every quantity must be a positive whole number; quantities are clamped to
+ * stock and shortfalls reported. Always returns a cart permalink. When
+ * draftOrder is true a Shopify Draft Order is created as well, which needs an
+ * API key with the "orders:draft" scope; email (an address) and note (up to
+ * 1000 characters) go on the draft order. If the draft order can't be
+ * created the cart still comes back, with the reason as draftOrderError.
+ * Limited to CARTS_PER_IP (default 20) per minute per client IP.
+ */
+router.post('/deck/cart', limitPerIp({
+  limit: CARTS_PER_IP,
+  windowMs: 60 * 1000,
+  message: 'Too many cart requests from your address.',
+}), requireScope('orders:draft', {
+  optional: true,
+  privileged: req => !!req.body.draftOrder,
+  auditBody: ['items', 'store', 'draftOrder'],
+}), async (req, res) => {
+  try {
+    const { items, draftOrder, email, note } = req.body;
+    console.log(`[API] POST /deck/cart - items: ${items ? items.length : 'null'}, draftOrder: ${!!draftOrder}`);
+
+    if (draftOrder && !req.apiKey) {
+      console.log('[API] POST /deck/cart - refused anonymous draft order');
+      res.set('WWW-Authenticate', 'Bearer realm="cardsurfer-admin"');
+      return res.status(401).json({ error: 'Draft orders need an API key with the "orders:draft" scope - use the cart permalink' });
+    }
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      console.log('[API] POST /deck/cart - bad request: missing or invalid items array');
+      return res.status(400).json({ error: 'Missing or invalid "items" array' });
+    }
+    // Up to 18 digits, so the ID fits the bigint it's looked up as
+    if (items.some(item => !item || !/^\d{1,18}$/.test(String(item.variantId)))) {
+      console.log('[API] POST /deck/cart - bad request: item without a numeric variantId');
+      return res.status(400).json({ error: 'Every item needs a numeric "variantId"' });
+    }
+    if (items.some(item => !Number.isInteger(item.quantity) || item.quantity < 1)) {
+      console.log('[API] POST /deck/cart - bad request: item without a positive quantity');
+      return res.status(400).json({ error: 'Every item needs a positive whole "quantity"' });
+    }
+    if (email !== undefined && email !== null && (typeof email !== 'string' || email.length > 254 || !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(email))) {
+      console.log('[API] POST /deck/cart - bad request: invalid email');
+      return res.status(400).json({ error: 'Invalid "email"' });
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > DRAFT_NOTE_MAX_LENGTH)) {
+      console.log('[API] POST /deck/cart - bad request: invalid note');
+      return res.status(400).json({ error: `"note" must be a string of at most ${DRAFT_NOTE_MAX_LENGTH} characters` });
+    }
+
+    let store;
+    try {
+      store = await parseSingleStore(req.body.store);
+    } catch (validationError) {
+      console.log(`[API] POST /deck/cart - bad request: ${validationError.message}`);
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const cart = await buildCart(items, store);
+
+    let createdDraftOrder = null;
+    let draftOrderError;
+    if (draftOrder && cart.lineItems.length > 0) {
+      try {
+        createdDraftOrder = await createDraftOrder(store, cart.lineItems, { email, note });
+      } catch (draftError) {
+        // The permalink still works, so the cart goes back either way
+        console.error('[API] POST /deck/cart - draft order failed:', draftError.message);
+        draftOrderError = draftError.code === 'DRAFT_ORDER_REJECTED'
+          ? draftError.message
+          : 'Could not create a draft order right now - use the cart permalink or try again later';
+      }
+    }
+
+    console.log(`[API] POST /deck/cart - success: ${cart.lineItems.length} lines, ${cart.shortfalls.length} shortfalls`);
+    res.json({
+      store: store.id,
+      ...cart,
+      draftOrderRecommended: cart.permalinkTooLong,
+      draftOrder: createdDraftOrder,
+      draftOrderError,
+    });
+  } catch (error) {
+    console.error('[API] POST /deck/cart - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to build cart' });
+  }
+});
+
+/**
+ * Saved deck IDs are random base64url strings (see saved-decks.js)
+ */
+function isDeckId(id) {
+  return /^[A-Za-z0-9_-]{6,32}$/.test(id);
+}
+
+const limitDeckSaves = limitPerIp({
+  limit: DECK_SAVES_PER_IP,
+  windowMs: 60 * 60 * 1000,
+  message: 'Too many deck saves from your address.',
+});
+
+/**
+ * POST /api/decks
+ * 
+ * Save a deck. Body: { name?, game?, store?, format?, source?, sourceUrl?, cards, selections? }
+ * cards are as returned by /deck/parse (name, quantity, board, printing fields);
+ * selections are the chosen variants: [{ variantId, quantity, cardName? }].
+ * A deck with a game only matches that game's products, and is matched at its
+ * store (the default store unless given; "all" for every location).
+ * Returns the deck with its shareable "id", and an "editToken" that PUT and
+ * DELETE need - it is only returned here.
+ * Saves and edits share DECK_SAVES_PER_IP (default 30) per hour per client IP.
+ */
+router.post('/decks', limitDeckSaves, async (req, res) => {
+  try {
+    console.log(`[API] POST /decks - cards: ${Array.isArray(req.body.cards) ? req.body.cards.length : 'null'}`);
+
+    const validationError = validateDeck(req.body);
+    if (validationError) {
+      console.log(`[API] POST /decks - bad request: ${validationError}`);
+      return res.status(400).json({ error: validationError });
+    }
+
+    let store;
+    try {
+      store = await resolveStoreScope(req.body.store);
+    } catch (storeError) {
+      console.log(`[API] POST /decks - bad request: ${storeError.message}`);
+      return res.status(400).json({ error: storeError.message });
+    }
+
+    const { deck, editToken } = await createDeck({ ...req.body, store });
+    res.status(201).json({ deck, editToken });
+  } catch (error) {
+    console.error('[API] POST /decks - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to save deck' });
+  }
+});
+
+/**
+ * GET /api/decks/:id
+ * 
+ * Get a saved deck.
+ */
+router.get('/decks/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`[API] GET /decks/${id}`);
+
+    if (!isDeckId(id)) {
+      return res.status(400).json({ error: 'Invalid deck ID' });
+    }
+
+    const deck = await getDeck(id);
+    if (!deck) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    res.json({ deck });
+  } catch (error) {
+    console.error('[API] GET /decks - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to get deck' });
+  }
+});
+
+/**
+ * PUT /api/decks/:id?token=...
+ * 
+ * Update a saved deck with the edit token from POST. Same body as POST; omitted fields are kept.
+ * Changing "cards", "game" or "store" resets the baseline /refresh compares against.
+ * Counts against DECK_SAVES_PER_IP along with POST.
+ */
+router.put('/decks/:id', limitDeckSaves, async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`[API] PUT /decks/${id}`);
+
+    if (!isDeckId(id)) {
+      return res.status(400).json({ error: 'Invalid deck ID' });
+    }
+
+    const validationError = validateDeck(req.body, { partial: true });
+    if (validationError) {
+      console.log(`[API] PUT /decks - bad request: ${validationError}`);
+      return res.status(400).json({ error: validationError });
+    }
+
+    const changes = { ...req.body };
+    if (req.body.store !== undefined) {
+      try {
+        changes.store = await resolveStoreScope(req.body.store);
+      } catch (storeError) {
+        console.log(`[API] PUT /decks - bad request: ${storeError.message}`);
+        return res.status(400).json({ error: storeError.message });
+      }
+    }
+
+    const deck = await updateDeck(id, changes, req.query.token);
+    if (!deck) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    res.json({ deck });
+  } catch (error) {
+    if (error.code === 'DECK_TOKEN') {
+      console.log(`[API] PUT /decks - forbidden: ${error.message}`);
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('[API] PUT /decks - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to update deck' });
+  }
+});
+
+/**
+ * DELETE /api/decks/:id?token=...
+ * 
+ * Delete a saved deck (edit token required).
+ */
+router.delete('/decks/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`[API] DELETE /decks/${id}`);
+
+    if (!isDeckId(id)) {
+      return res.status(400).json({ error: 'Invalid deck ID' });
+    }
+
+    const deleted = await deleteDeck(id, req.query.token);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    res.json({ deleted: true });
+  } catch (error) {
+    if (error.code === 'DECK_TOKEN') {
+      console.log(`[API] DELETE /decks - forbidden: ${error.message}`);
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('[API] DELETE /decks - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to delete deck' });
+  }
+});
+
+/**
+ * GET /api/decks/:id/refresh
+ * 
+ * Re-match a saved deck against current stock. Returns fresh match "results"
+ * plus "changes" since the deck was saved: cards gone or back in stock,
+ * new/sold-out variants, cheapest price moves, and chosen variants that are
+ * out of stock, short or repriced.
+ */
+router.get('/decks/:id/refresh', async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log(`[API] GET /decks/${id}/refresh`);
+
+    if (!isDeckId(id)) {
+      return res.status(400).json({ error: 'Invalid deck ID' });
+    }
+
+    const refreshed = await refreshDeck(id);
+    if (!refreshed) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    console.log(`[API] GET /decks/${id}/refresh - success: ${refreshed.changes.length} changes`);
+    res.json(refreshed);
+  } catch (error) {
+    console.error('[API] GET /decks/refresh - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to refresh deck' });
+  }
+});
+
+/**
+ * POST /api/alerts
+ * 
+ * Subscribe to a back-in-stock alert for a card.
+ * Body: { cardName, setCode?, condition? (minimum), finish? ("foil" | "nonfoil" | "etched"),
+ *         email | webhookUrl }
+ * Returns the alert and a "token" for viewing/cancelling it. Subscribing
+ * again with the same target and criteria just extends the existing alert.
+ * Email alerts start with status "pending" and a confirmation link is emailed
+ * to the address; they only notify once it's followed (see /alerts/:id/confirm).
+ * Limited to ALERT_SUBSCRIPTIONS_PER_IP (default 10) per hour per client IP,
+ * and ALERT_MAX_PER_TARGET active alerts per email address or webhook URL.
+ */
+router.post('/alerts', limitPerIp({
+  limit: ALERT_SUBSCRIPTIONS_PER_IP,
+  windowMs: 60 * 60 * 1000,
+  message: 'Too many alert subscriptions from your address.',
+}), async (req, res) => {
+  try {
+    console.log(`[API] POST /alerts - "${req.body.cardName}"`);
+
+    const validationError = await validateAlert(req.body);
+    if (validationError) {
+      console.log(`[API] POST /alerts - bad request: ${validationError}`);
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { alert, token, created } = await createAlert(req.body);
+    res.status(created ? 201 : 200).json({ alert, token });
+  } catch (error) {
+    if (error.code === 'ALERT_LIMIT') {
+      console.log(`[API] POST /alerts - ${error.message}`);
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[API] POST /alerts - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to create alert' });
+  }
+});
+
+/**
+ * GET /api/alerts/:id/confirm?token=...
+ * 
+ * The link in an email alert's confirmation message: activates the pending
+ * alert. The token here is the one emailed, not the one POST /alerts returned.
+ */
+router.get('/alerts/:id/confirm', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    console.log(`[API] GET /alerts/${req.params.id}/confirm`);
+
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid alert ID' });
+    }
+
+    const alert = await confirmAlert(id, req.query.token);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found, or the confirmation link has expired' });
+    }
+    res.json({ confirmed: true, alert });
+  } catch (error) {
+    console.error('[API] GET /alerts/confirm - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to confirm alert' });
+  }
+});
+
+/**
+ * GET /api/alerts/:id?token=...
+ * 
+ * Check an alert's status.
+ */
+router.get('/alerts/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    console.log(`[API] GET /alerts/${req.params.id}`);
+
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid alert ID' });
+    }
+
+    const alert = await getAlert(id, req.query.token);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json({ alert });
+  } catch (error) {
+    console.error('[API] GET /alerts - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to get alert' });
+  }
+});
+
+/**
+ * DELETE /api/alerts/:id?token=...
  * 
- * Search for cards by partial name match (for autocomplete).
+ * Unsubscribe.
+ */
+router.delete('/alerts/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    console.log(`[API] DELETE /alerts/${req.params.id}`);
+
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid alert ID' });
+    }
+
+    const cancelled = await cancelAlert(id, req.query.token);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Alert not found or no longer active' });
+    }
+    res.json({ cancelled: true });
+  } catch (error) {
+    console.error('[API] DELETE /alerts - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to cancel alert' });
+  }
+});
+
+/**
+ * GET /api/search?q=card+name&game=pokemon&store=downtown
+ * 
+ * Search for cards by partial name match (for autocomplete), optionally within one game.
+ * Searches the default store unless store names another; store=all searches
+ * every location with one result per store (store_id, store_name).
  */
 router.get('/search', async (req, res) => {
   try {
     const { q } = req.query;
-    console.log(`[API] GET /search - query: "${q}"`);
+    console.log(`[API] GET /search - query: "${q}", game: ${req.query.game || 'any'}, store: ${req.query.store || 'default'}`);
     
     if (!q || q.length < 2) {
       console.log('[API] GET /search - bad request: query too short');
       return res.status(400).json({ error: 'Search query must be at least 2 characters' });
     }
 
-    const results = await searchCards(q);
+    let game;
+    let store;
+    try {
+      game = parseGame(req.query.game);
+      store = await resolveStoreScope(req.query.store);
+    } catch (validationError) {
+      console.log(`[API] GET /search - bad request: ${validationError.message}`);
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const results = await searchCards(q, { game, store });
     console.log(`[API] GET /search - success: ${results.length} results for "${q}"`);
     res.json({ results });
   } catch (error) {
@@ -190,32 +967,224 @@ router.get('/search', async (req, res) => {
 });
 
 /**
- * GET /api/sync/status
+ * GET /api/cards/:name/history?days=90&store=
+ * 
+ * Price and stock history for a card, one series per variant (printing,
+ * condition, finish), each labelled with its storeId. days defaults to 90,
+ * at most the retention window. store picks the location as in /search
+ * (default store unless given; "all" for every location).
+ */
+router.get('/cards/:name/history', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const days = req.query.days === undefined ? 90 : parseInt(req.query.days, 10);
+    console.log(`[API] GET /cards/${name}/history - days: ${days}`);
+
+    if (Number.isNaN(days) || days < 1 || days > HISTORY_RETENTION_DAYS) {
+      return res.status(400).json({ error: `"days" must be between 1 and ${HISTORY_RETENTION_DAYS}` });
+    }
+
+    let store;
+    try {
+      store = await resolveStoreScope(req.query.store);
+    } catch (validationError) {
+      console.log(`[API] GET /cards/${name}/history - bad request: ${validationError.message}`);
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const history = await getCardHistory(name, { days, store });
+    res.json(history);
+  } catch (error) {
+    console.error('[API] GET /cards/history - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to get card history' });
+  }
+});
+
+/**
+ * GET /api/oracle/:oracleId
+ * 
+ * Card metadata and known printings from the imported Scryfall data.
+ */
+router.get('/oracle/:oracleId', async (req, res) => {
+  try {
+    const { oracleId } = req.params;
+    console.log(`[API] GET /oracle/${oracleId}`);
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(oracleId)) {
+      return res.status(400).json({ error: 'Invalid oracle ID' });
+    }
+
+    const card = await getOracleCard(oracleId);
+    if (!card) {
+      return res.status(404).json({ error: 'Oracle card not found' });
+    }
+    res.json(card);
+  } catch (error) {
+    console.error('[API] GET /oracle - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to get oracle card' });
+  }
+});
+
+/**
+ * GET /api/aliases
+ * 
+ * List staff-maintained card name aliases.
+ */
+router.get('/aliases', async (req, res) => {
+  try {
+    console.log('[API] GET /aliases');
+    const aliases = await listAliases();
+    res.json({ aliases });
+  } catch (error) {
+    console.error('[API] GET /aliases - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to list aliases' });
+  }
+});
+
+/**
+ * POST /api/aliases
+ * 
+ * Create or update an alias. Body: { alias, cardName, note? }
+ * e.g. { alias: "Rick, Steadfast Leader", cardName: "Greymond, Avacyn's Stalwart" }
+ * Requires the aliases:write scope.
+ */
+router.post('/aliases', requireScope('aliases:write', { auditBody: ['alias', 'cardName', 'note'] }), async (req, res) => {
+  try {
+    const { alias, cardName, note } = req.body;
+    console.log(`[API] POST /aliases - "${alias}" -> "${cardName}"`);
+
+    const validationError = validateAlias(alias, cardName);
+    if (validationError) {
+      console.log(`[API] POST /aliases - bad request: ${validationError}`);
+      return res.status(400).json({ error: validationError });
+    }
+
+    const saved = await upsertAlias(alias, cardName, note || null);
+    res.json({ alias: saved });
+  } catch (error) {
+    console.error('[API] POST /aliases - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to save alias' });
+  }
+});
+
+/**
+ * DELETE /api/aliases/:id
+ * 
+ * Remove an alias. Requires the aliases:write scope.
+ */
+router.delete('/aliases/:id', requireScope('aliases:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    console.log(`[API] DELETE /aliases/${req.params.id}`);
+
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid alias ID' });
+    }
+
+    const deleted = await deleteAlias(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    res.json({ deleted: true });
+  } catch (error) {
+    console.error('[API] DELETE /aliases - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to delete alias' });
+  }
+});
+
+/**
+ * GET /api/set-codes
+ * 
+ * List the set code -> set name mapping used to match requested printings.
+ */
+router.get('/set-codes', async (req, res) => {
+  try {
+    console.log('[API] GET /set-codes');
+    const setCodes = await listSetCodes();
+    res.json({ setCodes });
+  } catch (error) {
+    console.error('[API] GET /set-codes - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to list set codes' });
+  }
+});
+
+/**
+ * PUT /api/set-codes/:code
+ * 
+ * Add or correct a mapping by hand. Body: { setName }
+ * Manual rows survive later Scryfall imports.
+ * Requires the aliases:write scope.
+ */
+router.put('/set-codes/:code', requireScope('aliases:write', { auditBody: ['setName'] }), async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { setName } = req.body;
+    console.log(`[API] PUT /set-codes/${code} - "${setName}"`);
+
+    if (!/^[A-Za-z0-9]{2,6}$/.test(code)) {
+      return res.status(400).json({ error: 'Invalid set code' });
+    }
+    if (typeof setName !== 'string' || !setName.trim()) {
+      return res.status(400).json({ error: 'Missing or invalid "setName" field' });
+    }
+
+    const saved = await upsertSetCode(code, setName);
+    res.json({ setCode: saved });
+  } catch (error) {
+    console.error('[API] PUT /set-codes - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to save set code' });
+  }
+});
+
+/**
+ * GET /api/sync/status?store=downtown
  * 
- * Get the status of the most recent inventory sync.
+ * Get the status of a store's most recent inventory sync (the default store
+ * unless store names another), plus the progress of the sync this instance
+ * is running for it and any sync queued behind it.
  */
 router.get('/sync/status', async (req, res) => {
   try {
-    console.log('[API] GET /sync/status');
+    console.log(`[API] GET /sync/status - store: ${req.query.store || 'default'}`);
+
+    let store;
+    try {
+      store = await parseSingleStore(req.query.store);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
     
     const result = await pool.query(
-      'SELECT * FROM sync_log ORDER BY started_at DESC LIMIT 1'
+      "SELECT * FROM sync_log WHERE store_id = $1 AND mode != 'webhook' ORDER BY started_at DESC LIMIT 1",
+      [store.id]
     );
+    const { running, queued } = getSyncProgress(store.id);
     
     if (result.rows.length === 0) {
-      console.log('[API] GET /sync/status - no syncs yet');
-      return res.json({ status: 'never_synced' });
+      console.log(`[API] GET /sync/status - no syncs of store ${store.id} yet`);
+      return res.json({ store: store.id, status: 'never_synced', running, queued });
     }
 
     const stats = await pool.query(
-      'SELECT COUNT(DISTINCT shopify_product_id) as product_count, COUNT(*) as variant_count, SUM(quantity) as total_stock FROM variants WHERE quantity > 0'
+      'SELECT COUNT(DISTINCT shopify_product_id) as product_count, COUNT(*) as variant_count, SUM(quantity) as total_stock FROM variants WHERE quantity > 0 AND store_id = $1',
+      [store.id]
     );
 
-    console.log(`[API] GET /sync/status - last sync: ${result.rows[0].status}, products: ${stats.rows[0].product_count}, variants: ${stats.rows[0].variant_count}`);
+    console.log(`[API] GET /sync/status - store ${store.id} last sync: ${result.rows[0].status}, products: ${stats.rows[0].product_count}, variants: ${stats.rows[0].variant_count}`);
     
     res.json({
+      store: store.id,
       lastSync: result.rows[0],
       inventory: stats.rows[0],
+      running,
+      queued,
     });
   } catch (error) {
     console.error('[API] GET /sync/status - error:', error.message);
@@ -224,21 +1193,167 @@ router.get('/sync/status', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/sync/events
+ * 
+ * Server-sent events stream of sync activity for every store. Sends the
+ * current state as a "state" event on connect ({ [storeId]: { running, queued } }),
+ * then queued / started / progress / finished / failed / skipped events as
+ * they happen, each with the "store" it's about. Requires the reports:read
+ * scope; each client IP may hold SSE_CONNECTIONS_PER_IP streams open at once.
+ */
+const SYNC_EVENT_TYPES = ['queued', 'started', 'progress', 'finished', 'failed', 'skipped'];
+const SSE_HEARTBEAT_MS = 25000;
+const SSE_CONNECTIONS_PER_IP = parseInt(process.env.SSE_CONNECTIONS_PER_IP || '3', 10);
+// client IP -> open /sync/events streams
+const sseConnections = new Map();
+
+router.get('/sync/events', requireScope('reports:read'), (req, res) => {
+  const open = sseConnections.get(req.ip) || 0;
+  if (open >= SSE_CONNECTIONS_PER_IP) {
+    console.warn(`[API] GET /sync/events - ${req.ip} already has ${open} streams open`);
+    return res.status(429).json({ error: `Too many open sync event streams (limit ${SSE_CONNECTIONS_PER_IP}) - close one first` });
+  }
+  sseConnections.set(req.ip, open + 1);
+  console.log('[API] GET /sync/events - client connected');
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('state', getAllSyncProgress());
+
+  const listeners = SYNC_EVENT_TYPES.map(type => {
+    const listener = (data) => send(type, data);
+    syncEvents.on(type, listener);
+    return [type, listener];
+  });
+  // Comment lines keep idle connections from being timed out
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    for (const [type, listener] of listeners) {
+      syncEvents.off(type, listener);
+    }
+    const remaining = (sseConnections.get(req.ip) || 1) - 1;
+    if (remaining > 0) {
+      sseConnections.set(req.ip, remaining);
+    } else {
+      sseConnections.delete(req.ip);
+    }
+    console.log('[API] GET /sync/events - client disconnected');
+  });
+});
+
+/**
+ * GET /api/sync/history?store=downtown&limit=20&offset=0
+ * 
+ * Past syncs, newest first, with per-type change counts - of every store
+ * unless store names one. Webhook deliveries that changed stock are listed
+ * too, with mode "webhook". Requires the reports:read scope.
+ */
+router.get('/sync/history', requireScope('reports:read'), async (req, res) => {
+  try {
+    const storeId = req.query.store && req.query.store !== ALL_STORES ? req.query.store : null;
+    console.log(`[API] GET /sync/history - store: ${storeId || 'all'}, limit: ${req.query.limit || 'default'}, offset: ${req.query.offset || 0}`);
+
+    let paging;
+    try {
+      paging = parsePaging(req.query, { defaultLimit: 20, maxLimit: 100 });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const { syncs, total } = await listSyncs({ storeId, ...paging });
+    res.json({ syncs, total, ...paging });
+  } catch (error) {
+    console.error('[API] GET /sync/history - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to get sync history' });
+  }
+});
+
+/**
+ * GET /api/sync/:id?type=sold_out&card=Lightning%20Bolt&limit=100&offset=0
+ * 
+ * One sync and what it changed: products/variants added and removed,
+ * repriced, sold out and restocked. type and card narrow the list.
+ * Requires the reports:read scope.
+ */
+router.get('/sync/:id', requireScope('reports:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, card } = req.query;
+    console.log(`[API] GET /sync/${id} - type: ${type || 'all'}, card: ${card || 'any'}`);
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({ error: 'Invalid sync ID' });
+    }
+    if (type && !CHANGE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `"type" must be one of ${CHANGE_TYPES.join(', ')}` });
+    }
+
+    let paging;
+    try {
+      paging = parsePaging(req.query, { defaultLimit: 100, maxLimit: 1000 });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const report = await getSyncReport(parseInt(id, 10), { type, card, ...paging });
+    if (!report) {
+      return res.status(404).json({ error: 'Sync not found' });
+    }
+
+    console.log(`[API] GET /sync/${id} - ${report.total} matching changes`);
+    res.json({ ...report, ...paging });
+  } catch (error) {
+    console.error('[API] GET /sync/:id - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to get sync report' });
+  }
+});
+
 /**
  * POST /api/sync/trigger
  * 
  * Manually trigger an inventory sync (for admin use).
- * In production, you'd want to protect this with authentication.
+ * Body: { mode: "full" | "incremental", store? } - defaults to a full sync of
+ * the default store. If a sync of that store is already running the request
+ * is queued (or merged into the one already queued) and "status" says which.
+ * Requires the sync:trigger scope.
  */
-router.post('/sync/trigger', async (req, res) => {
+router.post('/sync/trigger', requireScope('sync:trigger', { auditBody: ['mode', 'store'] }), async (req, res) => {
   try {
-    console.log('[API] POST /sync/trigger - starting manual sync');
-    // Don't await - let it run in the background
-    syncInventory().catch(err => {
-      console.error('[API] Background sync failed:', err.message);
-      console.error('[API] Full error:', err);
-    });
-    res.json({ message: 'Sync started' });
+    const mode = req.body?.mode || 'full';
+    if (!['full', 'incremental'].includes(mode)) {
+      console.log(`[API] POST /sync/trigger - bad request: invalid mode "${mode}"`);
+      return res.status(400).json({ error: 'Invalid "mode" - expected "full" or "incremental"' });
+    }
+
+    let store;
+    try {
+      store = await parseSingleStore(req.body?.store);
+    } catch (validationError) {
+      console.log(`[API] POST /sync/trigger - bad request: ${validationError.message}`);
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    // Runs in the background; follow it on /sync/status or /sync/events
+    const { status, mode: queuedMode } = requestSync({ store, mode, trigger: 'manual' });
+    console.log(`[API] POST /sync/trigger - manual ${mode} sync of store ${store.id} ${status}`);
+    const messages = {
+      started: 'Sync started',
+      queued: 'Sync queued behind the one in progress',
+      coalesced: 'A sync is already queued; this request was merged into it',
+    };
+    res.status(status === 'started' ? 200 : 202).json({ message: messages[status], status, store: store.id, mode: queuedMode });
   } catch (error) {
     console.error('[API] POST /sync/trigger - error:', error.message);
     console.error('[API] Full error:', error);
@@ -246,6 +1361,42 @@ router.post('/sync/trigger', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/audit-log?limit=50&offset=0
+ * 
+ * Admin actions, newest first. Requires the reports:read scope.
+ */
+router.get('/audit-log', requireScope('reports:read'), async (req, res) => {
+  try {
+    console.log(`[API] GET /audit-log - limit: ${req.query.limit || 'default'}, offset: ${req.query.offset || 0}`);
+
+    let paging;
+    try {
+      paging = parsePaging(req.query, { defaultLimit: 50, maxLimit: 500 });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const { entries, total } = await listAuditLog(paging);
+    res.json({ entries, total, ...paging });
+  } catch (error) {
+    console.error('[API] GET /audit-log - error:', error.message);
+    console.error('[API] Full error:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
+});
+
+/**
+ * GET /api/shopify/metrics
+ * 
+ * Shopify GraphQL usage since startup: requests, retries, throttling, query
+ * cost per operation and the current cost bucket. Requires the reports:read scope.
+ */
+router.get('/shopify/metrics', requireScope('reports:read'), (req, res) => {
+  console.log('[API] GET /shopify/metrics');
+  res.json(getGraphQLMetrics());
+});
+
 /**
  * GET /api/health
  * 
@@ -0,0 +1,86 @@
+/**
+ * Webhook Routes
+ *
+ * Receivers for Shopify webhooks. Every request must come from a registered
+ * store (X-Shopify-Shop-Domain) and carry a valid X-Shopify-Hmac-Sha256 header
+ * computed over the raw body with that store's secret; index.js captures the
+ * body as req.rawBody while parsing JSON.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  verifyWebhookHmac,
+  handleProductUpsert,
+  handleProductDelete,
+  handleInventoryLevelUpdate,
+} = require('../services/shopify-webhooks');
+const { findStoreByDomain } = require('../services/stores');
+
+/**
+ * Reject any webhook from an unknown shop or whose HMAC doesn't match
+ * Sets req.store for the handlers
+ */
+router.use(async (req, res, next) => {
+  const hmac = req.get('X-Shopify-Hmac-Sha256');
+  const topic = req.get('X-Shopify-Topic');
+  const shopDomain = req.get('X-Shopify-Shop-Domain');
+
+  let store;
+  try {
+    store = shopDomain ? await findStoreByDomain(shopDomain) : null;
+  } catch (error) {
+    console.error('[WEBHOOK] Store lookup failed:', error.message);
+    return res.status(500).json({ error: 'Failed to verify webhook' });
+  }
+
+  if (!store) {
+    console.warn(`[WEBHOOK] Rejected ${req.path} (topic: ${topic || 'none'}) - unknown shop ${shopDomain || '(none)'}`);
+    return res.status(401).json({ error: 'Unknown shop' });
+  }
+
+  if (!verifyWebhookHmac(req.rawBody, hmac, store)) {
+    console.warn(`[WEBHOOK] Rejected ${req.path} (topic: ${topic || 'none'}) - invalid HMAC for store ${store.id}`);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  console.log(`[WEBHOOK] Verified ${topic || req.path} from store ${store.id} (${shopDomain})`);
+  req.store = store;
+  next();
+});
+
+/**
+ * Wrap a handler so failures return 500 and Shopify retries the delivery
+ * The handler gets the topic to label the changes it records.
+ */
+function webhookHandler(name, handler) {
+  return async (req, res) => {
+    try {
+      const result = await handler(req.body, req.store, name);
+      res.json({ ok: true, ...result });
+    } catch (error) {
+      console.error(`[WEBHOOK] ${name} - error:`, error.message);
+      console.error('[WEBHOOK] Full error:', error);
+      res.status(500).json({ error: `Failed to process ${name} webhook` });
+    }
+  };
+}
+
+/**
+ * POST /api/webhooks/products/create
+ * POST /api/webhooks/products/update
+ */
+router.post('/products/create', webhookHandler('products/create', handleProductUpsert));
+router.post('/products/update', webhookHandler('products/update', handleProductUpsert));
+
+/**
+ * POST /api/webhooks/products/delete
+ */
+router.post('/products/delete', webhookHandler('products/delete', handleProductDelete));
+
+/**
+ * POST /api/webhooks/inventory_levels/update
+ */
+router.post('/inventory_levels/update', webhookHandler('inventory_levels/update', handleInventoryLevelUpdate));
+
+module.exports = router;
@@ -0,0 +1,99 @@
+/**
+ * Manage admin API keys
+ *
+ * Usage:
+ *   npm run api-keys -- create <name> <scope,scope,...>
+ *   npm run api-keys -- list
+ *   npm run api-keys -- revoke <id>
+ *
+ * Scopes: sync:trigger, aliases:write, reports:read, cache:purge, orders:draft
+ * The key is printed once by "create" and can't be shown again - only its hash
+ * is stored. Every change is written to the audit log.
+ */
+
+require('dotenv').config();
+
+const os = require('os');
+const { pool, initializeDatabase } = require('../database');
+const { SCOPES, validateScopes, createApiKey, listApiKeys, revokeApiKey, recordAudit } = require('../services/api-keys');
+
+const USAGE = [
+  'Usage:',
+  '  npm run api-keys -- create <name> <scope,scope,...>',
+  '  npm run api-keys -- list',
+  '  npm run api-keys -- revoke <id>',
+  '',
+  `Scopes: ${SCOPES.join(', ')}`,
+].join('\n');
+
+const actor = `cli:${os.userInfo().username}`;
+
+async function create(name, scopeList) {
+  const scopes = (scopeList || '').split(',').map(scope => scope.trim()).filter(Boolean);
+  const scopeError = validateScopes(scopes);
+  if (!name || scopeError) {
+    console.error(scopeError && name ? scopeError : USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { apiKey, key } = await createApiKey(name, scopes);
+  await recordAudit({ apiKeyId: apiKey.id, actor, action: 'api-keys create', details: { name, scopes } });
+
+  console.log(`Created key ${apiKey.id} "${apiKey.name}" with scopes ${apiKey.scopes.join(', ')}`);
+  console.log('');
+  console.log(`  ${key}`);
+  console.log('');
+  console.log('Store it now - it will not be shown again.');
+}
+
+async function list() {
+  const keys = await listApiKeys();
+  if (keys.length === 0) {
+    console.log('No API keys yet.');
+    return;
+  }
+  for (const key of keys) {
+    const state = key.revokedAt ? `revoked ${key.revokedAt.toISOString()}` : 'active';
+    const lastUsed = key.lastUsedAt ? key.lastUsedAt.toISOString() : 'never';
+    console.log(`${key.id}\t${key.prefix}...\t${key.name}\t${key.scopes.join(',')}\t${state}\tlast used ${lastUsed}`);
+  }
+}
+
+async function revoke(idArg) {
+  const id = parseInt(idArg, 10);
+  if (Number.isNaN(id)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const revoked = await revokeApiKey(id);
+  if (!revoked) {
+    console.error(`No active key with ID ${id}`);
+    process.exitCode = 1;
+    return;
+  }
+  await recordAudit({ apiKeyId: id, actor, action: 'api-keys revoke', details: { name: revoked.name } });
+  console.log(`Revoked key ${id} "${revoked.name}"`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const commands = { create, list, revoke };
+  if (!commands[command]) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  await initializeDatabase();
+  await commands[command](...args);
+}
+
+main()
+  .catch(error => {
+    console.error('[AUTH] Fatal:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
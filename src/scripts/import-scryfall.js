@@ -0,0 +1,34 @@
+/**
+ * Import a Scryfall bulk-data file and link products to oracle cards
+ *
+ * Usage: npm run import-scryfall -- /path/to/oracle-cards.json
+ *
+ * Download "Oracle Cards" or "Default Cards" from https://scryfall.com/docs/api/bulk-data
+ * first; nothing is fetched from Scryfall here.
+ */
+
+require('dotenv').config();
+
+const { pool, initializeDatabase } = require('../database');
+const { importScryfallFile, linkProductsToOracle } = require('../services/scryfall-import');
+
+async function main() {
+  const filePath = process.argv[2];
+  if (!filePath) {
+    console.error('Usage: npm run import-scryfall -- /path/to/scryfall-bulk.json');
+    process.exit(1);
+  }
+
+  await initializeDatabase();
+  const result = await importScryfallFile(filePath);
+  const linked = await linkProductsToOracle();
+
+  console.log(`[SCRYFALL] Done: ${result.cardsImported} cards imported, ${linked} products linked`);
+}
+
+main()
+  .catch(error => {
+    console.error('[SCRYFALL] Fatal:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
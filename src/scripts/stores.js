@@ -0,0 +1,148 @@
+/**
+ * Manage store locations
+ *
+ * Usage:
+ *   npm run stores -- list
+ *   npm run stores -- add <id> <shop-domain> <client-id> <client-secret> [name]
+ *   npm run stores -- set <id> <field> <value>
+ *   npm run stores -- enable <id>
+ *   npm run stores -- disable <id>
+ *
+ * Fields: name, storefront-url, webhook-secret, sync-interval, full-sync-hour,
+ * client-id, client-secret
+ * The "main" store follows the SHOPIFY_* environment variables and is
+ * registered at startup; this is for sister locations and schedules.
+ * Secrets are never printed. Every change is written to the audit log.
+ * A running server picks up schedule changes on its next 5-minute tick;
+ * new stores get their first sync from the schedule or POST /api/sync/trigger.
+ */
+
+require('dotenv').config();
+
+const os = require('os');
+const { pool, initializeDatabase } = require('../database');
+const { recordAudit } = require('../services/api-keys');
+const {
+  SYNC_INTERVALS,
+  validateStore,
+  listStores,
+  getStore,
+  createStore,
+  updateStore,
+} = require('../services/stores');
+
+const USAGE = [
+  'Usage:',
+  '  npm run stores -- list',
+  '  npm run stores -- add <id> <shop-domain> <client-id> <client-secret> [name]',
+  '  npm run stores -- set <id> <field> <value>',
+  '  npm run stores -- enable <id>',
+  '  npm run stores -- disable <id>',
+  '',
+  'Fields: name, storefront-url, webhook-secret, sync-interval, full-sync-hour, client-id, client-secret',
+  `Sync intervals (minutes): ${SYNC_INTERVALS.join(', ')}`,
+].join('\n');
+
+// CLI field name -> [store field, parse]
+const FIELDS = {
+  name: ['name', value => value],
+  'storefront-url': ['storefrontUrl', value => value || null],
+  'webhook-secret': ['webhookSecret', value => value || null],
+  'sync-interval': ['syncIntervalMinutes', value => parseInt(value, 10)],
+  'full-sync-hour': ['fullSyncHour', value => parseInt(value, 10)],
+  'client-id': ['clientId', value => value],
+  'client-secret': ['clientSecret', value => value],
+};
+const SECRET_FIELDS = ['webhookSecret', 'clientSecret'];
+
+const actor = `cli:${os.userInfo().username}`;
+
+function fail(message) {
+  console.error(message);
+  process.exitCode = 1;
+}
+
+async function add(id, shopDomain, clientId, clientSecret, ...nameParts) {
+  const fields = { id, shopDomain, clientId, clientSecret, name: nameParts.join(' ') };
+  const error = validateStore(fields);
+  if (error) {
+    return fail(id && shopDomain ? error : USAGE);
+  }
+  if (await getStore(id)) {
+    return fail(`Store ${id} already exists - use "set" to change it`);
+  }
+
+  const store = await createStore(fields);
+  await recordAudit({ actor, action: 'stores add', details: { id, name: store.name, shopDomain: store.shopDomain } });
+  console.log(`Added store ${store.id} "${store.name}" (${store.shopDomain}), syncing every ${store.syncIntervalMinutes} minutes`);
+}
+
+async function list() {
+  const stores = await listStores({ includeInactive: true });
+  if (stores.length === 0) {
+    console.log('No stores yet.');
+    return;
+  }
+  for (const store of stores) {
+    const state = store.active ? 'active' : 'disabled';
+    const webhooks = store.webhookSecret ? 'webhook secret set' : 'webhooks signed with client secret';
+    console.log(`${store.id}\t${store.name}\t${store.shopDomain}\t${state}\tevery ${store.syncIntervalMinutes}m, full at ${store.fullSyncHour}:00\t${webhooks}`);
+  }
+}
+
+async function set(id, field, ...valueParts) {
+  const spec = FIELDS[field];
+  if (!id || !spec || valueParts.length === 0) {
+    return fail(USAGE);
+  }
+  const [key, parse] = spec;
+  const changes = { [key]: parse(valueParts.join(' ')) };
+  const error = validateStore(changes, { partial: true });
+  if (error) {
+    return fail(error);
+  }
+
+  const store = await updateStore(id, changes);
+  if (!store) {
+    return fail(`No store with ID ${id}`);
+  }
+  const shown = SECRET_FIELDS.includes(key) ? '(hidden)' : changes[key];
+  await recordAudit({ actor, action: 'stores set', details: { id, field: key, value: shown } });
+  console.log(`Store ${id}: ${field} = ${shown}`);
+}
+
+async function setActive(id, active) {
+  if (!id) {
+    return fail(USAGE);
+  }
+  const store = await updateStore(id, { active });
+  if (!store) {
+    return fail(`No store with ID ${id}`);
+  }
+  await recordAudit({ actor, action: active ? 'stores enable' : 'stores disable', details: { id } });
+  console.log(`${active ? 'Enabled' : 'Disabled'} store ${id}`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const commands = {
+    add,
+    list,
+    set,
+    enable: id => setActive(id, true),
+    disable: id => setActive(id, false),
+  };
+  if (!commands[command]) {
+    return fail(USAGE);
+  }
+
+  await initializeDatabase();
+  await commands[command](...args);
+}
+
+main()
+  .catch(error => {
+    console.error('[STORES] Fatal:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
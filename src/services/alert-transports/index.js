@@ -0,0 +1,71 @@
+/**
+ * Alert Transport Registry
+ *
+ * A transport is { name, targetTypes, send(notification) } where notification is
+ *   { targetType, target, subject, text, items: [...] }
+ * and send() throws on failure so the alert is retried after the next sync.
+ *
+ * Email goes through SMTP when SMTP_HOST is set, webhooks through HTTP.
+ * ALERT_TRANSPORT=<name> sends everything through one transport instead,
+ * e.g. ALERT_TRANSPORT=log for local testing. Without either, email has no
+ * transport: deliveries fail (and are retried) rather than being dropped.
+ */
+
+const transports = new Map();
+
+/**
+ * Add or replace a transport
+ */
+function registerAlertTransport(transport) {
+  if (!transport.name || typeof transport.send !== 'function') {
+    throw new Error('Alert transport needs a "name" and a send() function');
+  }
+  transports.set(transport.name, transport);
+  return transport;
+}
+
+/**
+ * Name of the transport configured for a target type, or null when there is none
+ */
+function transportName(targetType) {
+  if (process.env.ALERT_TRANSPORT) return process.env.ALERT_TRANSPORT;
+  if (targetType === 'email') return process.env.SMTP_HOST ? 'smtp' : null;
+  return 'webhook';
+}
+
+/**
+ * Whether alerts for a target type can be delivered at all
+ */
+function hasTransport(targetType) {
+  const transport = transports.get(transportName(targetType));
+  return !!transport && (!transport.targetTypes || transport.targetTypes.includes(targetType));
+}
+
+/**
+ * Pick the transport for a target type ("email" | "webhook")
+ */
+function transportFor(targetType) {
+  const name = transportName(targetType);
+  if (!name) {
+    const error = new Error(`No alert transport configured for ${targetType} targets - set SMTP_HOST or ALERT_TRANSPORT`);
+    error.code = 'NO_TRANSPORT';
+    throw error;
+  }
+
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown alert transport "${name}"`);
+  }
+  if (transport.targetTypes && !transport.targetTypes.includes(targetType)) {
+    throw new Error(`Alert transport "${name}" can't deliver to ${targetType} targets`);
+  }
+  return transport;
+}
+
+[
+  require('./smtp'),
+  require('./webhook'),
+  require('./log'),
+].forEach(registerAlertTransport);
+
+module.exports = { registerAlertTransport, transportFor, hasTransport };
@@ -0,0 +1,23 @@
+/**
+ * Log transport - for local testing
+ * Appends each notification as a JSON line to ALERT_LOG_FILE, or logs it
+ * to the console when that isn't set.
+ */
+
+const fs = require('fs');
+
+module.exports = {
+  name: 'log',
+  targetTypes: ['email', 'webhook'],
+
+  async send(notification) {
+    const file = process.env.ALERT_LOG_FILE;
+    if (file) {
+      await fs.promises.appendFile(file, `${JSON.stringify({ ...notification, sentAt: new Date().toISOString() })}\n`);
+      console.log(`[ALERTS] Logged alert for ${notification.target} to ${file}`);
+      return;
+    }
+    console.log(`[ALERTS] (log transport) ${notification.targetType} ${notification.target}: ${notification.subject}`);
+    console.log(notification.text);
+  },
+};
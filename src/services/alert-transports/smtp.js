@@ -0,0 +1,56 @@
+/**
+ * SMTP transport - sends alert emails through nodemailer
+ *
+ *   SMTP_HOST, SMTP_PORT (default 587, or 465 when SMTP_SECURE=true)
+ *   SMTP_SECURE=true   implicit TLS; otherwise STARTTLS is used when offered
+ *   SMTP_USER, SMTP_PASS (optional)
+ *   ALERT_EMAIL_FROM   sender address (default SMTP_USER)
+ *
+ * Alerts are sent from inside the inventory sync, so every stage of the
+ * conversation - connecting, the greeting, each reply - is bounded by
+ * SMTP_TIMEOUT_MS and a dead mail server fails the delivery (to be retried)
+ * instead of stalling the sync.
+ */
+
+const nodemailer = require('nodemailer');
+
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+async function sendMail({ to, subject, text }) {
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    throw new Error('SMTP_HOST is not set');
+  }
+  const secure = process.env.SMTP_SECURE === 'true';
+  const port = parseInt(process.env.SMTP_PORT || (secure ? '465' : '587'), 10);
+  const from = process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER;
+  if (!from) {
+    throw new Error('ALERT_EMAIL_FROM (or SMTP_USER) is not set');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined,
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS,
+  });
+
+  try {
+    await transporter.sendMail({ from, to, subject, text });
+  } finally {
+    transporter.close();
+  }
+}
+
+module.exports = {
+  name: 'smtp',
+  targetTypes: ['email'],
+
+  async send(notification) {
+    await sendMail({ to: notification.target, subject: notification.subject, text: notification.text });
+    console.log(`[ALERTS] Emailed ${notification.target} (${notification.items.length} cards)`);
+  },
+};
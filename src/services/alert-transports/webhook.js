@@ -0,0 +1,138 @@
+/**
+ * Webhook transport - POSTs alert JSON to the subscriber's URL
+ *
+ * With ALERT_WEBHOOK_SECRET set, the body is signed the same way Shopify
+ * signs ours: base64 HMAC-SHA256 in the X-Cardsurfer-Hmac-Sha256 header.
+ *
+ * Subscribers choose the URL, so it must be https and resolve only to public
+ * addresses - checked when subscribing and again before every delivery (DNS
+ * can change in between). The delivery connects to the address that check
+ * resolved rather than looking the name up again, so a DNS answer that
+ * changes between the two (rebinding) can't point it somewhere private; the
+ * Host header and TLS server name are still the URL's host. Redirects are not
+ * followed.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  // BlockList checks IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+  return !BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function invalidWebhook(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_WEBHOOK';
+  return error;
+}
+
+/**
+ * Make sure a webhook URL is https and every address it resolves to is public
+ * Returns { url, addresses } ([{ address, family }]); throws an INVALID_WEBHOOK
+ * error with a client-facing message otherwise.
+ */
+async function checkWebhookUrl(target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    throw invalidWebhook('Invalid "webhookUrl"');
+  }
+  if (url.protocol !== 'https:') {
+    throw invalidWebhook('"webhookUrl" must be an https URL');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw invalidWebhook(`Can't resolve the "webhookUrl" host ${url.hostname}`);
+  }
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw invalidWebhook('"webhookUrl" must point to a public address');
+  }
+  return { url, addresses };
+}
+
+/**
+ * POST body to url, connecting to the already-checked address instead of
+ * resolving the host again. Resolves to the response status code.
+ */
+function postPinned(url, { address, family }, headers, body) {
+  // Answers the socket's lookup of url.hostname with the pinned address
+  const lookup = (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    }, (response) => {
+      // Only the status matters
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+module.exports = {
+  name: 'webhook',
+  targetTypes: ['webhook'],
+  checkWebhookUrl,
+
+  async send(notification) {
+    const { url, addresses } = await checkWebhookUrl(notification.target);
+
+    const body = JSON.stringify({
+      event: 'back_in_stock',
+      subject: notification.subject,
+      items: notification.items,
+      sentAt: new Date().toISOString(),
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'CardsurferDeckBuilder/1.0',
+    };
+    if (process.env.ALERT_WEBHOOK_SECRET) {
+      headers['X-Cardsurfer-Hmac-Sha256'] = crypto
+        .createHmac('sha256', process.env.ALERT_WEBHOOK_SECRET)
+        .update(body, 'utf8')
+        .digest('base64');
+    }
+
+    const status = await postPinned(url, addresses[0], headers, body);
+    if (status < 200 || status >= 300) {
+      // Includes 3xx - a redirect could point anywhere, so it counts as a failure
+      throw new Error(`Webhook responded ${status}`);
+    }
+    console.log(`[ALERTS] Webhook delivered to ${notification.target} (${notification.items.length} cards)`);
+  },
+};
@@ -0,0 +1,152 @@
+/**
+ * API Keys & Audit Log
+ *
+ * Admin endpoints take an API key as "Authorization: Bearer <key>" (or an
+ * "X-API-Key" header). Keys are random, shown once when created with the
+ * api-keys CLI (src/scripts/api-keys.js) and stored only as a SHA-256 hash.
+ * Each key carries scopes:
+ *
+ *   sync:trigger   start inventory syncs
+ *   aliases:write  edit card aliases and set code mappings
+ *   reports:read   sync history and reports, the audit log
+ *   cache:purge    purge the deck fetch cache
+ *   orders:draft   create Draft Orders for carts
+ *
+ * Every admin action - allowed or refused - goes to audit_log, as do key
+ * changes made through the CLI.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../database');
+
+const SCOPES = ['sync:trigger', 'aliases:write', 'reports:read', 'cache:purge', 'orders:draft'];
+const KEY_PREFIX = 'csk_';
+// Characters of the key kept in clear so staff can tell keys apart
+const DISPLAY_PREFIX_LENGTH = 12;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * Check a scope list
+ * Returns an error message, or null if every scope is known
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scope(s) ${unknown.join(', ')} - expected ${SCOPES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Create a key (call validateScopes first)
+ * Returns { apiKey, key } - key is the secret and can't be recovered later
+ */
+async function createApiKey(name, scopes) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const result = await pool.query(
+    'INSERT INTO api_keys (name, key_prefix, key_hash, scopes) VALUES ($1, $2, $3, $4) RETURNING *',
+    [name, key.slice(0, DISPLAY_PREFIX_LENGTH), hashKey(key), [...new Set(scopes)]]
+  );
+  console.log(`[AUTH] Created API key ${result.rows[0].id} "${name}" (${scopes.join(', ')})`);
+  return { apiKey: toApiKey(result.rows[0]), key };
+}
+
+/**
+ * All keys, including revoked ones
+ */
+async function listApiKeys() {
+  const result = await pool.query('SELECT * FROM api_keys ORDER BY id');
+  return result.rows.map(toApiKey);
+}
+
+/**
+ * Revoke a key
+ * Returns the revoked key, or null if it doesn't exist or was already revoked
+ */
+async function revokeApiKey(id) {
+  const result = await pool.query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING *',
+    [id]
+  );
+  if (result.rows.length === 0) return null;
+  console.log(`[AUTH] Revoked API key ${id} "${result.rows[0].name}"`);
+  return toApiKey(result.rows[0]);
+}
+
+/**
+ * Look up an active key from the secret a request presented
+ * Returns the key (and marks it used), or null if it's unknown or revoked
+ */
+async function authenticateKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+  const result = await pool.query(
+    'UPDATE api_keys SET last_used_at = NOW() WHERE key_hash = $1 AND revoked_at IS NULL RETURNING *',
+    [hashKey(key)]
+  );
+  return result.rows.length > 0 ? toApiKey(result.rows[0]) : null;
+}
+
+/**
+ * Write an audit log entry
+ * actor is the key name (or "cli:<user>"); action e.g. "POST /api/sync/trigger"
+ */
+async function recordAudit({ apiKeyId = null, actor, action, scope = null, statusCode = null, ip = null, details = null }) {
+  await pool.query(`
+    INSERT INTO audit_log (api_key_id, actor, action, scope, status_code, ip, details)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [apiKeyId, actor, action, scope, statusCode, ip, details ? JSON.stringify(details) : null]);
+}
+
+/**
+ * Audit entries, newest first
+ * Returns { entries, total }
+ */
+async function listAuditLog({ limit = 50, offset = 0 } = {}) {
+  const [result, count] = await Promise.all([
+    pool.query('SELECT * FROM audit_log ORDER BY created_at DESC, id DESC LIMIT $1 OFFSET $2', [limit, offset]),
+    pool.query('SELECT COUNT(*)::int AS total FROM audit_log'),
+  ]);
+  return {
+    entries: result.rows.map(row => ({
+      id: row.id,
+      apiKeyId: row.api_key_id,
+      actor: row.actor,
+      action: row.action,
+      scope: row.scope,
+      statusCode: row.status_code,
+      ip: row.ip,
+      details: row.details,
+      createdAt: row.created_at,
+    })),
+    total: count.rows[0].total,
+  };
+}
+
+module.exports = {
+  SCOPES,
+  validateScopes,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateKey,
+  recordAudit,
+  listAuditLog,
+};
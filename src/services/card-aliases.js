@@ -0,0 +1,94 @@
+/**
+ * Card Alias Service
+ *
+ * Staff-maintained mapping from alternate card names to the name we stock
+ * them under - Universes Beyond / Secret Lair names, regional names, common
+ * misspellings. Both sides are stored with their normalizeCardName() key so
+ * the matcher can resolve aliases with a single lookup.
+ */
+
+const { pool } = require('../database');
+const { normalizeCardName } = require('./card-names');
+
+/**
+ * List all aliases, alphabetically by alias
+ */
+async function listAliases() {
+  const result = await pool.query(
+    'SELECT id, alias, card_name, note, created_at FROM card_aliases ORDER BY alias'
+  );
+  return result.rows;
+}
+
+/**
+ * Check an alias/card name pair before saving
+ * Returns an error message, or null if the pair is usable
+ */
+function validateAlias(alias, cardName) {
+  if (typeof alias !== 'string' || typeof cardName !== 'string') {
+    return 'Both "alias" and "cardName" are required strings';
+  }
+  const normalizedAlias = normalizeCardName(alias);
+  const normalizedName = normalizeCardName(cardName);
+
+  if (!normalizedAlias || !normalizedName) {
+    return 'Alias and card name must contain letters or digits';
+  }
+  if (normalizedAlias === normalizedName) {
+    return `"${alias}" already matches "${cardName}" after normalization - no alias needed`;
+  }
+  return null;
+}
+
+/**
+ * Create or replace the alias for a name (call validateAlias first)
+ * Re-adding an existing alias (after normalization) repoints it at the new card.
+ */
+async function upsertAlias(alias, cardName, note = null) {
+  const normalizedAlias = normalizeCardName(alias);
+  const normalizedName = normalizeCardName(cardName);
+
+  const result = await pool.query(`
+    INSERT INTO card_aliases (alias, normalized_alias, card_name, normalized_name, note)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (normalized_alias) DO UPDATE SET
+      alias = EXCLUDED.alias,
+      card_name = EXCLUDED.card_name,
+      normalized_name = EXCLUDED.normalized_name,
+      note = EXCLUDED.note
+    RETURNING id, alias, card_name, note, created_at
+  `, [alias.trim(), normalizedAlias, cardName.trim(), normalizedName, note]);
+
+  console.log(`[ALIASES] "${alias}" -> "${cardName}"`);
+  return result.rows[0];
+}
+
+/**
+ * Delete an alias by ID
+ * Returns true if a row was removed
+ */
+async function deleteAlias(id) {
+  const result = await pool.query('DELETE FROM card_aliases WHERE id = $1', [id]);
+  console.log(`[ALIASES] Deleted alias ${id} (${result.rowCount} rows)`);
+  return result.rowCount > 0;
+}
+
+/**
+ * Resolve normalized names through the alias table
+ * Returns { [normalized alias]: normalized canonical name } for names that have an alias
+ */
+async function resolveAliases(normalizedNames) {
+  const resolved = {};
+  if (normalizedNames.length === 0) return resolved;
+
+  const result = await pool.query(
+    'SELECT normalized_alias, normalized_name FROM card_aliases WHERE normalized_alias = ANY($1::text[])',
+    [normalizedNames]
+  );
+  for (const row of result.rows) {
+    resolved[row.normalized_alias] = row.normalized_name;
+  }
+  return resolved;
+}
+
+module.exports = { listAliases, validateAlias, upsertAlias, deleteAlias, resolveAliases };
@@ -0,0 +1,76 @@
+/**
+ * Card Name Normalization
+ *
+ * One place that decides when two card names are "the same card", shared by
+ * the inventory sync (product titles) and the deck parsers (deck lists).
+ *
+ * Handles the ways names drift between deck sites and CardCatalyst titles:
+ *   "Lim-Dûl's Vault" / "Lim-Dul's Vault"         -> diacritics and punctuation
+ *   "Æther Vial" / "Aether Vial"                  -> ligatures
+ *   "Fable of the Mirror-Breaker // Reflection…"  -> front face only
+ *   "A-Teferi, Time Raveler"                      -> Alchemy rebalance prefix
+ *   "Sheoldred, the Apocalypse (Showcase)"        -> printing treatment tags
+ *
+ * Alternate names (Universes Beyond, Secret Lair) can't be derived from the
+ * string and live in the card_aliases table instead.
+ */
+
+// Parenthesized or bracketed groups containing any of these words describe a
+// printing, not the card. Real names with parentheses ("B.F.M. (Big Furry
+// Monster)") don't contain them.
+const TREATMENT_PATTERN = /\s*[([][^)\]]*\b(?:showcase|borderless|extended(?: art)?|full art|retro(?: frame)?|etched|foil|galaxy|surge|textured|serialized|alternate art|alt art|prerelease|promo|stamped|japanese|anime|phyrexian|concept art|oversized|display commander|judge|bundle|buy-a-box|box topper|gilded|halo|confetti|neon|step-and-compleat)\b[^)\]]*[)\]]/gi;
+
+/**
+ * Keep only the front face of a double-faced, split or adventure card
+ * "Fell the Profane // Fell Mire" -> "Fell the Profane"
+ */
+function frontFace(name) {
+  return name.split(/\s*\/\/\s*/)[0].trim();
+}
+
+/**
+ * Remove printing treatment tags such as "(Showcase)" or "[Borderless]"
+ */
+function stripTreatments(name) {
+  return name.replace(TREATMENT_PATTERN, '').trim();
+}
+
+/**
+ * List the treatment tags found in a name, e.g. ["Showcase", "Foil Etched"]
+ */
+function extractTreatments(name) {
+  return (name.match(TREATMENT_PATTERN) || []).map(tag => tag.trim().slice(1, -1).trim());
+}
+
+/**
+ * Clean a card name for display: treatment tags removed, whitespace collapsed
+ * Faces are kept so product titles still show the full DFC name
+ */
+function displayCardName(name) {
+  return stripTreatments(name).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Canonical comparison key for a card name (stored as products.normalized_name)
+ * "Lim-Dûl's Vault" -> "lim duls vault"
+ */
+function normalizeCardName(name) {
+  if (!name) return '';
+
+  let normalized = stripTreatments(frontFace(name.trim()));
+
+  // Alchemy rebalanced cards: "A-Teferi, Time Raveler" -> "Teferi, Time Raveler"
+  normalized = normalized.replace(/^A-(?=\S)/, '');
+
+  return normalized
+    .replace(/[Ææ]/g, 'ae')
+    .replace(/[Œœ]/g, 'oe')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['`\u2018\u2019\u201B\u2032]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+module.exports = { normalizeCardName, displayCardName, frontFace, stripTreatments, extractTreatments };
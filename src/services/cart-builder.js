@@ -0,0 +1,166 @@
+/**
+ * Cart Builder Service
+ *
+ * Turns a set of selected variants into something the customer can check out
+ * with in one click: a storefront cart permalink (/cart/variantId:qty,...) or,
+ * for decks too large for a URL, a Shopify Draft Order with an invoice link.
+ *
+ * A cart belongs to one store: Shopify carts and Draft Orders can't mix
+ * variants from sister locations. Quantities are clamped to what's in stock
+ * locally; anything that couldn't be filled, including variants stocked by
+ * another store, is reported back as a shortfall.
+ */
+
+const { pool } = require('../database');
+const { shopifyGraphQL } = require('./shopify-graphql');
+const { storefrontUrl } = require('./stores');
+
+// Past this length some browsers and proxies start truncating the permalink
+const MAX_PERMALINK_LENGTH = 2000;
+
+/**
+ * Build a clamped cart at a store (a stores.js record) from [{ variantId, quantity }]
+ * Quantities must be positive integers (the route checks). Duplicate variant IDs
+ * are merged before clamping.
+ *
+ * Returns {
+ *   lineItems: [{ variantId, quantity, price, cardName, setName, condition, finish }],
+ *   shortfalls: [{ variantId, requested, available, reason, store? }],
+ *   permalink, permalinkTooLong, totalQuantity, totalPrice
+ * }
+ */
+async function buildCart(items, store) {
+  const requested = new Map();
+  for (const item of items) {
+    const variantId = String(item.variantId);
+    const quantity = item.quantity;
+    requested.set(variantId, (requested.get(variantId) || 0) + quantity);
+  }
+
+  console.log(`[CART] Building ${store.id} cart for ${requested.size} variants (${items.length} items requested)`);
+
+  const result = await pool.query(`
+    SELECT v.shopify_variant_id, v.store_id, v.price, v.quantity, v.condition, v.finish,
+      p.card_name, p.set_name
+    FROM variants v
+    JOIN products p ON p.shopify_product_id = v.shopify_product_id
+    WHERE v.shopify_variant_id = ANY($1::bigint[])
+  `, [[...requested.keys()]]);
+
+  const stock = {};
+  for (const row of result.rows) {
+    stock[row.shopify_variant_id.toString()] = row;
+  }
+
+  const lineItems = [];
+  const shortfalls = [];
+
+  for (const [variantId, quantity] of requested) {
+    const row = stock[variantId];
+    if (!row) {
+      shortfalls.push({ variantId, requested: quantity, available: 0, reason: 'not_found' });
+      continue;
+    }
+    if (row.store_id !== store.id) {
+      shortfalls.push({ variantId, requested: quantity, available: 0, reason: 'other_store', store: row.store_id });
+      continue;
+    }
+
+    const available = Math.max(row.quantity, 0);
+    const clamped = Math.min(quantity, available);
+
+    if (clamped < quantity) {
+      shortfalls.push({ variantId, requested: quantity, available, reason: 'insufficient_stock' });
+    }
+    if (clamped > 0) {
+      lineItems.push({
+        variantId,
+        quantity: clamped,
+        price: parseFloat(row.price),
+        cardName: row.card_name,
+        setName: row.set_name,
+        condition: row.condition,
+        finish: row.finish,
+      });
+    }
+  }
+
+  const permalink = lineItems.length > 0
+    ? `${storefrontUrl(store)}/cart/${lineItems.map(item => `${item.variantId}:${item.quantity}`).join(',')}`
+    : null;
+  const totalQuantity = lineItems.reduce((sum, item) => sum + item.quantity, 0);
+  const totalPrice = Math.round(lineItems.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+
+  console.log(`[CART] Cart built: ${lineItems.length} lines, ${totalQuantity} cards, $${totalPrice}, ${shortfalls.length} shortfalls`);
+
+  return {
+    lineItems,
+    shortfalls,
+    permalink,
+    permalinkTooLong: permalink ? permalink.length > MAX_PERMALINK_LENGTH : false,
+    totalQuantity,
+    totalPrice,
+  };
+}
+
+/**
+ * Create a Shopify Draft Order at a store for the given line items
+ * Returns { id, name, invoiceUrl, totalPrice, currencyCode }; when Shopify
+ * refuses the input the error has code "DRAFT_ORDER_REJECTED".
+ */
+async function createDraftOrder(store, lineItems, { email = null, note = null } = {}) {
+  console.log(`[CART] Creating ${store.id} draft order with ${lineItems.length} line items`);
+
+  const mutation = `
+    mutation CreateDraftOrder($input: DraftOrderInput!) {
+      draftOrderCreate(input: $input) {
+        draftOrder {
+          id
+          name
+          invoiceUrl
+          totalPriceSet {
+            shopMoney {
+              amount
+              currencyCode
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const input = {
+    lineItems: lineItems.map(item => ({
+      variantId: `gid://shopify/ProductVariant/${item.variantId}`,
+      quantity: item.quantity,
+    })),
+    tags: ['deck-builder'],
+  };
+  if (email) input.email = email;
+  if (note) input.note = note;
+
+  const data = await shopifyGraphQL(store, mutation, { input });
+  const { draftOrder, userErrors } = data.data.draftOrderCreate;
+
+  if (userErrors && userErrors.length > 0) {
+    console.error('[CART] draftOrderCreate user errors:', JSON.stringify(userErrors));
+    const error = new Error(`Failed to create draft order: ${userErrors.map(e => e.message).join('; ')}`);
+    error.code = 'DRAFT_ORDER_REJECTED';
+    throw error;
+  }
+
+  console.log(`[CART] Created draft order ${draftOrder.name}`);
+  return {
+    id: draftOrder.id,
+    name: draftOrder.name,
+    invoiceUrl: draftOrder.invoiceUrl,
+    totalPrice: parseFloat(draftOrder.totalPriceSet.shopMoney.amount),
+    currencyCode: draftOrder.totalPriceSet.shopMoney.currencyCode,
+  };
+}
+
+module.exports = { buildCart, createDraftOrder };
@@ -0,0 +1,147 @@
+/**
+ * Deck Fetch Cache
+ *
+ * Deck site fetches are cached in Postgres (deck_fetch_cache), one row per
+ * source and deck ID, so re-importing a deck doesn't hit the site every time:
+ *
+ *   - younger than DECK_CACHE_TTL_SECONDS (default 300)  served as is ("hit")
+ *   - older, or refresh requested                        revalidated with
+ *     If-None-Match / If-Modified-Since when the source sent an ETag or
+ *     Last-Modified ("revalidated" on a 304, "refreshed" when it changed)
+ *   - not cached                                         fetched ("miss")
+ *
+ * When the site is down (timeout, unreachable, 5xx/429) or our own fetch limit
+ * is used up, an entry up to DECK_CACHE_MAX_STALE_HOURS old (default 168) is
+ * served instead, flagged "stale". A 403/404/410 drops the entry - the deck
+ * was deleted or made private. Entries past the stale limit are pruned daily.
+ */
+
+const { pool } = require('../database');
+const { findDeckSource } = require('./deck-sources');
+
+const DECK_CACHE_TTL_SECONDS = parseInt(process.env.DECK_CACHE_TTL_SECONDS || '300', 10);
+const DECK_CACHE_MAX_STALE_HOURS = parseInt(process.env.DECK_CACHE_MAX_STALE_HOURS || '168', 10);
+
+// Failures that say nothing about the deck itself, so a cached copy still stands
+const STALE_ON = ['SOURCE_UNAVAILABLE', 'RATE_LIMITED'];
+const GONE_STATUSES = [403, 404, 410];
+
+/**
+ * The cache key for a source's pattern match: its captured IDs joined with "/"
+ */
+function deckKey(match) {
+  return match.slice(1).filter(part => part !== undefined).join('/');
+}
+
+/**
+ * Resolve a deck URL to its cache entry's { source, key }, or null if it isn't a supported deck URL
+ */
+function deckCacheKey(url) {
+  const found = findDeckSource(url.trim());
+  const match = found && found.target.match(found.source.pattern);
+  return match ? { source: found.source.name, key: deckKey(match) } : null;
+}
+
+async function readEntry(source, key) {
+  const result = await pool.query(`
+    SELECT *,
+      fetched_at > NOW() - make_interval(secs => $3) AS fresh,
+      fetched_at > NOW() - make_interval(hours => $4) AS servable
+    FROM deck_fetch_cache
+    WHERE source = $1 AND deck_key = $2
+  `, [source, key, DECK_CACHE_TTL_SECONDS, DECK_CACHE_MAX_STALE_HOURS]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a deck's raw source data through the cache
+ * beforeFetch runs before any request to the site (the fetch limits); a
+ * RATE_LIMITED error from it falls back to a stale entry like a site outage.
+ * Returns { raw, cache: { status, stale, fetchedAt, reason? } }
+ */
+async function fetchCachedDeck(source, match, { refresh = false, beforeFetch = () => {} } = {}) {
+  const key = deckKey(match);
+  const entry = await readEntry(source.name, key);
+
+  if (entry?.fresh && !refresh) {
+    console.log(`[DECK CACHE] Hit ${source.name}/${key}`);
+    return { raw: entry.raw, cache: { status: 'hit', stale: false, fetchedAt: entry.fetched_at } };
+  }
+
+  let fetched;
+  try {
+    beforeFetch();
+    fetched = await source.fetchDeck(match, {
+      etag: entry?.etag ?? null,
+      lastModified: entry?.last_modified ?? null,
+    });
+  } catch (error) {
+    if (entry && GONE_STATUSES.includes(error.status)) {
+      await pool.query('DELETE FROM deck_fetch_cache WHERE source = $1 AND deck_key = $2', [source.name, key]);
+      console.log(`[DECK CACHE] Dropped ${source.name}/${key} - ${source.label} returned ${error.status}`);
+    } else if (entry?.servable && STALE_ON.includes(error.code)) {
+      console.warn(`[DECK CACHE] Serving stale ${source.name}/${key} from ${entry.fetched_at.toISOString()}: ${error.message}`);
+      return {
+        raw: entry.raw,
+        cache: { status: 'stale', stale: true, fetchedAt: entry.fetched_at, reason: error.message },
+      };
+    }
+    throw error;
+  }
+
+  if (fetched.notModified && entry) {
+    const touched = await pool.query(`
+      UPDATE deck_fetch_cache
+      SET fetched_at = NOW(), etag = COALESCE($3, etag), last_modified = COALESCE($4, last_modified)
+      WHERE source = $1 AND deck_key = $2
+      RETURNING fetched_at
+    `, [source.name, key, fetched.etag, fetched.lastModified]);
+    console.log(`[DECK CACHE] Revalidated ${source.name}/${key} - not modified`);
+    return {
+      raw: entry.raw,
+      cache: { status: 'revalidated', stale: false, fetchedAt: touched.rows[0]?.fetched_at ?? entry.fetched_at },
+    };
+  }
+
+  const stored = await pool.query(`
+    INSERT INTO deck_fetch_cache (source, deck_key, raw, etag, last_modified)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (source, deck_key) DO UPDATE SET
+      raw = EXCLUDED.raw,
+      etag = EXCLUDED.etag,
+      last_modified = EXCLUDED.last_modified,
+      fetched_at = NOW()
+    RETURNING fetched_at
+  `, [source.name, key, JSON.stringify(fetched.body), fetched.etag, fetched.lastModified]);
+  const status = entry ? 'refreshed' : 'miss';
+  console.log(`[DECK CACHE] Stored ${source.name}/${key} (${status})`);
+  return { raw: fetched.body, cache: { status, stale: false, fetchedAt: stored.rows[0].fetched_at } };
+}
+
+/**
+ * Delete cache entries: one deck (source + key), every deck of a source, or everything
+ * Returns the number of entries deleted
+ */
+async function purgeDeckCache({ source = null, key = null } = {}) {
+  const result = await pool.query(`
+    DELETE FROM deck_fetch_cache
+    WHERE ($1::text IS NULL OR source = $1) AND ($2::text IS NULL OR deck_key = $2)
+  `, [source, key]);
+  const scope = source ? `${source}${key ? `/${key}` : ''}` : 'all sources';
+  console.log(`[DECK CACHE] Purged ${result.rowCount} entries (${scope})`);
+  return result.rowCount;
+}
+
+/**
+ * Drop entries too old to be served even as stale
+ */
+async function pruneDeckCache() {
+  const result = await pool.query(
+    'DELETE FROM deck_fetch_cache WHERE fetched_at < NOW() - make_interval(hours => $1)',
+    [DECK_CACHE_MAX_STALE_HOURS]
+  );
+  console.log(`[DECK CACHE] Pruned ${result.rowCount} entries older than ${DECK_CACHE_MAX_STALE_HOURS}h`);
+  return result.rowCount;
+}
+
+module.exports = { fetchCachedDeck, deckCacheKey, purgeDeckCache, pruneDeckCache };
@@ -0,0 +1,262 @@
+/**
+ * Deck File Parsing
+ *
+ * Deck lists that arrive as files (uploaded or pasted) rather than text:
+ * - MTGO .dek XML
+ * - CSV exports from Moxfield, ManaBox, Dragon Shield and TCGplayer
+ *
+ * CSV headers differ per app, so each field is looked up under every header
+ * name we know of. Rows that can't be read are reported in "errors" with the
+ * same { line, text, reason } shape the text parser uses.
+ */
+
+const { displayCardName, frontFace } = require('./card-names');
+const { makeCard } = require('./deck-text');
+const { decodeHtmlEntities } = require('./deck-sources/common');
+const { isYdkFile } = require('./deck-games');
+
+// Header names per field, most specific first (compared lowercased, with
+// spaces/underscores collapsed). TCGplayer's "Simple Name" drops treatments.
+const CSV_COLUMNS = {
+  quantity: ['quantity', 'count', 'qty', 'total qty', 'amount'],
+  name: ['simple name', 'card name', 'name', 'card'],
+  setCode: ['set code', 'edition code', 'edition', 'set'],
+  collectorNumber: ['collector number', 'card number', 'number', 'cn'],
+  finish: ['finish', 'foil', 'printing'],
+  condition: ['condition'],
+};
+
+// Condition spellings across exports -> the store's condition names
+const CONDITIONS = {
+  mint: 'Near Mint',
+  nearmint: 'Near Mint',
+  nm: 'Near Mint',
+  excellent: 'Lightly Played',
+  lightlyplayed: 'Lightly Played',
+  lightplayed: 'Lightly Played',
+  slightlyplayed: 'Lightly Played',
+  lp: 'Lightly Played',
+  sp: 'Lightly Played',
+  good: 'Moderately Played',
+  moderatelyplayed: 'Moderately Played',
+  played: 'Moderately Played',
+  mp: 'Moderately Played',
+  heavilyplayed: 'Heavily Played',
+  hp: 'Heavily Played',
+  poor: 'Damaged',
+  damaged: 'Damaged',
+  dmg: 'Damaged',
+};
+
+/**
+ * Does the input look like an MTGO .dek file?
+ */
+function isDekXml(text) {
+  return /^(?:<\?xml[^>]*>\s*)?<Deck\b/i.test(text) && /<Cards\b/i.test(text);
+}
+
+/**
+ * Parse an MTGO .dek file
+ *   <Cards CatID="12345" Quantity="4" Sideboard="false" Name="Lightning Bolt" />
+ */
+function parseDekXml(xml) {
+  const cards = [];
+  const errors = [];
+  const lines = xml.split('\n');
+
+  console.log(`[PARSER] Parsing MTGO .dek file (${lines.length} lines)...`);
+
+  lines.forEach((line, i) => {
+    for (const tag of line.match(/<Cards\b[^>]*>/gi) || []) {
+      const attributes = {};
+      for (const [, key, value] of tag.matchAll(/(\w+)\s*=\s*"([^"]*)"/g)) {
+        attributes[key.toLowerCase()] = decodeHtmlEntities(value);
+      }
+
+      const quantity = parseInt(attributes.quantity, 10);
+      const name = displayCardName(frontFace(attributes.name || ''));
+      if (!name || !(quantity > 0)) {
+        errors.push({ line: i + 1, text: tag, reason: 'Missing card name or quantity' });
+        continue;
+      }
+
+      cards.push(makeCard(name, quantity, {
+        board: attributes.sideboard === 'true' ? 'sideboard' : 'mainboard',
+      }));
+    }
+  });
+
+  console.log(`[PARSER] Parsed ${cards.length} cards from .dek (${errors.length} errors)`);
+  return { cards, errors };
+}
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields ("" escapes,
+ * embedded delimiters and newlines). Each row keeps the line it started on.
+ */
+function splitCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n') {
+      row.push(field.replace(/\r$/, ''));
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field.replace(/\r$/, ''));
+    rows.push({ line: rowLine, fields: row });
+  }
+
+  return rows.filter(r => r.fields.some(f => f.trim()));
+}
+
+function headerKey(header) {
+  return header.trim().toLowerCase().replace(/[\s_]+/g, ' ');
+}
+
+/**
+ * Work out the delimiter and header row of a CSV export
+ * Returns { delimiter, skipLines } or null when the text isn't a CSV we know.
+ * Dragon Shield exports start with an Excel "sep=," hint line.
+ */
+function detectCsv(text) {
+  const lines = text.split('\n').map(l => l.trim());
+  let skipLines = 0;
+  let delimiter = null;
+
+  const hint = lines[0] && lines[0].match(/^"?sep=(.)"?$/i);
+  if (hint) {
+    delimiter = hint[1];
+    skipLines = 1;
+  }
+
+  const header = lines[skipLines];
+  if (!header) return null;
+
+  if (!delimiter) {
+    delimiter = [',', ';', '\t']
+      .map(d => ({ d, count: header.split(d).length }))
+      .sort((a, b) => b.count - a.count)[0].d;
+  }
+
+  const keys = header.split(delimiter).map(h => headerKey(h.replace(/^"|"$/g, '')));
+  const hasName = CSV_COLUMNS.name.some(name => keys.includes(name));
+  const hasQuantity = CSV_COLUMNS.quantity.some(name => keys.includes(name));
+  return hasName && hasQuantity ? { delimiter, skipLines } : null;
+}
+
+/**
+ * Map a CSV finish cell ("foil", "etched", "Foil", "Normal", "true") to our finish
+ */
+function csvFinish(value, column) {
+  const v = (value || '').trim().toLowerCase();
+  if (!v) return null;
+  if (v.includes('etched')) return 'etched';
+  if (v === 'foil' || (column === 'foil' && ['true', 'yes', '1'].includes(v))) return 'foil';
+  return null;
+}
+
+/**
+ * Map a CSV condition cell to the store's condition name, keeping unknown values as-is
+ */
+function csvCondition(value) {
+  const raw = (value || '').replace(/\bfoil\b/i, '').trim();
+  if (!raw) return null;
+  return CONDITIONS[raw.toLowerCase().replace(/[\s_-]+/g, '')] || raw;
+}
+
+/**
+ * Parse a CSV collection/deck export
+ */
+function parseCsvDeckList(text) {
+  const cards = [];
+  const errors = [];
+  const detected = detectCsv(text);
+  if (!detected) {
+    return { cards, errors: [{ line: 1, text: text.split('\n')[0], reason: 'Unrecognized CSV header' }] };
+  }
+
+  const rows = splitCsv(text, detected.delimiter).slice(detected.skipLines);
+  const headers = rows[0].fields.map(headerKey);
+  const column = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    const name = names.find(n => headers.includes(n));
+    column[field] = name ? { name, index: headers.indexOf(name) } : null;
+  }
+
+  const mapped = Object.entries(column).filter(([, c]) => c).map(([field, c]) => `${field}="${c.name}"`);
+  console.log(`[PARSER] Parsing CSV (${rows.length - 1} rows), columns: ${mapped.join(', ')}`);
+
+  for (const row of rows.slice(1)) {
+    const cell = (field) => (column[field] ? (row.fields[column[field].index] || '').trim() : '');
+    const quantity = parseInt(cell('quantity'), 10);
+    const name = displayCardName(frontFace(cell('name')));
+
+    if (!name || !(quantity > 0)) {
+      errors.push({ line: row.line, text: row.fields.join(detected.delimiter), reason: 'Missing card name or quantity' });
+      continue;
+    }
+
+    const setCode = cell('setCode');
+    cards.push(makeCard(name, quantity, {
+      // Some exports put the set name in "Set"; only codes are useful here
+      setCode: /^[A-Za-z0-9]{2,6}$/.test(setCode) ? setCode : null,
+      collectorNumber: cell('collectorNumber') || null,
+      finish: csvFinish(cell('finish'), column.finish?.name),
+      condition: csvCondition(cell('condition')),
+    }));
+  }
+
+  console.log(`[PARSER] Parsed ${cards.length} cards from CSV (${errors.length} errors)`);
+  if (errors.length > 0) {
+    console.log(`[PARSER] Parse errors:`, JSON.stringify(errors));
+  }
+  return { cards, errors };
+}
+
+/**
+ * Detect a file format: "dek", "ydk" (Yu-Gi-Oh!, see deck-games.js), "csv" or null (plain text)
+ * A file name extension wins over sniffing the content.
+ */
+function detectFileFormat(text, fileName = null) {
+  const extension = fileName ? (fileName.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase() : null;
+  if (extension === 'dek' || isDekXml(text)) return 'dek';
+  if (extension === 'ydk' || isYdkFile(text)) return 'ydk';
+  if (extension === 'csv' || detectCsv(text)) return 'csv';
+  return null;
+}
+
+module.exports = { parseDekXml, parseCsvDeckList, detectFileFormat };
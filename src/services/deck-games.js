@@ -0,0 +1,212 @@
+/**
+ * Deck Lists for Other Games
+ *
+ * - Pokémon TCG Live exports: "4 Charmander MEW 4" lines under "Pokémon: 12",
+ *   "Trainer: 30" and "Energy: 10" headers
+ * - Yu-Gi-Oh! .ydk files (one passcode per line under #main / #extra / !side)
+ *   and YDKE URLs ("ydke://<main>!<extra>!<side>!", each part base64 of
+ *   little-endian uint32 passcodes). Passcodes become names through
+ *   ygo-cards.js; the Extra Deck goes on board "extradeck". A legal deck has
+ *   at most 90 cards, so anything past MAX_YGO_CARDS is refused before any
+ *   lookup.
+ * - Lorcana lists from Dreamborn ("4 Elsa - Spirit of Winter") are plain text
+ *   and go through the text parser; looksLikeLorcanaList() spots them.
+ *
+ * Results use the same { cards, errors } shape as the Magic parsers.
+ */
+
+const { makeCard } = require('./deck-text');
+const { resolvePasscodes } = require('./ygo-cards');
+
+const PTCGL_SECTION = /^(Pok[eé]mon|Trainer|Energy)\s*:\s*\d+\s*$/i;
+
+// Main (60) + Extra (15) + Side (15) is 90; leave a little slack
+const MAX_YGO_CARDS = 100;
+
+function tooManyYgoCards() {
+  return new Error(`A Yu-Gi-Oh! deck can have at most ${MAX_YGO_CARDS} cards`);
+}
+
+/**
+ * Does the input look like a Pokémon TCG Live export?
+ */
+function isPtcgLiveExport(text) {
+  return text.split('\n').some(line => PTCGL_SECTION.test(line.trim()));
+}
+
+/**
+ * Parse a Pokémon TCG Live export
+ *   Pokémon: 12
+ *   4 Charmander MEW 4
+ *   Trainer: 30
+ *   4 Professor's Research SVI 189
+ *   ...
+ *   Total Cards: 60
+ * Set code and number become setCode / collectorNumber.
+ */
+function parsePtcgLiveExport(text) {
+  const cards = [];
+  const errors = [];
+  const lines = text.split('\n');
+
+  console.log(`[PARSER] Parsing Pokémon TCG Live export (${lines.length} lines)...`);
+
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line || PTCGL_SECTION.test(line) || /^Total Cards\s*:/i.test(line)) return;
+
+    const match = line.match(/^(\d+)\s+(.+?)(?:\s+([A-Z][A-Z0-9]{1,4}(?:-[A-Z0-9]{1,4})?)\s+([A-Z]{0,4}\d{1,3}[a-z]?))?$/);
+    const quantity = match ? parseInt(match[1], 10) : 0;
+    if (!match || !(quantity > 0)) {
+      errors.push({ line: i + 1, text: line, reason: 'Could not parse line' });
+      return;
+    }
+
+    cards.push(makeCard(match[2].trim(), quantity, {
+      setCode: match[3] || null,
+      collectorNumber: match[4] || null,
+      board: 'mainboard',
+    }));
+  });
+
+  console.log(`[PARSER] Parsed ${cards.length} cards from Pokémon TCG Live export (${errors.length} errors)`);
+  return { cards, errors };
+}
+
+const YDK_SECTIONS = { '#main': 'mainboard', '#extra': 'extradeck', '!side': 'sideboard' };
+
+/**
+ * Does the input look like a .ydk file?
+ */
+function isYdkFile(text) {
+  return /^#main\s*$/im.test(text) && /^\d{4,10}\s*$/m.test(text);
+}
+
+/**
+ * Turn { passcode, board, line } entries into cards, one per board and card
+ */
+async function cardsFromPasscodes(entries, errors, lookupOptions) {
+  const names = await resolvePasscodes(entries.map(entry => entry.passcode), lookupOptions);
+  const cards = [];
+  const byKey = new Map();
+
+  for (const entry of entries) {
+    const name = names.get(entry.passcode);
+    if (!name) {
+      errors.push({ line: entry.line, text: entry.passcode, reason: 'Unknown Yu-Gi-Oh! passcode' });
+      continue;
+    }
+    const key = `${entry.board}|${entry.passcode}`;
+    if (byKey.has(key)) {
+      byKey.get(key).quantity++;
+      continue;
+    }
+    const card = makeCard(name, 1, { board: entry.board });
+    byKey.set(key, card);
+    cards.push(card);
+  }
+
+  console.log(`[PARSER] Parsed ${cards.length} Yu-Gi-Oh! cards (${errors.length} errors)`);
+  return { cards, errors };
+}
+
+/**
+ * Parse a .ydk file; lookupOptions are passed to resolvePasscodes()
+ *   #created by ...
+ *   #main
+ *   14558127
+ *   #extra
+ *   ...
+ *   !side
+ *   ...
+ */
+async function parseYdkFile(text, lookupOptions = {}) {
+  const entries = [];
+  const errors = [];
+  const lines = text.split('\n');
+  let board = 'mainboard';
+
+  console.log(`[PARSER] Parsing Yu-Gi-Oh! .ydk file (${lines.length} lines)...`);
+
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const section = YDK_SECTIONS[line.toLowerCase()];
+    if (section) {
+      board = section;
+      return;
+    }
+    // "#created by ..." and other comments
+    if (line.startsWith('#') || line.startsWith('!')) return;
+
+    if (!/^\d{4,10}$/.test(line)) {
+      errors.push({ line: i + 1, text: line, reason: 'Expected a card passcode' });
+      return;
+    }
+    entries.push({ passcode: String(parseInt(line, 10)), board, line: i + 1 });
+  });
+
+  if (entries.length > MAX_YGO_CARDS) {
+    throw tooManyYgoCards();
+  }
+
+  return cardsFromPasscodes(entries, errors, lookupOptions);
+}
+
+/**
+ * Is the input a YDKE URL?
+ */
+function isYdkeUrl(text) {
+  return /^ydke:\/\//i.test(text);
+}
+
+/**
+ * Parse a YDKE URL; lookupOptions are passed to resolvePasscodes()
+ * Throws if the URL is malformed.
+ */
+async function parseYdkeUrl(text, lookupOptions = {}) {
+  const match = text.match(/^ydke:\/\/([A-Za-z0-9+/=]*)!([A-Za-z0-9+/=]*)!([A-Za-z0-9+/=]*)!?$/i);
+  if (!match) {
+    throw new Error('Invalid YDKE URL. Expected format: ydke://<main>!<extra>!<side>!');
+  }
+
+  console.log('[PARSER] Parsing YDKE URL...');
+  const sections = [match[1], match[2], match[3]].map(part => Buffer.from(part, 'base64'));
+  if (sections.some(bytes => bytes.length % 4 !== 0)) {
+    throw new Error('Invalid YDKE URL: a deck section is not a whole number of passcodes');
+  }
+  if (sections.reduce((sum, bytes) => sum + bytes.length / 4, 0) > MAX_YGO_CARDS) {
+    throw tooManyYgoCards();
+  }
+
+  const entries = [];
+  ['mainboard', 'extradeck', 'sideboard'].forEach((board, i) => {
+    const bytes = sections[i];
+    for (let offset = 0; offset < bytes.length; offset += 4) {
+      entries.push({ passcode: String(bytes.readUInt32LE(offset)), board, line: 1 });
+    }
+  });
+
+  return cardsFromPasscodes(entries, [], lookupOptions);
+}
+
+/**
+ * Lorcana character names carry a " - " subtitle ("Elsa - Spirit of Winter"),
+ * which Magic names never do. Treat a text list as Lorcana when at least half
+ * of its card lines have one.
+ */
+function looksLikeLorcanaList(text) {
+  const cardLines = text.split('\n').map(line => line.trim()).filter(line => /^\d+\s*x?\s+\S/i.test(line));
+  const withSubtitle = cardLines.filter(line => /\S\s+-\s+\S/.test(line));
+  return cardLines.length > 0 && withSubtitle.length * 2 >= cardLines.length;
+}
+
+module.exports = {
+  isPtcgLiveExport,
+  parsePtcgLiveExport,
+  isYdkFile,
+  parseYdkFile,
+  isYdkeUrl,
+  parseYdkeUrl,
+  looksLikeLorcanaList,
+};
@@ -3,43 +3,75 @@
  * 
  * Takes a list of card names (from a deck list) and queries the local database
  * to find all available variants across all printings in inventory.
+ *
+ * Matching and search look at one store's inventory (stores.js) - the default
+ * store unless options.store names another. store null looks at every active
+ * store; each printing carries storeId and storeName either way.
  */
 
 const { pool } = require('../database');
+const { normalizeCardName } = require('./card-names');
+const { resolveAliases } = require('./card-aliases');
+const { resolveFaceNames } = require('./oracle-cards');
+const { resolveSetNames } = require('./set-codes');
+const { DEFAULT_STORE_ID } = require('./stores');
+
+// Fuzzy suggestions at or above this similarity (0-1) are accepted automatically
+const FUZZY_MATCH_THRESHOLD = parseFloat(process.env.FUZZY_MATCH_THRESHOLD || '0.6');
+// ...as long as the runner-up trails by at least this much
+const FUZZY_MATCH_MARGIN = 0.1;
+const FUZZY_SUGGESTION_LIMIT = 5;
 
 /**
- * Find all in-stock variants for a list of card names
- * Returns grouped results: each card name maps to all available printings/variants
+ * Fetch in-stock variants for normalized card names (see normalizeCardName)
+ * game (a games.js id) limits them to one game; null searches every game.
+ * store (a store ID) limits them to one store; null searches every active store.
+ * Returns { [normalized name]: { cardName, printings } }
  */
-async function matchDeckList(cardNames) {
-  if (!cardNames || cardNames.length === 0) {
-    console.log('[MATCHER] No card names provided, returning empty');
-    return [];
-  }
-
-  console.log(`[MATCHER] Matching ${cardNames.length} cards against inventory...`);
-  console.log(`[MATCHER] First few cards: ${cardNames.slice(0, 5).join(', ')}${cardNames.length > 5 ? '...' : ''}`);
-
-  // Normalize card names for matching (lowercase, trim whitespace)
-  const normalizedNames = cardNames.map(name => name.trim().toLowerCase());
+async function fetchPrintings(normalizedNames, { game = null, store = DEFAULT_STORE_ID } = {}) {
+  const grouped = {};
+  if (normalizedNames.length === 0) return grouped;
 
   const query = `
     SELECT 
       p.card_name,
+      p.normalized_name,
       p.set_name,
       p.title,
       p.image_url,
       p.product_url,
       p.handle,
+      p.game,
+      p.oracle_id,
+      p.scryfall_id,
+      p.product_type,
+      p.vendor,
+      p.tags,
+      p.rarity,
+      p.language,
+      p.tcgplayer_id,
+      p.metafields,
+      cp.set_code,
+      COALESCE(p.collector_number, cp.collector_number) AS collector_number,
+      oc.type_line,
+      oc.color_identity,
+      oc.legalities,
       v.shopify_variant_id,
       v.condition,
       v.finish,
       v.price,
       v.quantity,
-      v.sku
+      v.sku,
+      p.store_id,
+      s.name AS store_name
     FROM products p
     JOIN variants v ON p.shopify_product_id = v.shopify_product_id
-    WHERE LOWER(p.card_name) = ANY($1::text[])
+    LEFT JOIN stores s ON s.id = p.store_id
+    LEFT JOIN oracle_cards oc ON oc.oracle_id = p.oracle_id
+    LEFT JOIN card_printings cp ON cp.scryfall_id = p.scryfall_id
+    WHERE p.normalized_name = ANY($1::text[])
+      AND ($2::text IS NULL OR p.game = $2)
+      AND (p.store_id = $3 OR ($3::text IS NULL AND s.active IS NOT FALSE))
       AND v.quantity > 0
     ORDER BY p.card_name, v.price ASC, 
       CASE v.condition
@@ -52,26 +84,48 @@ async function matchDeckList(cardNames) {
       END
   `;
 
-  const result = await pool.query(query, [normalizedNames]);
+  const result = await pool.query(query, [normalizedNames, game, store]);
   console.log(`[MATCHER] Database returned ${result.rows.length} matching variants`);
 
-  // Group results by card name
-  const grouped = {};
+  // Group results by normalized name - spelling variants of one card land together
   for (const row of result.rows) {
-    const key = row.card_name.toLowerCase();
+    const key = row.normalized_name;
     if (!grouped[key]) {
       grouped[key] = {
         cardName: row.card_name,
+        oracle: null,
         printings: [],
       };
     }
+    if (!grouped[key].oracle && row.oracle_id) {
+      grouped[key].oracle = {
+        oracleId: row.oracle_id,
+        typeLine: row.type_line,
+        colorIdentity: row.color_identity,
+        legalities: row.legalities,
+      };
+    }
 
     grouped[key].printings.push({
+      game: row.game,
+      storeId: row.store_id,
+      storeName: row.store_name || row.store_id,
+      oracleId: row.oracle_id,
+      scryfallId: row.scryfall_id,
       setName: row.set_name,
+      setCode: row.set_code,
+      collectorNumber: row.collector_number,
       title: row.title,
       imageUrl: row.image_url,
       productUrl: row.product_url,
       handle: row.handle,
+      productType: row.product_type,
+      vendor: row.vendor,
+      tags: row.tags,
+      rarity: row.rarity,
+      language: row.language,
+      tcgplayerId: row.tcgplayer_id?.toString() ?? null,
+      metafields: row.metafields,
       variantId: row.shopify_variant_id.toString(),
       condition: row.condition,
       finish: row.finish,
@@ -81,27 +135,260 @@ async function matchDeckList(cardNames) {
     });
   }
 
+  // Spelling variants come back ordered by card_name first, so re-sort merged
+  // groups by price (stable, so the condition tie-break survives)
+  for (const group of Object.values(grouped)) {
+    group.printings.sort((a, b) => a.price - b.price);
+  }
+
+  return grouped;
+}
+
+/**
+ * Find in-stock card names similar to each of the given normalized names
+ * Uses pg_trgm similarity over products.normalized_name, within game and
+ * store as in fetchPrintings().
+ * Returns { [normalized name]: [{ cardName, normalizedName, score }] } ranked best-first.
+ */
+async function findSimilarNames(normalizedNames, { game = null, store = DEFAULT_STORE_ID, limit = FUZZY_SUGGESTION_LIMIT } = {}) {
+  const suggestions = {};
+  if (normalizedNames.length === 0) return suggestions;
+
+  const query = `
+    SELECT q.requested, c.card_name, c.normalized_name, c.score
+    FROM unnest($1::text[]) AS q(requested)
+    CROSS JOIN LATERAL (
+      SELECT MIN(p.card_name) AS card_name, p.normalized_name,
+        similarity(p.normalized_name, q.requested) AS score
+      FROM products p
+      LEFT JOIN stores s ON s.id = p.store_id
+      WHERE p.normalized_name % q.requested
+        AND ($3::text IS NULL OR p.game = $3)
+        AND (p.store_id = $4 OR ($4::text IS NULL AND s.active IS NOT FALSE))
+        AND EXISTS (
+          SELECT 1 FROM variants v
+          WHERE v.shopify_product_id = p.shopify_product_id AND v.quantity > 0
+        )
+      GROUP BY p.normalized_name
+      ORDER BY score DESC, p.normalized_name
+      LIMIT $2
+    ) c
+  `;
+
+  try {
+    const result = await pool.query(query, [normalizedNames, limit, game, store]);
+    for (const row of result.rows) {
+      if (!suggestions[row.requested]) suggestions[row.requested] = [];
+      suggestions[row.requested].push({
+        cardName: row.card_name,
+        normalizedName: row.normalized_name,
+        score: Math.round(parseFloat(row.score) * 1000) / 1000,
+      });
+    }
+  } catch (error) {
+    // Most likely pg_trgm isn't installed - carry on with exact matches only
+    console.warn('[MATCHER] Fuzzy lookup failed, skipping suggestions:', error.message);
+  }
+
+  return suggestions;
+}
+
+/**
+ * Does a printing's finish satisfy a requested "foil" / "etched" finish?
+ */
+function finishSatisfies(printing, requestedFinish) {
+  const etched = /etched/i.test(printing.finish || '');
+  if (requestedFinish === 'etched') return etched;
+  if (requestedFinish === 'foil') return isFoil(printing) && !etched;
+  return true;
+}
+
+/**
+ * How well a printing matches the requested setCode / collectorNumber / finish
+ * "exact" - everything requested matches
+ * "set"   - right set, but a different (or unknown) collector number or finish
+ * null    - different set
+ */
+function comparePrinting(printing, wanted) {
+  const setOk = !wanted.setCode
+    || printing.setCode === wanted.setCode
+    || (printing.setName && wanted.setNames.some(name => name.toLowerCase() === printing.setName.toLowerCase()));
+  const numberOk = !wanted.collectorNumber
+    || (printing.collectorNumber && printing.collectorNumber.toLowerCase() === wanted.collectorNumber.toLowerCase());
+  const finishOk = !wanted.finish || finishSatisfies(printing, wanted.finish);
+
+  if (setOk && numberOk && finishOk) return 'exact';
+  if (wanted.setCode && setOk) return 'set';
+  return null;
+}
+
+/**
+ * Rank (or, in "require" mode, filter) a result's printings against the
+ * printing the deck list asked for, and report whether it was available
+ */
+function applyRequestedPrinting(result, request, setNames, printingMode) {
+  if (!request.setCode && !request.collectorNumber && !request.finish) {
+    return result;
+  }
+
+  const wanted = {
+    setCode: request.setCode ? request.setCode.toUpperCase() : null,
+    setNames: request.setCode ? setNames[request.setCode.toUpperCase()] || [] : [],
+    collectorNumber: request.collectorNumber ? String(request.collectorNumber) : null,
+    finish: request.finish || null,
+  };
+
+  const rank = { exact: 0, set: 1 };
+  let printings = result.printings
+    .map(printing => ({ ...printing, printingMatch: comparePrinting(printing, wanted) }))
+    .sort((a, b) => (rank[a.printingMatch] ?? 2) - (rank[b.printingMatch] ?? 2));
+
+  const available = printings.some(p => p.printingMatch === 'exact');
+  if (printingMode === 'require') {
+    printings = printings.filter(p => p.printingMatch === 'exact');
+  }
+
+  return {
+    ...result,
+    found: result.found && printings.length > 0,
+    printings,
+    requestedPrinting: {
+      setCode: wanted.setCode,
+      setNames: wanted.setNames,
+      collectorNumber: wanted.collectorNumber,
+      finish: wanted.finish,
+      available,
+    },
+  };
+}
+
+/**
+ * Find all in-stock variants for a list of cards
+ * Accepts card names or { name, setCode?, collectorNumber?, finish? } objects.
+ * Returns grouped results: each card name maps to all available printings/variants
+ *
+ * Names are compared by normalizeCardName() key, so accents, punctuation,
+ * DFC back faces and treatment tags don't matter (matchedBy: "exact").
+ * Names in the card_aliases table resolve to their canonical card
+ * (matchedBy: "alias"), and back-face names of multi-face cards resolve
+ * through the imported Scryfall oracle data (matchedBy: "oracle"). Anything
+ * still unmatched is looked up fuzzily; the best suggestion is auto-accepted
+ * when it scores at least options.fuzzyThreshold (default
+ * FUZZY_MATCH_THRESHOLD) and clearly beats the runner-up (matchedBy: "fuzzy",
+ * plus a matchScore). Results that stay unmatched carry a ranked
+ * "suggestions" list.
+ *
+ * When a card names a printing, its printings are ranked exact-match first
+ * (each tagged with printingMatch) and the result gets requestedPrinting
+ * with an "available" flag. options.printingMode "require" drops the
+ * non-matching printings instead.
+ *
+ * options.game (a games.js id) only matches that game's products - the same
+ * name can be a card in more than one game.
+ *
+ * options.store (a store ID) matches that store's inventory; omitted means
+ * the default store and null every active store.
+ */
+async function matchDeckList(cards, options = {}) {
+  if (!cards || cards.length === 0) {
+    console.log('[MATCHER] No card names provided, returning empty');
+    return [];
+  }
+
+  const requests = cards.map(card => (typeof card === 'string' ? { name: card } : card));
+  const cardNames = requests.map(r => r.name);
+  const fuzzyThreshold = options.fuzzyThreshold ?? FUZZY_MATCH_THRESHOLD;
+  const game = options.game || null;
+  const store = options.store === undefined ? DEFAULT_STORE_ID : options.store;
+  const scope = { game, store };
+
+  console.log(`[MATCHER] Matching ${cardNames.length} cards against ${game ? `${game} ` : ''}inventory of ${store ? `store ${store}` : 'all stores'}...`);
+  console.log(`[MATCHER] First few cards: ${cardNames.slice(0, 5).join(', ')}${cardNames.length > 5 ? '...' : ''}`);
+
+  const normalizedNames = cardNames.map(normalizeCardName);
+  const uniqueNames = [...new Set(normalizedNames)];
+  const aliases = await resolveAliases(uniqueNames);
+  const faceNames = await resolveFaceNames(uniqueNames);
+  const grouped = await fetchPrintings([...new Set([
+    ...uniqueNames,
+    ...Object.values(aliases),
+    ...Object.values(faceNames),
+  ])], scope);
+
+  // Fuzzy pass for anything without a normalized, alias or oracle match
+  const unmatched = uniqueNames.filter(key => key && !grouped[key] && !grouped[aliases[key]] && !grouped[faceNames[key]]);
+  const suggestions = await findSimilarNames(unmatched, scope);
+
+  const fuzzyAccepted = {};
+  for (const key of unmatched) {
+    const [best, runnerUp] = suggestions[key] || [];
+    if (best && best.score >= fuzzyThreshold && (!runnerUp || best.score - runnerUp.score >= FUZZY_MATCH_MARGIN)) {
+      fuzzyAccepted[key] = best;
+      console.log(`[MATCHER] Fuzzy match: "${key}" -> "${best.cardName}" (score ${best.score})`);
+    }
+  }
+
+  const fuzzyGrouped = await fetchPrintings(Object.values(fuzzyAccepted).map(s => s.normalizedName), scope);
+
   // Map back to original card names to preserve casing and find missing cards
-  const results = cardNames.map(name => {
-    const key = name.trim().toLowerCase();
+  const namedResults = cardNames.map((name, i) => {
+    const key = normalizedNames[i];
     if (grouped[key]) {
       return {
         requested: name.trim(),
         found: true,
+        matchedBy: 'exact',
         ...grouped[key],
       };
     }
+
+    if (aliases[key] && grouped[aliases[key]]) {
+      return {
+        requested: name.trim(),
+        found: true,
+        matchedBy: 'alias',
+        ...grouped[aliases[key]],
+      };
+    }
+
+    if (faceNames[key] && grouped[faceNames[key]]) {
+      return {
+        requested: name.trim(),
+        found: true,
+        matchedBy: 'oracle',
+        ...grouped[faceNames[key]],
+      };
+    }
+
+    const accepted = fuzzyAccepted[key];
+    if (accepted && fuzzyGrouped[accepted.normalizedName]) {
+      return {
+        requested: name.trim(),
+        found: true,
+        matchedBy: 'fuzzy',
+        matchScore: accepted.score,
+        ...fuzzyGrouped[accepted.normalizedName],
+      };
+    }
+
     return {
       requested: name.trim(),
       found: false,
+      matchedBy: null,
       cardName: name.trim(),
       printings: [],
+      suggestions: (suggestions[key] || []).map(({ cardName, score }) => ({ cardName, score })),
     };
   });
 
+  const setNames = await resolveSetNames(requests.map(r => r.setCode));
+  const results = namedResults.map((result, i) => applyRequestedPrinting(result, requests[i], setNames, options.printingMode));
+
   const foundCount = results.filter(r => r.found).length;
+  const fuzzyCount = results.filter(r => r.matchedBy === 'fuzzy').length;
+  const aliasCount = results.filter(r => r.matchedBy === 'alias').length;
   const missingCount = results.filter(r => !r.found).length;
-  console.log(`[MATCHER] Results: ${foundCount} found, ${missingCount} not in stock`);
+  console.log(`[MATCHER] Results: ${foundCount} found (${aliasCount} alias, ${fuzzyCount} fuzzy), ${missingCount} not in stock`);
   
   if (missingCount > 0) {
     const missingCards = results.filter(r => !r.found).map(r => r.requested);
@@ -111,72 +398,496 @@ async function matchDeckList(cardNames) {
   return results;
 }
 
+const CONDITION_ORDER = ['Near Mint', 'Lightly Played', 'Moderately Played', 'Heavily Played', 'Damaged'];
+
+const CONDITION_ALIASES = {
+  nm: 'Near Mint',
+  lp: 'Lightly Played',
+  mp: 'Moderately Played',
+  hp: 'Heavily Played',
+  dmg: 'Damaged',
+  dm: 'Damaged',
+};
+
+const PRINTING_FIELDS = ['setCode', 'collectorNumber', 'finish'];
+
 /**
- * Get the cheapest variant for each card (any condition, any printing)
+ * Normalize deck input into [{ name, quantity, setCode, collectorNumber, finish }]
+ * Accepts plain card names or card objects as returned by the deck parser.
+ * Throws an Error describing the first invalid card.
  */
-async function getCheapestForEach(cardNames) {
-  console.log(`[MATCHER] Auto-selecting cheapest for ${cardNames.length} cards`);
-  const allMatches = await matchDeckList(cardNames);
-  
-  return allMatches.map(card => {
-    if (!card.found || card.printings.length === 0) {
-      return { ...card, selected: null };
+function toCardRequests(cards) {
+  return cards.map((card, i) => {
+    if (typeof card === 'string') {
+      return { name: card, quantity: 1 };
+    }
+    if (!card || typeof card !== 'object' || typeof card.name !== 'string') {
+      throw new Error(`Card ${i + 1} needs a "name" string`);
+    }
+    for (const field of PRINTING_FIELDS) {
+      if (card[field] != null && typeof card[field] !== 'string') {
+        throw new Error(`Card ${i + 1} ("${card.name}"): "${field}" must be a string`);
+      }
     }
-    // Printings are already sorted by price ASC
-    console.log(`[MATCHER] Cheapest for "${card.cardName}": $${card.printings[0].price} (${card.printings[0].condition}, ${card.printings[0].setName})`);
-    return { ...card, selected: card.printings[0] };
+    const quantity = card.quantity ?? 1;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error(`Card ${i + 1} ("${card.name}"): "quantity" must be a positive whole number`);
+    }
+    return {
+      name: card.name,
+      quantity,
+      setCode: card.setCode || null,
+      collectorNumber: card.collectorNumber || null,
+      finish: card.finish || null,
+    };
   });
 }
 
 /**
- * Get the best condition variant for each card (prioritize NM, then LP, etc.)
+ * Resolve "NM", "near mint", "Near Mint" etc. to a CONDITION_ORDER entry
  */
-async function getBestConditionForEach(cardNames) {
-  console.log(`[MATCHER] Auto-selecting best condition for ${cardNames.length} cards`);
-  const allMatches = await matchDeckList(cardNames);
-  
-  return allMatches.map(card => {
-    if (!card.found || card.printings.length === 0) {
-      return { ...card, selected: null };
-    }
-    
-    const conditionOrder = ['Near Mint', 'Lightly Played', 'Moderately Played', 'Heavily Played', 'Damaged'];
-    
-    // Sort by condition quality first, then price
-    const sorted = [...card.printings].sort((a, b) => {
-      const condA = conditionOrder.indexOf(a.condition);
-      const condB = conditionOrder.indexOf(b.condition);
-      if (condA !== condB) return condA - condB;
-      return a.price - b.price;
-    });
+function resolveCondition(value) {
+  const key = String(value).trim().toLowerCase();
+  return CONDITION_ALIASES[key] || CONDITION_ORDER.find(c => c.toLowerCase() === key) || null;
+}
+
+function isFoil(printing) {
+  const finish = printing.finish || '';
+  return /foil|etched/i.test(finish) && !/non[\s-]?foil/i.test(finish);
+}
+
+/**
+ * Does a printing match a finish keyword ("foil", "nonfoil") or exact finish name?
+ */
+function matchesFinish(printing, finish) {
+  const key = finish.toLowerCase().replace(/[\s_-]/g, '');
+  if (key === 'foil') return isFoil(printing);
+  if (key === 'nonfoil' || key === 'regular') return !isFoil(printing);
+  return (printing.finish || '').toLowerCase() === finish.toLowerCase();
+}
+
+/**
+ * Validate and normalize an auto-select strategy
+ *
+ * Accepts the legacy strings "cheapest" / "best-condition" (any other string
+ * means cheapest) or an object:
+ *   {
+ *     sort: "cheapest" | "best-condition",
+ *     minCondition: "LP",             // worst acceptable condition
+ *     preferFinish: "nonfoil",        // ranked first, others still allowed
+ *     excludeFinishes: ["foil"],      // never selected
+ *     preferredSets: ["Modern Horizons 3"],
+ *     excludedSets: ["Secret Lair Drop"],
+ *     maxCardPrice: 20,               // per copy
+ *     budget: 150                     // whole deck
+ *   }
+ *
+ * Throws an Error describing the first invalid field of an object.
+ */
+function normalizeStrategy(strategy) {
+  // Strings keep their old meaning: anything but "best-condition" is cheapest
+  const input = typeof strategy === 'string' || strategy == null
+    ? { sort: strategy === 'best-condition' ? 'best-condition' : 'cheapest' }
+    : strategy;
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('"strategy" must be a string or an object');
+  }
+
+  const normalized = {
+    sort: input.sort || 'cheapest',
+    minCondition: null,
+    preferFinish: input.preferFinish || null,
+    excludeFinishes: input.excludeFinishes || [],
+    preferredSets: input.preferredSets || [],
+    excludedSets: input.excludedSets || [],
+    maxCardPrice: input.maxCardPrice ?? null,
+    budget: input.budget ?? null,
+  };
+
+  if (!['cheapest', 'best-condition'].includes(normalized.sort)) {
+    throw new Error(`Unknown strategy sort "${normalized.sort}" - expected "cheapest" or "best-condition"`);
+  }
+  if (input.minCondition) {
+    normalized.minCondition = resolveCondition(input.minCondition);
+    if (!normalized.minCondition) {
+      throw new Error(`Unknown minCondition "${input.minCondition}" - expected one of NM, LP, MP, HP, DMG`);
+    }
+  }
+  for (const field of ['excludeFinishes', 'preferredSets', 'excludedSets']) {
+    if (!Array.isArray(normalized[field]) || normalized[field].some(v => typeof v !== 'string')) {
+      throw new Error(`"${field}" must be an array of strings`);
+    }
+  }
+  if (normalized.preferFinish !== null && typeof normalized.preferFinish !== 'string') {
+    throw new Error('"preferFinish" must be a string');
+  }
+  for (const field of ['maxCardPrice', 'budget']) {
+    if (normalized[field] !== null && !(typeof normalized[field] === 'number' && normalized[field] >= 0)) {
+      throw new Error(`"${field}" must be a non-negative number`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Split printings into those allowed by the hard constraints and a count of
+ * how many each constraint ruled out (used to explain shortfalls)
+ */
+function applyHardConstraints(printings, strategy) {
+  const excludedSets = strategy.excludedSets.map(s => s.toLowerCase());
+  const minRank = strategy.minCondition ? CONDITION_ORDER.indexOf(strategy.minCondition) : null;
+  const rejected = { minCondition: 0, excludeFinishes: 0, excludedSets: 0, maxCardPrice: 0 };
+
+  const allowed = printings.filter(printing => {
+    if (minRank !== null) {
+      const rank = CONDITION_ORDER.indexOf(printing.condition);
+      if (rank === -1 || rank > minRank) {
+        rejected.minCondition++;
+        return false;
+      }
+    }
+    if (strategy.excludeFinishes.some(finish => matchesFinish(printing, finish))) {
+      rejected.excludeFinishes++;
+      return false;
+    }
+    if (printing.setName && excludedSets.includes(printing.setName.toLowerCase())) {
+      rejected.excludedSets++;
+      return false;
+    }
+    if (strategy.maxCardPrice !== null && printing.price > strategy.maxCardPrice) {
+      rejected.maxCardPrice++;
+      return false;
+    }
+    return true;
+  });
+
+  return { allowed, rejected };
+}
+
+/**
+ * Order allowed printings by preference: the printing the deck list asked for,
+ * then preferred sets, then preferred finish, then the base sort (price, or
+ * condition then price)
+ */
+function orderByPreference(printings, strategy) {
+  const preferredSets = strategy.preferredSets.map(s => s.toLowerCase());
+  const requestedRank = (p) => ({ exact: 0, set: 1 }[p.printingMatch] ?? 2);
+  const setRank = (p) => (p.setName && preferredSets.includes(p.setName.toLowerCase()) ? 0 : 1);
+  const finishRank = (p) => (strategy.preferFinish && matchesFinish(p, strategy.preferFinish) ? 0 : 1);
 
-    console.log(`[MATCHER] Best condition for "${card.cardName}": ${sorted[0].condition} @ $${sorted[0].price} (${sorted[0].setName})`);
-    return { ...card, selected: sorted[0] };
+  return [...printings].sort((a, b) => {
+    if (requestedRank(a) !== requestedRank(b)) return requestedRank(a) - requestedRank(b);
+    if (setRank(a) !== setRank(b)) return setRank(a) - setRank(b);
+    if (finishRank(a) !== finishRank(b)) return finishRank(a) - finishRank(b);
+    return compareBySort(a, b, strategy.sort);
   });
 }
 
+/**
+ * Unknown conditions rank after every known one
+ */
+function conditionRank(condition) {
+  const rank = CONDITION_ORDER.indexOf(condition);
+  return rank === -1 ? CONDITION_ORDER.length : rank;
+}
+
+function compareBySort(a, b, sort) {
+  if (sort === 'best-condition') {
+    const condA = conditionRank(a.condition);
+    const condB = conditionRank(b.condition);
+    if (condA !== condB) return condA - condB;
+  }
+  return a.price - b.price;
+}
+
+/**
+ * Take up to `requested` copies from ordered printings out of the shared stock pool
+ * remaining maps variantId -> copies not yet allocated anywhere in the deck
+ */
+function takeFromPool(orderedPrintings, requested, remaining) {
+  const allocation = [];
+  let needed = requested;
+
+  for (const printing of orderedPrintings) {
+    if (needed === 0) break;
+
+    if (remaining[printing.variantId] === undefined) {
+      remaining[printing.variantId] = printing.quantity;
+    }
+    const take = Math.min(needed, remaining[printing.variantId]);
+    if (take <= 0) continue;
+
+    remaining[printing.variantId] -= take;
+    needed -= take;
+    allocation.push({ ...printing, allocated: take });
+  }
+
+  return allocation;
+}
+
+function returnToPool(allocation, remaining) {
+  for (const entry of allocation) {
+    remaining[entry.variantId] += entry.allocated;
+  }
+}
+
+function allocationCost(allocation) {
+  return allocation.reduce((sum, entry) => sum + entry.price * entry.allocated, 0);
+}
+
+// An allocation entry as the plain printing it came from
+function withoutAllocated({ allocated, ...printing }) {
+  return printing;
+}
+
+function allocationCount(allocation) {
+  return allocation.reduce((sum, entry) => sum + entry.allocated, 0);
+}
+
+/**
+ * Explain why a card came up short under the given strategy
+ */
+function explainShortfall(card, rejected, budgetDropped) {
+  const unmet = [];
+
+  if (!card.found) {
+    unmet.push({ constraint: 'stock', message: 'Not in stock' });
+    return unmet;
+  }
+
+  const labels = {
+    minCondition: 'below the minimum condition',
+    excludeFinishes: 'excluded finish',
+    excludedSets: 'excluded set',
+    maxCardPrice: 'over the per-card price limit',
+  };
+  for (const [constraint, count] of Object.entries(rejected)) {
+    if (count > 0) {
+      unmet.push({ constraint, message: `${count} in-stock variant(s) skipped (${labels[constraint]})` });
+    }
+  }
+  if (budgetDropped > 0) {
+    unmet.push({ constraint: 'budget', message: `${budgetDropped} cop${budgetDropped === 1 ? 'y' : 'ies'} dropped to stay within budget` });
+  }
+  if (unmet.length === 0) {
+    unmet.push({ constraint: 'stock', message: 'Not enough copies in stock' });
+  }
+
+  return unmet;
+}
+
+/**
+ * Auto-select variants for a deck under a strategy (see normalizeStrategy)
+ *
+ * Each card's quantity is split across variants and printings, drawing from a
+ * stock pool shared by the whole deck so duplicates across boards are never
+ * over-allocated. With a budget, every card first gets its cheapest allowed
+ * allocation; the leftover budget is then spent upgrading cards, in deck
+ * order, to their preferred allocation. If even the cheapest allocation is
+ * over budget, the most expensive copies are dropped until it fits.
+ *
+ * Each result gets:
+ *   allocation - [{ ...printing, allocated }] - quantity is still the printing's stock,
+ *                allocated the copies taken from it
+ *   selected   - the first allocated printing, without "allocated" (or null)
+ *   shortfall  - copies that couldn't be filled
+ *   unmet      - [{ constraint, message }] explaining any shortfall
+ *
+ * options.game and options.store scope matching as in matchDeckList(). With
+ * every store in scope the allocation can span stores; each allocated
+ * printing says which (storeId).
+ *
+ * Returns { results, strategy, rules, totalPrice, totalShortfall } - strategy is
+ * the sort string ("cheapest" by default), rules the normalized strategy
+ */
+async function selectVariants(cards, strategy, options = {}) {
+  const requests = toCardRequests(cards);
+  const rules = normalizeStrategy(strategy);
+  console.log(`[MATCHER] Auto-selecting ${requests.length} cards with strategy ${JSON.stringify(rules)}`);
+
+  const matches = await matchDeckList(requests, { game: options.game, store: options.store });
+  const { results, totalPrice, totalShortfall } = allocateVariants(matches, requests, rules);
+
+  return {
+    results,
+    // The legacy strategy string, as sent (or the object's sort)
+    strategy: rules.sort,
+    rules,
+    totalPrice,
+    totalShortfall,
+  };
+}
+
+/**
+ * The allocation step of selectVariants(), on cards already matched
+ * matches are matchDeckList() results for requests (toCardRequests()), in
+ * the same order; rules a normalizeStrategy() result.
+ * Returns { results, totalPrice, totalShortfall }
+ */
+function allocateVariants(matches, requests, rules) {
+  const remaining = {};
+
+  const plans = matches.map((card, i) => {
+    const { allowed, rejected } = applyHardConstraints(card.printings, rules);
+    return {
+      card,
+      requested: requests[i].quantity,
+      rejected,
+      preferred: orderByPreference(allowed, rules),
+      cheapest: [...allowed].sort((a, b) => a.price - b.price),
+      allocation: [],
+      budgetDropped: 0,
+    };
+  });
+
+  if (rules.budget === null) {
+    for (const plan of plans) {
+      plan.allocation = takeFromPool(plan.preferred, plan.requested, remaining);
+    }
+  } else {
+    for (const plan of plans) {
+      plan.allocation = takeFromPool(plan.cheapest, plan.requested, remaining);
+    }
+
+    let spent = plans.reduce((sum, plan) => sum + allocationCost(plan.allocation), 0);
+
+    if (spent > rules.budget) {
+      // Drop the most expensive copies until the deck fits
+      const copies = [];
+      for (const plan of plans) {
+        for (const entry of plan.allocation) {
+          for (let n = 0; n < entry.allocated; n++) copies.push({ plan, entry });
+        }
+      }
+      copies.sort((a, b) => b.entry.price - a.entry.price);
+
+      for (const { plan, entry } of copies) {
+        if (spent <= rules.budget) break;
+        entry.allocated--;
+        remaining[entry.variantId]++;
+        plan.budgetDropped++;
+        spent -= entry.price;
+      }
+      for (const plan of plans) {
+        plan.allocation = plan.allocation.filter(entry => entry.allocated > 0);
+      }
+    } else {
+      // Spend the slack upgrading cards to their preferred allocation
+      for (const plan of plans) {
+        const currentCost = allocationCost(plan.allocation);
+        const currentCount = allocationCount(plan.allocation);
+        returnToPool(plan.allocation, remaining);
+
+        const upgraded = takeFromPool(plan.preferred, plan.requested, remaining);
+        const extra = allocationCost(upgraded) - currentCost;
+
+        if (allocationCount(upgraded) >= currentCount && spent + extra <= rules.budget) {
+          plan.allocation = upgraded;
+          spent += extra;
+        } else {
+          returnToPool(upgraded, remaining);
+          plan.allocation = takeFromPool(plan.cheapest, plan.requested, remaining);
+        }
+      }
+    }
+  }
+
+  const results = plans.map(plan => {
+    const shortfall = plan.requested - allocationCount(plan.allocation);
+    const result = {
+      ...plan.card,
+      quantity: plan.requested,
+      selected: plan.allocation.length > 0 ? withoutAllocated(plan.allocation[0]) : null,
+      allocation: plan.allocation,
+      shortfall,
+      unmet: shortfall > 0 ? explainShortfall(plan.card, plan.rejected, plan.budgetDropped) : [],
+    };
+    if (shortfall > 0) {
+      console.log(`[MATCHER] Short ${shortfall}/${plan.requested} of "${plan.card.cardName}": ${result.unmet.map(u => u.constraint).join(', ')}`);
+    }
+    return result;
+  });
+
+  const totalPrice = Math.round(results.reduce((sum, r) => sum + allocationCost(r.allocation), 0) * 100) / 100;
+  const totalShortfall = results.reduce((sum, r) => sum + r.shortfall, 0);
+  console.log(`[MATCHER] Auto-select total: $${totalPrice}, ${totalShortfall} copies short`);
+
+  return { results, totalPrice, totalShortfall };
+}
+
+/**
+ * Get the cheapest variants for each card (any condition, any printing)
+ * cards: [{ name, quantity }] or card names; quantities are filled across printings
+ */
+async function getCheapestForEach(cards) {
+  const { results } = await selectVariants(cards, 'cheapest');
+  return results;
+}
+
+/**
+ * Get the best condition variants for each card (prioritize NM, then LP, etc.)
+ * cards: [{ name, quantity }] or card names; quantities are filled across printings
+ */
+async function getBestConditionForEach(cards) {
+  const { results } = await selectVariants(cards, 'best-condition');
+  return results;
+}
+
 /**
  * Search for cards by partial name match (for autocomplete/search)
+ * game limits the search to one game; store to one store (null: every active
+ * store, one row per store stocking the printing). Rows carry the product's
+ * type, tags, rarity, collector number, language, TCGplayer ID and metafields
+ * for filtering.
  */
-async function searchCards(searchTerm, limit = 20) {
-  console.log(`[MATCHER] Searching for cards matching: "${searchTerm}" (limit: ${limit})`);
+async function searchCards(searchTerm, { limit = 20, game = null, store = DEFAULT_STORE_ID } = {}) {
+  console.log(`[MATCHER] Searching for ${game ? `${game} ` : ''}cards matching: "${searchTerm}" in ${store ? `store ${store}` : 'all stores'} (limit: ${limit})`);
   
   const query = `
-    SELECT DISTINCT p.card_name, p.set_name, p.image_url,
+    SELECT DISTINCT p.card_name, p.set_name, p.image_url, p.game,
+      p.store_id, COALESCE(s.name, p.store_id) as store_name,
+      p.product_type, p.tags, p.rarity, p.collector_number, p.language,
+      p.tcgplayer_id::text as tcgplayer_id, p.metafields,
       MIN(v.price) as min_price,
       SUM(v.quantity) as total_quantity
     FROM products p
     JOIN variants v ON p.shopify_product_id = v.shopify_product_id
-    WHERE LOWER(p.card_name) LIKE $1
+    LEFT JOIN stores s ON s.id = p.store_id
+    WHERE (LOWER(p.card_name) LIKE $1 OR p.normalized_name LIKE $3)
+      AND ($4::text IS NULL OR p.game = $4)
+      AND (p.store_id = $5 OR ($5::text IS NULL AND s.active IS NOT FALSE))
       AND v.quantity > 0
-    GROUP BY p.card_name, p.set_name, p.image_url
-    ORDER BY p.card_name
+    GROUP BY p.card_name, p.set_name, p.image_url, p.game, p.store_id, s.name,
+      p.product_type, p.tags, p.rarity, p.collector_number, p.language, p.tcgplayer_id, p.metafields
+    ORDER BY p.card_name, p.store_id
     LIMIT $2
   `;
 
-  const result = await pool.query(query, [`%${searchTerm.toLowerCase()}%`, limit]);
+  // The normalized form lets "lim dul" find "Lim-Dûl's Vault"
+  const normalizedTerm = normalizeCardName(searchTerm);
+  const result = await pool.query(query, [
+    `%${searchTerm.toLowerCase()}%`,
+    limit,
+    normalizedTerm ? `%${normalizedTerm}%` : `%${searchTerm.toLowerCase()}%`,
+    game,
+    store,
+  ]);
   console.log(`[MATCHER] Search returned ${result.rows.length} results`);
   return result.rows;
 }
 
-module.exports = { matchDeckList, getCheapestForEach, getBestConditionForEach, searchCards };
+module.exports = {
+  matchDeckList,
+  toCardRequests,
+  selectVariants,
+  allocateVariants,
+  normalizeStrategy,
+  getCheapestForEach,
+  getBestConditionForEach,
+  searchCards,
+  resolveCondition,
+  matchesFinish,
+  CONDITION_ORDER,
+};
@@ -2,261 +2,172 @@
  * Deck Parser Service
  * 
  * Parses deck lists from various formats:
- * - Plain text (standard MTG format: "1 Card Name" or "1x Card Name")
- * - Moxfield URLs
- * - Archidekt URLs (future)
- * - MTGGoldfish URLs (future)
+ * - Plain text (standard MTG format: "1 Card Name" or "1x Card Name"), see deck-text.js
+ * - MTGO .dek XML and CSV exports (Moxfield, ManaBox, Dragon Shield, TCGplayer), see deck-files.js
+ * - Deck site URLs, through the source registry in deck-sources/:
+ *   Moxfield, Archidekt, MTGGoldfish, TappedOut, Deckstats
+ * - Other games, see deck-games.js: Pokémon TCG Live exports, Yu-Gi-Oh! .ydk
+ *   files and YDKE URLs, Lorcana (Dreamborn) text
+ *
+ * Results carry "game" (see games.js) when the format tells, or the caller
+ * said so with options.game; otherwise it's null and matching spans every game.
+ *
+ * Every parsed card carries normalizedName (see card-names.js) for matching,
+ * plus setCode / collectorNumber / finish when the source names a printing.
+ *
+ * Deck site fetches go through the deck cache (deck-cache.js); the result's
+ * "cache" field says whether the deck came from it and flags stale copies.
+ *
+ * Requests that reach a deck site are rate limited per client IP and per
+ * source (each window is one minute; set to 0 to disable) - cache hits are free:
+ *   DECK_FETCHES_PER_IP      default 10
+ *   DECK_FETCHES_PER_SOURCE  default 60, across all clients
+ * A limited request throws an error with code "RATE_LIMITED" and retryAfter
+ * (seconds), unless a stale cached copy can be served instead.
  */
 
-/**
- * Parse a plain text deck list
- * 
- * Supports formats:
- *   1 Lightning Bolt
- *   1x Lightning Bolt
- *   4x Sol Ring
- *   1 Fell the Profane // Fell the Profane (split/modal cards)
- * 
- * Also handles section headers like:
- *   // Creatures
- *   Deck
- *   Sideboard
- *   Commander
- *   COMMANDER:
- */
-function parseTextDeckList(text) {
-  const lines = text.split('\n');
-  const cards = [];
-  const errors = [];
-
-  console.log(`[PARSER] Parsing text deck list (${lines.length} lines)...`);
-
-  for (let i = 0; i < lines.length; i++) {
-    let line = lines[i].trim();
-    
-    // Skip empty lines
-    if (!line) continue;
+const { parseTextDeckList } = require('./deck-text');
+const { parseDekXml, parseCsvDeckList, detectFileFormat } = require('./deck-files');
+const { isPtcgLiveExport, parsePtcgLiveExport, parseYdkFile, isYdkeUrl, parseYdkeUrl, looksLikeLorcanaList } = require('./deck-games');
+const { findDeckSource, registerDeckSource, listDeckSources } = require('./deck-sources');
+const { createRateLimiter } = require('./rate-limit');
+const { fetchCachedDeck } = require('./deck-cache');
+const { DEFAULT_GAME } = require('./games');
 
-    // Skip section headers
-    if (
-      line.startsWith('//') ||
-      line.startsWith('#') ||
-      /^(Deck|Sideboard|Commander|Companion|Maybeboard|About|COMMANDER:|SIDEBOARD:|MAINBOARD:)\s*$/i.test(line)
-    ) {
-      console.log(`[PARSER] Skipping header line ${i + 1}: "${line}"`);
-      continue;
-    }
+const DECK_FETCHES_PER_IP = parseInt(process.env.DECK_FETCHES_PER_IP || '10', 10);
+const DECK_FETCHES_PER_SOURCE = parseInt(process.env.DECK_FETCHES_PER_SOURCE || '60', 10);
+const ipLimiter = createRateLimiter({ limit: DECK_FETCHES_PER_IP, windowMs: 60 * 1000 });
+const sourceLimiter = createRateLimiter({ limit: DECK_FETCHES_PER_SOURCE, windowMs: 60 * 1000 });
 
-    // Try to match: quantity + optional 'x' + card name
-    // Also handle optional set code in parentheses or brackets at the end
-    const match = line.match(/^(\d+)\s*x?\s+(.+?)(?:\s*[\(\[][\w\d]+[\)\]])?(?:\s+\*\w+\*)?(?:\s+#\S+)?$/i);
-    
-    if (match) {
-      const quantity = parseInt(match[1], 10);
-      let cardName = match[2].trim();
+// Yu-Gi-Oh! passcode lookups count against the fetch limits like a deck site
+const YGOPRODECK = { name: 'ygoprodeck', label: 'YGOPRODeck' };
 
-      // Handle double-faced / split cards - use the front face name
-      // "Fell the Profane // Fell the Profane" -> "Fell the Profane"
-      if (cardName.includes(' // ')) {
-        cardName = cardName.split(' // ')[0].trim();
-      }
-
-      // Remove collector number if present at end (e.g., "Sol Ring (123)")
-      cardName = cardName.replace(/\s*\(\d+\)\s*$/, '').trim();
-
-      if (cardName && quantity > 0) {
-        cards.push({ name: cardName, quantity });
-      } else {
-        errors.push({ line: i + 1, text: line, reason: 'Invalid quantity or empty card name' });
-      }
-    } else {
-      // Maybe it's just a card name without quantity (assume 1)
-      if (line.length > 1 && !line.match(/^\d+$/)) {
-        let cardName = line;
-        if (cardName.includes(' // ')) {
-          cardName = cardName.split(' // ')[0].trim();
-        }
-        cards.push({ name: cardName, quantity: 1 });
-      } else {
-        errors.push({ line: i + 1, text: line, reason: 'Could not parse line' });
-      }
-    }
-  }
-
-  console.log(`[PARSER] Parsed ${cards.length} cards from text (${errors.length} errors)`);
-  if (errors.length > 0) {
-    console.log(`[PARSER] Parse errors:`, JSON.stringify(errors));
-  }
-  if (cards.length > 0) {
-    console.log(`[PARSER] First few cards: ${cards.slice(0, 5).map(c => `${c.quantity}x ${c.name}`).join(', ')}`);
+/**
+ * Count a deck site fetch against the client's and the source's limits
+ * Throws (code "RATE_LIMITED") without counting anything if either is used up.
+ * Calls without a clientIp (internal ones) only count against the source.
+ */
+function checkFetchLimits(source, clientIp) {
+  const ipWait = clientIp && DECK_FETCHES_PER_IP > 0 ? ipLimiter.retryAfter(clientIp) : 0;
+  const sourceWait = DECK_FETCHES_PER_SOURCE > 0 ? sourceLimiter.retryAfter(source.name) : 0;
+
+  if (ipWait > 0 || sourceWait > 0) {
+    const error = new Error(ipWait > 0
+      ? `Too many deck imports from your address. Try again in ${ipWait}s.`
+      : `Too many requests to ${source.label} right now. Try again in ${sourceWait}s.`);
+    error.code = 'RATE_LIMITED';
+    error.retryAfter = Math.max(ipWait, sourceWait);
+    console.warn(`[PARSER] Rate limited ${source.label} fetch for ${clientIp || 'internal caller'} (retry in ${error.retryAfter}s)`);
+    throw error;
   }
 
-  return { cards, errors };
+  if (clientIp && DECK_FETCHES_PER_IP > 0) ipLimiter.take(clientIp);
+  if (DECK_FETCHES_PER_SOURCE > 0) sourceLimiter.take(source.name);
 }
 
 /**
- * Fetch and parse a deck from Moxfield
- * Moxfield has a public API at api.moxfield.com
+ * Fetch (through the cache) and parse a deck from a registered source
+ * url is the deck URL's "host/path" as returned by findDeckSource().
+ * options.refresh revalidates a cached copy even while it's fresh.
  */
-async function parseMoxfieldUrl(url) {
-  console.log(`[PARSER] Parsing Moxfield URL: ${url}`);
+async function parseSourceUrl(source, url, { clientIp = null, refresh = false } = {}) {
+  console.log(`[PARSER] Parsing ${source.label} URL: ${url}`);
 
-  // Extract deck ID from URL
-  // URLs look like: https://www.moxfield.com/decks/DECK_ID
-  const match = url.match(/moxfield\.com\/decks\/([a-zA-Z0-9_-]+)/);
+  const match = url.match(source.pattern);
   if (!match) {
-    console.error(`[PARSER] Could not extract deck ID from Moxfield URL: ${url}`);
-    throw new Error('Invalid Moxfield URL. Expected format: https://www.moxfield.com/decks/DECK_ID');
+    console.error(`[PARSER] Could not extract deck ID from ${source.label} URL: ${url}`);
+    throw new Error(`Invalid ${source.label} URL. Expected format: ${source.example}`);
   }
 
-  const deckId = match[1];
-  console.log(`[PARSER] Moxfield deck ID: ${deckId}`);
-  
-  const apiUrl = `https://api2.moxfield.com/v3/decks/all/${deckId}`;
-  console.log(`[PARSER] Fetching from Moxfield API: ${apiUrl}`);
-
-  const response = await fetch(apiUrl, {
-    headers: {
-      'User-Agent': 'CardsurferDeckBuilder/1.0',
-    },
+  const { raw, cache } = await fetchCachedDeck(source, match, {
+    refresh,
+    beforeFetch: () => checkFetchLimits(source, clientIp),
   });
+  const deck = source.toDeck(raw, match);
 
-  console.log(`[PARSER] Moxfield API response status: ${response.status}`);
-
-  if (!response.ok) {
-    if (response.status === 404) {
-      throw new Error('Deck not found on Moxfield. Make sure the deck is public and the URL is correct.');
-    }
-    const errorText = await response.text();
-    console.error(`[PARSER] Moxfield API error: ${errorText}`);
-    throw new Error(`Failed to fetch deck from Moxfield: ${response.status}`);
-  }
-
-  const deck = await response.json();
-  console.log(`[PARSER] Moxfield deck name: "${deck.name}", format: ${deck.format}`);
-  
-  const cards = [];
-
-  // Moxfield organizes cards into boards: mainboard, sideboard, commanders, companions
-  const boards = ['mainboard', 'sideboard', 'commanders', 'companions'];
-  
-  for (const boardName of boards) {
-    const board = deck[boardName];
-    if (!board) continue;
-
-    const boardCards = Object.entries(board);
-    console.log(`[PARSER] Moxfield board "${boardName}": ${boardCards.length} cards`);
-
-    for (const [cardName, cardData] of boardCards) {
-      cards.push({
-        name: cardData.card?.name || cardName,
-        quantity: cardData.quantity || 1,
-        board: boardName,
-      });
-    }
-  }
-
-  console.log(`[PARSER] Total cards from Moxfield: ${cards.length}`);
-
-  return {
-    cards,
-    deckName: deck.name || 'Unnamed Deck',
-    format: deck.format || 'unknown',
-    errors: [],
-  };
+  console.log(`[PARSER] Total cards from ${source.label}: ${deck.cards.length} (cache: ${cache.status})`);
+  return { warnings: [], ...deck, source: source.name, game: source.game || DEFAULT_GAME, cache };
 }
 
+// game: what the format implies; null leaves it to options.game
+const FILE_PARSERS = {
+  dek: { label: 'MTGO .dek', parse: parseDekXml, game: 'mtg' },
+  ydk: { label: 'Yu-Gi-Oh! .ydk', parse: parseYdkFile, game: 'yugioh' },
+  csv: { label: 'CSV', parse: parseCsvDeckList, game: null },
+};
+
 /**
- * Fetch and parse a deck from Archidekt
+ * Auto-detect input type and parse accordingly
+ * options.fileName (from an upload) lets the extension decide the file format;
+ * uploads are never treated as URLs. options.clientIp is counted against the
+ * per-IP fetch limit; options.refresh bypasses a fresh cached deck.
+ * options.game ("pokemon", "lorcana", ...) labels lists whose format doesn't
+ * say which game they're for.
  */
-async function parseArchidektUrl(url) {
-  console.log(`[PARSER] Parsing Archidekt URL: ${url}`);
+async function parseDeckInput(input, options = {}) {
+  const trimmed = input.replace(/^\uFEFF/, '').trim();
+  const game = options.game || null;
+  const passcodeLookup = { beforeFetch: () => checkFetchLimits(YGOPRODECK, options.clientIp) };
+  console.log(`[PARSER] Auto-detecting input type (length: ${trimmed.length})...`);
+  console.log(`[PARSER] Input preview: "${trimmed.substring(0, 100)}${trimmed.length > 100 ? '...' : ''}"`);
 
-  // Extract deck ID from URL
-  // URLs look like: https://archidekt.com/decks/123456
-  const match = url.match(/archidekt\.com\/decks\/(\d+)/);
-  if (!match) {
-    console.error(`[PARSER] Could not extract deck ID from Archidekt URL: ${url}`);
-    throw new Error('Invalid Archidekt URL. Expected format: https://archidekt.com/decks/123456');
+  // Check if it's a URL of a known deck site
+  const found = options.fileName ? null : findDeckSource(trimmed);
+  if (found) {
+    console.log(`[PARSER] Detected ${found.source.label} URL`);
+    return await parseSourceUrl(found.source, found.target, {
+      clientIp: options.clientIp,
+      refresh: options.refresh,
+    });
   }
 
-  const deckId = match[1];
-  console.log(`[PARSER] Archidekt deck ID: ${deckId}`);
-
-  const apiUrl = `https://archidekt.com/api/decks/${deckId}/`;
-  console.log(`[PARSER] Fetching from Archidekt API: ${apiUrl}`);
-
-  const response = await fetch(apiUrl, {
-    headers: {
-      'User-Agent': 'CardsurferDeckBuilder/1.0',
-    },
-  });
-
-  console.log(`[PARSER] Archidekt API response status: ${response.status}`);
-
-  if (!response.ok) {
-    if (response.status === 404) {
-      throw new Error('Deck not found on Archidekt. Make sure the deck is public and the URL is correct.');
-    }
-    const errorText = await response.text();
-    console.error(`[PARSER] Archidekt API error: ${errorText}`);
-    throw new Error(`Failed to fetch deck from Archidekt: ${response.status}`);
+  // A YDKE "URL" holds the whole Yu-Gi-Oh! deck - nothing to fetch
+  if (!options.fileName && isYdkeUrl(trimmed)) {
+    console.log('[PARSER] Detected YDKE URL');
+    const result = await parseYdkeUrl(trimmed, passcodeLookup);
+    return { ...result, warnings: [], deckName: 'Imported Deck', format: 'unknown', source: 'ydke', game: 'yugioh' };
   }
 
-  const deck = await response.json();
-  console.log(`[PARSER] Archidekt deck name: "${deck.name}", format: ${deck.format?.name}`);
-  
-  const cards = [];
-
-  if (deck.cards) {
-    for (const cardEntry of deck.cards) {
-      const card = cardEntry.card;
-      cards.push({
-        name: card?.oracleCard?.name || card?.name || 'Unknown',
-        quantity: cardEntry.quantity || 1,
-        board: cardEntry.category || 'mainboard',
-      });
-    }
+  // A lone URL we won't fetch is an error, not a one-card deck named after it
+  if (!options.fileName && /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(trimmed)) {
+    console.log('[PARSER] URL is not on a supported deck site');
+    const labels = listDeckSources().map(source => source.label);
+    throw new Error(`Unsupported deck URL. Supported sites: ${labels.join(', ')}`);
   }
 
-  console.log(`[PARSER] Total cards from Archidekt: ${cards.length}`);
-
-  return {
-    cards,
-    deckName: deck.name || 'Unnamed Deck',
-    format: deck.format?.name || 'unknown',
-    errors: [],
-  };
-}
-
-/**
- * Auto-detect input type and parse accordingly
- */
-async function parseDeckInput(input) {
-  const trimmed = input.trim();
-  console.log(`[PARSER] Auto-detecting input type (length: ${trimmed.length})...`);
-  console.log(`[PARSER] Input preview: "${trimmed.substring(0, 100)}${trimmed.length > 100 ? '...' : ''}"`);
-
-  // Check if it's a Moxfield URL
-  if (trimmed.includes('moxfield.com/decks/')) {
-    console.log('[PARSER] Detected Moxfield URL');
-    return await parseMoxfieldUrl(trimmed);
+  // Check if it's a file export
+  const fileFormat = detectFileFormat(trimmed, options.fileName);
+  if (fileFormat) {
+    const parser = FILE_PARSERS[fileFormat];
+    console.log(`[PARSER] Detected ${parser.label} file`);
+    const result = await parser.parse(trimmed, passcodeLookup);
+    return {
+      ...result,
+      warnings: [],
+      deckName: options.fileName ? options.fileName.replace(/\.[^.]+$/, '') : 'Imported Deck',
+      format: 'unknown',
+      source: fileFormat,
+      game: parser.game || game,
+    };
   }
 
-  // Check if it's an Archidekt URL
-  if (trimmed.includes('archidekt.com/decks/')) {
-    console.log('[PARSER] Detected Archidekt URL');
-    return await parseArchidektUrl(trimmed);
+  if (isPtcgLiveExport(trimmed)) {
+    console.log('[PARSER] Detected Pokémon TCG Live export');
+    const result = parsePtcgLiveExport(trimmed);
+    return { ...result, warnings: [], deckName: 'Imported Deck', format: 'unknown', source: 'ptcgl', game: 'pokemon' };
   }
 
   // Otherwise, treat as plain text deck list
-  console.log('[PARSER] Treating input as plain text deck list');
+  const textGame = game || (looksLikeLorcanaList(trimmed) ? 'lorcana' : null);
+  console.log(`[PARSER] Treating input as plain text deck list${textGame ? ` (${textGame})` : ''}`);
   const result = parseTextDeckList(trimmed);
   return {
     ...result,
-    deckName: 'Imported Deck',
+    deckName: result.deckName || 'Imported Deck',
     format: 'unknown',
+    source: 'text',
+    game: textGame,
   };
 }
 
-module.exports = { parseTextDeckList, parseMoxfieldUrl, parseArchidektUrl, parseDeckInput };
+module.exports = { parseTextDeckList, parseSourceUrl, parseDeckInput, registerDeckSource, listDeckSources };
@@ -0,0 +1,49 @@
+/**
+ * Archidekt - public API at archidekt.com/api
+ * Base URL override: ARCHIDEKT_URL
+ */
+
+const { makeCard } = require('../deck-text');
+const { sourceUrl, fetchFromSource } = require('./common');
+
+// Deck URLs may use these hosts, and fetches may be redirected between them
+const HOSTS = ['archidekt.com', 'www.archidekt.com'];
+
+module.exports = {
+  name: 'archidekt',
+  label: 'Archidekt',
+  hosts: HOSTS,
+  detect: /archidekt\.com\/decks\//,
+  // URLs look like: https://archidekt.com/decks/123456
+  pattern: /archidekt\.com\/decks\/(\d+)/,
+  example: 'https://archidekt.com/decks/123456',
+
+  fetchDeck([, deckId], conditional) {
+    const apiUrl = sourceUrl('ARCHIDEKT_URL', 'https://archidekt.com', `/api/decks/${deckId}/`);
+    return fetchFromSource('Archidekt', apiUrl, { json: true, conditional, hosts: HOSTS });
+  },
+
+  toDeck(deck) {
+    console.log(`[PARSER] Archidekt deck name: "${deck.name}", format: ${deck.format?.name}`);
+    const cards = [];
+
+    for (const cardEntry of deck.cards || []) {
+      const card = cardEntry.card;
+      // modifier is "Normal", "Foil" or "Etched"
+      const modifier = (cardEntry.modifier || '').toLowerCase();
+      cards.push(makeCard(card?.oracleCard?.name || card?.name || 'Unknown', cardEntry.quantity || 1, {
+        board: cardEntry.category || 'mainboard',
+        setCode: card?.edition?.editioncode,
+        collectorNumber: card?.collectorNumber,
+        finish: ['foil', 'etched'].includes(modifier) ? modifier : null,
+      }));
+    }
+
+    return {
+      cards,
+      deckName: deck.name || 'Unnamed Deck',
+      format: deck.format?.name || 'unknown',
+      errors: [],
+    };
+  },
+};
@@ -0,0 +1,192 @@
+/**
+ * Shared helpers for deck source importers
+ *
+ * Fetch limits:
+ *   DECK_FETCH_TIMEOUT_MS   whole request, body included (default 10000)
+ *   DECK_FETCH_MAX_BYTES    largest response read (default 5 MB)
+ * Redirects are only followed within the same host, or to another of the
+ * source's own hosts (e.g. example.com -> www.example.com), and only to https
+ * unless the source's URL override is plain http (a local stand-in).
+ */
+
+const USER_AGENT = 'CardsurferDeckBuilder/1.0';
+const DECK_FETCH_TIMEOUT_MS = parseInt(process.env.DECK_FETCH_TIMEOUT_MS || '10000', 10);
+const DECK_FETCH_MAX_BYTES = parseInt(process.env.DECK_FETCH_MAX_BYTES || String(5 * 1024 * 1024), 10);
+const MAX_REDIRECTS = 3;
+
+/**
+ * Build a source URL from an overridable base
+ * e.g. MTGGOLDFISH_URL=http://localhost:8080 serves saved pages in place of the site
+ */
+function sourceUrl(envName, defaultBase, path) {
+  const base = (process.env[envName] || defaultBase).replace(/\/+$/, '');
+  return `${base}${path}`;
+}
+
+/**
+ * Read a response body, giving up once it passes DECK_FETCH_MAX_BYTES
+ */
+async function readLimited(label, response) {
+  const tooLarge = () => new Error(`The deck from ${label} is too large to import`);
+
+  const declared = parseInt(response.headers.get('content-length'), 10);
+  if (declared > DECK_FETCH_MAX_BYTES) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+
+  // Bodiless responses (a 304) have no stream
+  if (!response.body) return '';
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > DECK_FETCH_MAX_BYTES) {
+      console.error(`[PARSER] ${label} response passed ${DECK_FETCH_MAX_BYTES} bytes - aborting`);
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * An error for a site that is down or refusing us, rather than a bad deck
+ */
+function sourceUnavailable(message) {
+  const error = new Error(message);
+  error.code = 'SOURCE_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * GET a URL, following redirects only while they stay on the same host or
+ * one of allowedHosts, and on https unless the URL itself is http
+ */
+async function fetchWithinHosts(label, url, signal, headers = {}, allowedHosts = []) {
+  let current = new URL(url);
+  const protocols = current.protocol === 'http:' ? ['http:', 'https:'] : ['https:'];
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetch(current, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        ...headers,
+      },
+      redirect: 'manual',
+      signal,
+    });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    const next = new URL(location, current);
+    await response.body?.cancel();
+    const allowed = next.host === current.host || allowedHosts.includes(next.host);
+    if (!allowed || !protocols.includes(next.protocol) || redirects >= MAX_REDIRECTS) {
+      console.error(`[PARSER] ${label} redirected to ${next.href} - not following`);
+      throw new Error(`Failed to fetch deck from ${label}: unexpected redirect`);
+    }
+    current = next;
+  }
+}
+
+/**
+ * Fetch a deck resource, mapping HTTP failures to user-facing errors
+ * Returns parsed JSON when json is set, otherwise the response text.
+ *
+ * With conditional ({ etag, lastModified } from an earlier fetch, either may be
+ * null) the request is revalidated and the result is wrapped instead:
+ *   { notModified, body, etag, lastModified }
+ * where body is null on a 304 and etag/lastModified are the response's validators.
+ * HTTP failures carry the response's status on error.status; timeouts, network
+ * errors, 5xx and 429 also have code "SOURCE_UNAVAILABLE".
+ * hosts (the source's allow-list) are where redirects may lead besides the URL's own host.
+ */
+async function fetchFromSource(label, url, { json = false, conditional = null, hosts = [] } = {}) {
+  console.log(`[PARSER] Fetching from ${label}: ${url}`);
+
+  const headers = {};
+  if (conditional?.etag) headers['If-None-Match'] = conditional.etag;
+  if (conditional?.lastModified) headers['If-Modified-Since'] = conditional.lastModified;
+
+  const signal = AbortSignal.timeout(DECK_FETCH_TIMEOUT_MS);
+  let response;
+  let body;
+  try {
+    response = await fetchWithinHosts(label, url, signal, headers, hosts);
+    console.log(`[PARSER] ${label} response status: ${response.status}`);
+    body = await readLimited(label, response);
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      console.error(`[PARSER] ${label} timed out after ${DECK_FETCH_TIMEOUT_MS}ms`);
+      throw sourceUnavailable(`${label} took too long to respond. Try again later.`);
+    }
+    if (error.message === 'fetch failed') {
+      console.error(`[PARSER] ${label} unreachable:`, error.cause?.message || error.message);
+      throw sourceUnavailable(`Could not reach ${label}. Try again later.`);
+    }
+    throw error;
+  }
+
+  const validators = {
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+  };
+  if (conditional && response.status === 304) {
+    return { notModified: true, body: null, ...validators };
+  }
+
+  if (!response.ok) {
+    let error;
+    if (response.status === 404) {
+      error = new Error(`Deck not found on ${label}. Make sure the deck is public and the URL is correct.`);
+    } else {
+      console.error(`[PARSER] ${label} error: ${body.substring(0, 500)}`);
+      const message = `Failed to fetch deck from ${label}: ${response.status}`;
+      error = response.status >= 500 || response.status === 429 ? sourceUnavailable(message) : new Error(message);
+    }
+    error.status = response.status;
+    throw error;
+  }
+
+  let result = body;
+  if (json) {
+    try {
+      result = JSON.parse(body);
+    } catch {
+      throw new Error(`Failed to fetch deck from ${label}: invalid response`);
+    }
+  }
+  return conditional ? { notModified: false, body: result, ...validators } : result;
+}
+
+/**
+ * Decode the HTML entities that show up in scraped attribute values and titles
+ */
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Past the last code point (or absurdly long) - the replacement character, like browsers
+      return value <= 0x10FFFF ? String.fromCodePoint(value) : '\uFFFD';
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * "mono-red-burn" -> "Mono Red Burn", for sources whose exports carry no deck name
+ */
+function titleFromSlug(slug) {
+  return slug
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+module.exports = { sourceUrl, fetchFromSource, decodeHtmlEntities, titleFromSlug };
@@ -0,0 +1,41 @@
+/**
+ * Deckstats - no API; decks export as text with export_txt=1. The export
+ * starts with a "//NAME: <deck> from deckstats.net" comment and marks boards
+ * with "//Sideboard"-style comments or "SB:" prefixes.
+ * Base URL override: DECKSTATS_URL
+ */
+
+const { sourceUrl, fetchFromSource, titleFromSlug } = require('./common');
+const { parseTextDeckList } = require('../deck-text');
+
+// Deck URLs may use these hosts, and fetches may be redirected between them
+const HOSTS = ['deckstats.net', 'www.deckstats.net'];
+
+module.exports = {
+  name: 'deckstats',
+  label: 'Deckstats',
+  hosts: HOSTS,
+  detect: /deckstats\.net\/decks\//,
+  // URLs look like: https://deckstats.net/decks/12345/678901-my-deck/en
+  pattern: /deckstats\.net\/decks\/(\d+)\/(\d+)(?:-([a-zA-Z0-9_-]+))?/,
+  example: 'https://deckstats.net/decks/USER_ID/DECK_ID-deck-name',
+
+  fetchDeck([, userId, deckId, slug], conditional) {
+    const path = `/decks/${userId}/${deckId}${slug ? `-${slug}` : ''}/en?include_comments=0&export_txt=1`;
+    return fetchFromSource('Deckstats', sourceUrl('DECKSTATS_URL', 'https://deckstats.net', path), { conditional, hosts: HOSTS });
+  },
+
+  toDeck(text, [, , , slug]) {
+    const nameLine = text.match(/^\s*\/\/\s*NAME:\s*(.+?)(?:\s+from deckstats\.net)?\s*$/im);
+    // Comment lines other than section headers are ignored by the text parser
+    const { cards, errors, warnings } = parseTextDeckList(text);
+
+    return {
+      cards,
+      deckName: nameLine ? nameLine[1] : (slug && titleFromSlug(slug)) || 'Unnamed Deck',
+      format: 'unknown',
+      errors,
+      warnings,
+    };
+  },
+};
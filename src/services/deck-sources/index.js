@@ -0,0 +1,90 @@
+/**
+ * Deck Source Registry
+ *
+ * Each deck site is a source module that declares:
+ *   name       - id reported back as "source"
+ *   label      - display name used in messages
+ *   hosts      - hostnames its deck URLs may use (the allow-list); fetches
+ *                may also be redirected between them
+ *   detect     - regex on "host/path": is this one of our deck URLs?
+ *   pattern    - regex on "host/path" capturing the IDs fetchDeck needs
+ *   example    - URL shown when detect matches but pattern doesn't
+ *   fetchDeck  - async (match, conditional) => raw JSON/HTML/text; passes
+ *                conditional through to fetchFromSource() so the deck cache
+ *                can revalidate (see deck-cache.js)
+ *   toDeck     - (raw, match) => { cards, deckName, format, errors }
+ *   game       - optional game id (games.js) its decks are for, Magic if omitted
+ *
+ * Every source reads its base URL from an env var so saved fixtures can be
+ * served locally in place of the real site.
+ *
+ * Only a lone http(s) URL on one of a source's hosts counts as a deck URL -
+ * no credentials, no custom port, nothing else in the input - so URL
+ * detection can't be steered at arbitrary hosts.
+ */
+
+const sources = [];
+
+/**
+ * Add a source; later registrations are checked first so they can override a built-in
+ */
+function registerDeckSource(source) {
+  for (const key of ['name', 'label', 'hosts', 'detect', 'pattern', 'fetchDeck', 'toDeck']) {
+    if (!source[key]) {
+      throw new Error(`Deck source is missing "${key}"`);
+    }
+  }
+  sources.unshift(source);
+  return source;
+}
+
+/**
+ * Read input as a deck URL: a single http(s) URL, scheme optional, without
+ * credentials or a port. Returns { url, target } where target is the
+ * "host/path" string sources match against, or null.
+ */
+function toDeckUrl(input) {
+  if (/\s/.test(input)) return null;
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(input) ? input : `https://${input}`);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password || url.port) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  return { url, host, target: `${host}${url.pathname}` };
+}
+
+/**
+ * Find the source a deck URL belongs to
+ * Returns { source, target } or null when the input isn't an allowed deck URL
+ */
+function findDeckSource(input) {
+  const deckUrl = toDeckUrl(input);
+  if (!deckUrl) return null;
+
+  const source = sources.find(s => s.hosts.includes(deckUrl.host) && s.detect.test(deckUrl.target));
+  return source ? { source, target: deckUrl.target } : null;
+}
+
+/**
+ * Names and example URLs of every registered source, in registration order
+ */
+function listDeckSources() {
+  return [...sources].reverse().map(({ name, label, example }) => ({ name, label, example }));
+}
+
+[
+  require('./moxfield'),
+  require('./archidekt'),
+  require('./mtggoldfish'),
+  require('./tappedout'),
+  require('./deckstats'),
+].forEach(registerDeckSource);
+
+module.exports = { registerDeckSource, findDeckSource, listDeckSources };
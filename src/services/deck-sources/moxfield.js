@@ -0,0 +1,59 @@
+/**
+ * Moxfield - public API at api2.moxfield.com
+ * Base URL override: MOXFIELD_API_URL
+ */
+
+const { makeCard } = require('../deck-text');
+const { sourceUrl, fetchFromSource } = require('./common');
+
+// Moxfield organizes cards into boards: mainboard, sideboard, commanders, companions
+const BOARDS = ['mainboard', 'sideboard', 'commanders', 'companions'];
+
+// Deck URLs may use these hosts, and fetches may be redirected between them
+const HOSTS = ['moxfield.com', 'www.moxfield.com'];
+
+module.exports = {
+  name: 'moxfield',
+  label: 'Moxfield',
+  hosts: HOSTS,
+  detect: /moxfield\.com\/decks\//,
+  // URLs look like: https://www.moxfield.com/decks/DECK_ID
+  pattern: /moxfield\.com\/decks\/([a-zA-Z0-9_-]+)/,
+  example: 'https://www.moxfield.com/decks/DECK_ID',
+
+  fetchDeck([, deckId], conditional) {
+    const apiUrl = sourceUrl('MOXFIELD_API_URL', 'https://api2.moxfield.com', `/v3/decks/all/${deckId}`);
+    return fetchFromSource('Moxfield', apiUrl, { json: true, conditional, hosts: HOSTS });
+  },
+
+  toDeck(deck) {
+    console.log(`[PARSER] Moxfield deck name: "${deck.name}", format: ${deck.format}`);
+    const cards = [];
+
+    for (const boardName of BOARDS) {
+      const board = deck[boardName];
+      if (!board) continue;
+
+      const boardCards = Object.entries(board);
+      console.log(`[PARSER] Moxfield board "${boardName}": ${boardCards.length} cards`);
+
+      for (const [cardName, cardData] of boardCards) {
+        // finish is "foil", "etched" or "nonFoil"
+        const finish = ['foil', 'etched'].includes(cardData.finish) ? cardData.finish : null;
+        cards.push(makeCard(cardData.card?.name || cardName, cardData.quantity || 1, {
+          board: boardName,
+          setCode: cardData.card?.set,
+          collectorNumber: cardData.card?.cn,
+          finish,
+        }));
+      }
+    }
+
+    return {
+      cards,
+      deckName: deck.name || 'Unnamed Deck',
+      format: deck.format || 'unknown',
+      errors: [],
+    };
+  },
+};
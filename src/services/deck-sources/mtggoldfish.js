@@ -0,0 +1,71 @@
+/**
+ * MTGGoldfish - no API; the deck and archetype pages embed the list in a
+ * hidden "deck_input[deck]" field, one "4 Card Name" per line with a
+ * "sideboard" line before the sideboard.
+ * Base URL override: MTGGOLDFISH_URL
+ */
+
+const { sourceUrl, fetchFromSource, decodeHtmlEntities } = require('./common');
+const { parseTextDeckList } = require('../deck-text');
+
+/**
+ * Read an attribute from the first tag matching tagPattern
+ */
+function attributeOf(html, tagPattern, attribute) {
+  const tag = html.match(tagPattern);
+  if (!tag) return null;
+  const value = tag[0].match(new RegExp(`\\s${attribute}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return value ? decodeHtmlEntities(value[1] ?? value[2]) : null;
+}
+
+/**
+ * Visible text of the first element matching pattern, tags stripped
+ */
+function textOf(html, pattern) {
+  const element = html.match(pattern);
+  if (!element) return null;
+  // Drop nested elements such as the "by author" span, keep the leading text
+  const text = decodeHtmlEntities(element[1].split(/<(?:span|small|div)\b/i)[0].replace(/<[^>]+>/g, ''));
+  return text.replace(/\s+/g, ' ').trim() || null;
+}
+
+// Deck URLs may use these hosts, and fetches may be redirected between them
+const HOSTS = ['mtggoldfish.com', 'www.mtggoldfish.com'];
+
+module.exports = {
+  name: 'mtggoldfish',
+  label: 'MTGGoldfish',
+  hosts: HOSTS,
+  detect: /mtggoldfish\.com\/(?:deck|archetype)\//,
+  // URLs look like: https://www.mtggoldfish.com/deck/1234567 or /archetype/modern-burn
+  pattern: /mtggoldfish\.com\/(deck|archetype)\/([a-zA-Z0-9_-]+)/,
+  example: 'https://www.mtggoldfish.com/deck/1234567',
+
+  fetchDeck([, kind, id], conditional) {
+    const pageUrl = sourceUrl('MTGGOLDFISH_URL', 'https://www.mtggoldfish.com', `/${kind}/${id}`);
+    return fetchFromSource('MTGGoldfish', pageUrl, { conditional, hosts: HOSTS });
+  },
+
+  toDeck(html) {
+    const list = attributeOf(html, /<input[^>]*name\s*=\s*["']deck_input\[deck\]["'][^>]*>/i, 'value');
+    if (list === null) {
+      console.error('[PARSER] MTGGoldfish page has no deck_input field');
+      throw new Error('Could not find a deck list on that MTGGoldfish page.');
+    }
+
+    const deckName = textOf(html, /<h1[^>]*class\s*=\s*["'][^"']*\btitle\b[^"']*["'][^>]*>([\s\S]*?)<\/h1>/i)
+      || textOf(html, /<title[^>]*>([\s\S]*?)<\/title>/i);
+    const format = html.match(/Format:\s*(?:<[^>]+>\s*)*([A-Za-z][A-Za-z ]*)/);
+
+    const { cards, errors, warnings } = parseTextDeckList(list);
+    console.log(`[PARSER] MTGGoldfish deck name: "${deckName}", format: ${format ? format[1].trim() : 'unknown'}`);
+
+    return {
+      cards,
+      deckName: deckName || 'Unnamed Deck',
+      format: format ? format[1].trim().toLowerCase() : 'unknown',
+      errors,
+      warnings,
+    };
+  },
+};
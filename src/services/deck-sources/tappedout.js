@@ -0,0 +1,38 @@
+/**
+ * TappedOut - no API; every deck has a plain text export at ?fmt=txt with
+ * "Sideboard:" / "Maybeboard:" section headers. The export carries no deck
+ * name, so it is taken from the URL slug.
+ * Base URL override: TAPPEDOUT_URL
+ */
+
+const { sourceUrl, fetchFromSource, titleFromSlug } = require('./common');
+const { parseTextDeckList } = require('../deck-text');
+
+// Deck URLs may use these hosts, and fetches may be redirected between them
+const HOSTS = ['tappedout.net', 'www.tappedout.net'];
+
+module.exports = {
+  name: 'tappedout',
+  label: 'TappedOut',
+  hosts: HOSTS,
+  detect: /tappedout\.net\/mtg-decks\//,
+  // URLs look like: https://tappedout.net/mtg-decks/my-deck-slug/
+  pattern: /tappedout\.net\/mtg-decks\/([a-zA-Z0-9_-]+)/,
+  example: 'https://tappedout.net/mtg-decks/DECK_SLUG/',
+
+  fetchDeck([, slug], conditional) {
+    const exportUrl = sourceUrl('TAPPEDOUT_URL', 'https://tappedout.net', `/mtg-decks/${slug}/?fmt=txt`);
+    return fetchFromSource('TappedOut', exportUrl, { conditional, hosts: HOSTS });
+  },
+
+  toDeck(text, [, slug]) {
+    const { cards, errors, warnings } = parseTextDeckList(text);
+    return {
+      cards,
+      deckName: titleFromSlug(slug) || 'Unnamed Deck',
+      format: 'unknown',
+      errors,
+      warnings,
+    };
+  },
+};
@@ -0,0 +1,245 @@
+/**
+ * Deck Text Parsing
+ *
+ * Plain text deck lists - pasted by users, and exported by the deck sites
+ * whose importers download text (see deck-sources/). Also home of makeCard(),
+ * the one shape every importer produces.
+ *
+ * Every parsed card carries normalizedName (see card-names.js) for matching,
+ * plus setCode / collectorNumber / finish when the source names a printing.
+ */
+
+const { normalizeCardName, displayCardName, frontFace } = require('./card-names');
+
+// Foil markers used by Arena/Moxfield exports: "*F*" foil, "*E*" etched
+const FINISH_MARKERS = { F: 'foil', E: 'etched' };
+
+/**
+ * Build a parsed card entry, attaching printing details only when present
+ */
+function makeCard(name, quantity, { setCode = null, collectorNumber = null, finish = null, condition = null, board = null } = {}) {
+  const card = { name, quantity };
+  if (board) card.board = board;
+  card.normalizedName = normalizeCardName(name);
+  if (setCode) card.setCode = setCode.toUpperCase();
+  if (collectorNumber) card.collectorNumber = String(collectorNumber);
+  if (finish) card.finish = finish;
+  if (condition) card.condition = condition;
+  return card;
+}
+
+// Section headers and the board they start: "Sideboard", "// Sideboard",
+// "SIDEBOARD:", "Sideboard (15)". Other "//" and "#" lines are comments.
+const SECTION_HEADERS = [
+  { pattern: /^(?:deck|main|mainboard|maindeck)$/, board: 'mainboard' },
+  { pattern: /^sideboard$/, board: 'sideboard' },
+  { pattern: /^commanders?$/, board: 'commanders' },
+  { pattern: /^companions?$/, board: 'companions' },
+  { pattern: /^maybe(?:board)?$/, board: 'maybeboard' },
+  // Arena's "About" block holds deck metadata ("Name My Deck"), not cards
+  { pattern: /^about$/, board: null },
+];
+
+/**
+ * The section a header line starts, or undefined if the line isn't a header
+ * Returns { board } - board is null for the Arena "About" block
+ */
+function sectionHeader(line) {
+  const word = line
+    .replace(/^\/\/\s*/, '')
+    .replace(/\s*\(\d+\)\s*$/, '')
+    .replace(/\s*:\s*$/, '')
+    .trim()
+    .toLowerCase();
+  return SECTION_HEADERS.find(section => section.pattern.test(word));
+}
+
+// Largest sideboard an Arena-style blank-line split is trusted for
+const MAX_BLANK_LINE_SIDEBOARD = 15;
+// A lone first block this small (and no bigger) is the commander(s)
+const MAX_BLANK_LINE_COMMANDERS = 2;
+
+/**
+ * Cards on a line by its leading quantity; a bare name counts as one
+ */
+function lineQuantity(line) {
+  const match = line.match(/^(?:SB:\s*)?(\d+)\s*x?\s/i);
+  return match ? parseInt(match[1], 10) : 1;
+}
+
+/**
+ * Boards for a list without headers whose cards come in two blank-line
+ * separated blocks, or null to keep everything in the mainboard
+ * Only trusted when the list has no headers or comments at all and exactly
+ * two blocks, so lists pasted with blank lines between card groups aren't split:
+ *   - Arena: a second block of at most 15 cards after a larger first one is the sideboard
+ *   - Commander exports: a first block of 1-2 cards is the commander(s)
+ * Returns [firstBlockBoard, secondBlockBoard]
+ */
+function blankLineBoards(lines) {
+  const blocks = [];
+  let inBlock = false;
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (sectionHeader(line) || line.startsWith('//') || line.startsWith('#')) return null;
+    if (line && !inBlock) blocks.push(0);
+    if (line) blocks[blocks.length - 1] += lineQuantity(line);
+    inBlock = !!line;
+  }
+  if (blocks.length !== 2) return null;
+
+  const [first, second] = blocks;
+  if (second <= MAX_BLANK_LINE_SIDEBOARD && first > second) return ['mainboard', 'sideboard'];
+  if (first <= MAX_BLANK_LINE_COMMANDERS) return ['commanders', 'mainboard'];
+  return null;
+}
+
+/**
+ * Parse one card line: "4x Lightning Bolt (M10) 146 *F*"
+ * Returns { card } or { error }
+ */
+function parseCardLine(line, board) {
+  // Try to match: quantity + optional 'x' + card name
+  // followed by an optional (SET) + collector number, *F*/*E* finish marker and #tag
+  const match = line.match(/^(\d+)\s*x?\s+(.+?)(?:\s*[\(\[]([A-Za-z0-9]{2,6})[\)\]](?:\s+([A-Za-z0-9\u2605\u2020-]+))?)?(?:\s+\*([A-Za-z])\*)?(?:\s+#\S+)?\s*$/);
+
+  if (match) {
+    const quantity = parseInt(match[1], 10);
+    let cardName = match[2].trim();
+    let setCode = match[3] || null;
+    let collectorNumber = match[4] || null;
+    const finish = match[5] ? FINISH_MARKERS[match[5].toUpperCase()] || null : null;
+
+    // A bare number in parentheses is a collector number, not a set (e.g., "Sol Ring (123)")
+    if (setCode && /^\d+$/.test(setCode) && !collectorNumber) {
+      collectorNumber = setCode;
+      setCode = null;
+    }
+
+    // Handle double-faced / split cards - use the front face name
+    // "Fell the Profane // Fell the Profane" -> "Fell the Profane"
+    cardName = displayCardName(frontFace(cardName));
+
+    if (cardName && quantity > 0) {
+      return { card: makeCard(cardName, quantity, { setCode, collectorNumber, finish, board }) };
+    }
+    return { error: 'Invalid quantity or empty card name' };
+  }
+
+  // Maybe it's just a card name without quantity (assume 1)
+  if (line.length > 1 && !line.match(/^\d+$/)) {
+    return { card: makeCard(displayCardName(frontFace(line)), 1, { board }) };
+  }
+  return { error: 'Could not parse line' };
+}
+
+/**
+ * Parse a plain text deck list
+ * 
+ * Supports formats:
+ *   1 Lightning Bolt
+ *   1x Lightning Bolt
+ *   4x Sol Ring
+ *   1 Fell the Profane // Fell the Profane (split/modal cards)
+ *   4 Lightning Bolt (M10) 146          (Arena: set code + collector number)
+ *   1 Sol Ring (CMM) 464 *F*            (Moxfield: *F* foil, *E* etched)
+ *   SB: 2 Pyroblast                     (sideboard line)
+ * 
+ * Section headers set the board of the cards that follow:
+ *   Deck / Sideboard / Commander / Companion / Maybeboard
+ *   COMMANDER:  // Sideboard  Sideboard (15)
+ * "// Creatures"-style comments are skipped. Without any headers, a single
+ * blank line splits mainboard from a small sideboard (Arena), or a 1-2 card
+ * commander block from the deck (see blankLineBoards).
+ *
+ * Repeated lines for the same card and printing in the same board are merged
+ * and reported in "warnings". Returns { cards, errors, warnings, deckName },
+ * deckName only when the list has an Arena "About / Name ..." block.
+ */
+function parseTextDeckList(text) {
+  const lines = text.split('\n');
+  const cards = [];
+  const errors = [];
+  const warnings = [];
+  const seen = new Map();
+  const blockBoards = blankLineBoards(lines);
+  let board = blockBoards ? blockBoards[0] : 'mainboard';
+  let deckName = null;
+  let hasCards = false;
+
+  console.log(`[PARSER] Parsing text deck list (${lines.length} lines${blockBoards ? `, blank-line split: ${blockBoards.join(' / ')}` : ''})...`);
+
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i].trim();
+    
+    if (!line) {
+      if (blockBoards && hasCards) board = blockBoards[1];
+      continue;
+    }
+
+    const section = sectionHeader(line);
+    if (section) {
+      console.log(`[PARSER] Section header line ${i + 1}: "${line}" -> ${section.board || 'metadata'}`);
+      board = section.board;
+      continue;
+    }
+
+    // Skip comments
+    if (line.startsWith('//') || line.startsWith('#')) {
+      console.log(`[PARSER] Skipping comment line ${i + 1}: "${line}"`);
+      continue;
+    }
+
+    // Inside Arena's About block: "Name My Deck"
+    if (board === null) {
+      const name = line.match(/^Name\s+(.+)$/i);
+      if (name) deckName = name[1].trim();
+      continue;
+    }
+
+    let lineBoard = board;
+    if (/^SB:\s*/i.test(line)) {
+      line = line.replace(/^SB:\s*/i, '');
+      lineBoard = 'sideboard';
+    }
+
+    const { card, error } = parseCardLine(line, lineBoard);
+    if (error) {
+      errors.push({ line: i + 1, text: lines[i].trim(), reason: error });
+      continue;
+    }
+    hasCards = true;
+
+    const key = [card.board, card.normalizedName, card.setCode, card.collectorNumber, card.finish].join('|');
+    const existing = seen.get(key);
+    if (existing) {
+      existing.card.quantity += card.quantity;
+      warnings.push({
+        line: i + 1,
+        text: lines[i].trim(),
+        reason: `Duplicate of line ${existing.line} in ${card.board}; quantities merged (now ${existing.card.quantity})`,
+      });
+      continue;
+    }
+
+    seen.set(key, { card, line: i + 1 });
+    cards.push(card);
+  }
+
+  console.log(`[PARSER] Parsed ${cards.length} cards from text (${errors.length} errors, ${warnings.length} warnings)`);
+  if (errors.length > 0) {
+    console.log(`[PARSER] Parse errors:`, JSON.stringify(errors));
+  }
+  if (warnings.length > 0) {
+    console.log(`[PARSER] Parse warnings:`, JSON.stringify(warnings));
+  }
+  if (cards.length > 0) {
+    console.log(`[PARSER] First few cards: ${cards.slice(0, 5).map(c => `${c.quantity}x ${c.name} [${c.board}]`).join(', ')}`);
+  }
+
+  const result = { cards, errors, warnings };
+  if (deckName) result.deckName = deckName;
+  return result;
+}
+
+module.exports = { makeCard, parseTextDeckList, FINISH_MARKERS };
@@ -0,0 +1,147 @@
+/**
+ * Games
+ *
+ * The store sells more than Magic. Every product is tagged with a game,
+ * derived from its Shopify product type, then its tags, then its vendor (the
+ * first that names a game wins), and its title is parsed by that game's rules:
+ *
+ *   mtg       "Fell the Profane (Modern Horizons 3)"            treatment tags dropped
+ *   pokemon   "Charizard ex - 199/165 (Scarlet & Violet 151)"   card number dropped
+ *   yugioh    "Ash Blossom & Joyous Spring (MACR-EN036) (Maximum Crisis)"
+ *   lorcana   "Elsa - Spirit of Winter (The First Chapter)"     " - " is part of the name
+ *   onepiece  "Monkey.D.Luffy (OP01-003) (Romance Dawn)"
+ *
+ * Products that name no game are Magic, as the whole catalog used to be.
+ */
+
+const { normalizeCardName, displayCardName } = require('./card-names');
+
+const DEFAULT_GAME = 'mtg';
+
+// Rarity words some titles carry as a "(Secret Rare)" group or " - Secret Rare" suffix
+const RARITY_PATTERN = /^(?:common|uncommon|rare|holo rare|reverse holo|double rare|ultra rare|super rare|secret rare|ultimate rare|ghost rare|starlight rare|collector'?s rare|quarter century secret rare|illustration rare|special illustration rare|hyper rare|legendary|enchanted|leader|promo|1st edition|unlimited|limited edition)$/i;
+
+const GAMES = [
+  {
+    id: 'mtg',
+    label: 'Magic: The Gathering',
+    detect: /\b(?:magic(?:: the gathering| the gathering)?|mtg)\b/i,
+  },
+  {
+    id: 'pokemon',
+    label: 'Pokémon',
+    detect: /\bpok[eé]mon\b/i,
+    // "199/165", "TG05/TG30", "SWSH050", "SVP 085"
+    cardCode: /^(?:[A-Z]{0,5}\s?\d{1,3}[a-z]?(?:\/[A-Z]{0,5}\d{1,3})?)$/i,
+  },
+  {
+    id: 'yugioh',
+    label: 'Yu-Gi-Oh!',
+    detect: /\byu-?gi-?oh\b/i,
+    // "MACR-EN036", "LOB-001"
+    cardCode: /^[A-Z0-9]{2,5}-(?:[A-Z]{1,2})?\d{2,3}$/i,
+  },
+  {
+    id: 'lorcana',
+    label: 'Disney Lorcana',
+    detect: /\blorcana\b/i,
+    // "207/204", "#12"
+    cardCode: /^#?\d{1,3}(?:\/\d{1,3})?$/,
+  },
+  {
+    id: 'onepiece',
+    label: 'One Piece Card Game',
+    detect: /\bone piece\b/i,
+    // "OP01-003", "ST10-001", "P-012"
+    cardCode: /^(?:OP|ST|EB|PRB|P)\d{0,2}-\d{3}$/i,
+  },
+];
+
+const GAME_IDS = GAMES.map(game => game.id);
+
+function isGame(value) {
+  return GAME_IDS.includes(value);
+}
+
+/**
+ * Ids and display names of every supported game
+ */
+function listGames() {
+  return GAMES.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Work out a product's game from its Shopify productType, tags and vendor
+ */
+function detectGame({ productType = null, tags = [], vendor = null } = {}) {
+  for (const value of [productType, ...(tags || []), vendor]) {
+    if (!value) continue;
+    const game = GAMES.find(g => g.detect.test(value));
+    if (game) return game.id;
+  }
+  return DEFAULT_GAME;
+}
+
+/**
+ * Magic titles: "Card Name (Set Name)"; treatment tags before the set
+ * ("Sheoldred (Showcase) (Dominaria United)") are dropped from cardName.
+ */
+function parseMagicTitle(title) {
+  const match = title.match(/^(.+?)\s*\(([^)]+)\)\s*$/);
+  if (match) {
+    return { cardName: displayCardName(match[1]), setName: match[2].trim() };
+  }
+  return null;
+}
+
+/**
+ * Other games: the last parenthesized group is the set; earlier groups and
+ * " - " suffixes that are card numbers or rarities are dropped
+ */
+function parseOtherTitle(title, game) {
+  const isNoise = (text) => game.cardCode.test(text) || RARITY_PATTERN.test(text);
+
+  let rest = title.trim();
+  let setName = null;
+  let group;
+  while ((group = rest.match(/^(.+?)\s*\(([^()]+)\)\s*$/))) {
+    const inner = group[2].trim();
+    if (setName === null && !isNoise(inner)) {
+      setName = inner;
+    } else if (!isNoise(inner)) {
+      // Not a set, number or rarity - e.g. "B.F.M. (Big Furry Monster)"-style names
+      break;
+    }
+    rest = group[1];
+  }
+
+  let suffix;
+  while ((suffix = rest.match(/^(.+)\s+[-–]\s+(\S.*)$/)) && isNoise(suffix[2].trim())) {
+    rest = suffix[1];
+  }
+
+  const cardName = displayCardName(rest);
+  return cardName ? { cardName, setName } : null;
+}
+
+/**
+ * Parse card name and set name from a product title using the game's rules
+ * Example: "Fell the Profane (Modern Horizons 3)" -> { cardName: "Fell the Profane", setName: "Modern Horizons 3", normalizedName: "fell the profane" }
+ */
+function parseProductTitle(title, gameId = DEFAULT_GAME) {
+  const game = GAMES.find(g => g.id === gameId) || GAMES.find(g => g.id === DEFAULT_GAME);
+  const parsed = game.cardCode ? parseOtherTitle(title, game) : parseMagicTitle(title);
+  if (parsed) {
+    return { ...parsed, normalizedName: normalizeCardName(parsed.cardName) };
+  }
+
+  // Fallback: use full title as card name
+  console.warn(`[SYNC] Could not parse ${game.id} title: "${title}" - using full title as card name`);
+  return {
+    cardName: title.trim(),
+    setName: null,
+    normalizedName: normalizeCardName(title),
+  };
+}
+
+module.exports = { DEFAULT_GAME, GAME_IDS, isGame, listGames, detectGame, parseProductTitle };
@@ -1,35 +1,69 @@
 /**
  * Inventory Sync Service
  * 
- * Pulls all Magic: The Gathering products from Shopify using the Admin API
+ * Pulls all trading card products from Shopify using the Admin API
  * and syncs them into our PostgreSQL database for fast deck-matching queries.
+ * Each store (stores.js) syncs on its own: rows carry its store_id, and a
+ * full sync only removes what that store no longer lists.
  * 
- * Product title format from CardCatalyst: "Card Name (Set Name)"
+ * Product title format from CardCatalyst: "Card Name (Set Name)"; each
+ * product's game and title rules come from games.js
  * URL handle format: "card-name-set-name-tcg-{tcgplayer_id}"
+ * Product type, vendor, tags and metafields are stored alongside, with rarity,
+ * collector number, language and TCGplayer ID read out of them by
+ * product-attributes.js
  */
 
 const { pool } = require('../database');
-const { shopifyGraphQL } = require('./shopify-auth');
-
-/**
- * Parse card name and set name from product title
- * Example: "Fell the Profane (Modern Horizons 3)" -> { cardName: "Fell the Profane", setName: "Modern Horizons 3" }
- */
-function parseProductTitle(title) {
-  const match = title.match(/^(.+?)\s*\(([^)]+)\)\s*$/);
-  if (match) {
-    return {
-      cardName: match[1].trim(),
-      setName: match[2].trim(),
-    };
+const { shopifyGraphQL } = require('./shopify-graphql');
+const { runBulkQuery, streamBulkJsonl } = require('./shopify-bulk');
+const { detectGame, parseProductTitle } = require('./games');
+const { extractProductAttributes } = require('./product-attributes');
+const { storefrontUrl } = require('./stores');
+const { linkProductsToOracle } = require('./scryfall-import');
+const { checkStockAlerts } = require('./stock-alerts');
+const { SyncChangeLog, flushSyncChanges, saveSyncChanges } = require('./sync-reports');
+
+// Field selections shared by the paginated and bulk product queries
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  productType
+  vendor
+  tags
+  updatedAt
+  featuredImage {
+    url
   }
-  // Fallback: use full title as card name
-  console.warn(`[SYNC] Could not parse title: "${title}" - using full title as card name`);
-  return {
-    cardName: title.trim(),
-    setName: null,
-  };
-}
+`;
+
+const METAFIELD_FIELDS = `
+  id
+  namespace
+  key
+  value
+  type
+`;
+
+// Metafields fetched per product by the paginated query; namespaces are filtered
+// afterwards, since the connection only takes one namespace
+const METAFIELDS_PER_PRODUCT = 25;
+
+const VARIANT_FIELDS = `
+  id
+  title
+  price
+  inventoryQuantity
+  sku
+  inventoryItem {
+    id
+  }
+  selectedOptions {
+    name
+    value
+  }
+`;
 
 /**
  * Parse condition and finish from variant options
@@ -57,43 +91,46 @@ function parseVariantOptions(variant) {
 }
 
 /**
- * Fetch all products from Shopify using GraphQL pagination
+ * Fetch all of a store's products from Shopify using GraphQL pagination
+ * Used for incremental syncs; full syncs go through exportAllProductsBulk()
+ * Pass updatedSince (a Date) to fetch only products changed after that time;
+ * onPage({ page, productsFetched }) is called after each page
  */
-async function fetchAllProducts() {
+async function fetchAllProducts(store, { updatedSince = null, onPage = null } = {}) {
   const allProducts = [];
   let hasNextPage = true;
   let cursor = null;
   let pageCount = 0;
 
-  console.log('[SYNC] Starting to fetch all products from Shopify...');
+  // Shopify search syntax: updated_at:>'2026-01-01T00:00:00Z'
+  const searchQuery = updatedSince ? `updated_at:>'${updatedSince.toISOString()}'` : null;
+
+  console.log(`[SYNC] Starting to fetch ${searchQuery ? `products matching ${searchQuery}` : 'all products'} from store ${store.id}...`);
 
   const query = `
-    query GetProducts($cursor: String) {
-      products(first: 250, after: $cursor) {
+    query GetProducts($cursor: String, $query: String) {
+      products(first: 250, after: $cursor, query: $query) {
         pageInfo {
           hasNextPage
           endCursor
         }
         edges {
           node {
-            id
-            title
-            handle
-            featuredImage {
-              url
+            ${PRODUCT_FIELDS}
+            metafields(first: ${METAFIELDS_PER_PRODUCT}) {
+              edges {
+                node {
+                  ${METAFIELD_FIELDS}
+                }
+              }
             }
             variants(first: 100) {
+              pageInfo {
+                hasNextPage
+              }
               edges {
                 node {
-                  id
-                  title
-                  price
-                  inventoryQuantity
-                  sku
-                  selectedOptions {
-                    name
-                    value
-                  }
+                  ${VARIANT_FIELDS}
                 }
               }
             }
@@ -107,7 +144,7 @@ async function fetchAllProducts() {
     pageCount++;
     console.log(`[SYNC] Fetching page ${pageCount}${cursor ? ` (cursor: ${cursor.substring(0, 20)}...)` : ' (first page)'}...`);
     
-    const data = await shopifyGraphQL(query, { cursor });
+    const data = await shopifyGraphQL(store, query, { cursor, query: searchQuery });
     const products = data.data.products;
     
     const pageProductCount = products.edges.length;
@@ -116,20 +153,88 @@ async function fetchAllProducts() {
     }
 
     console.log(`[SYNC] Page ${pageCount}: received ${pageProductCount} products (total so far: ${allProducts.length})`);
+    if (onPage) {
+      onPage({ page: pageCount, productsFetched: allProducts.length });
+    }
 
     hasNextPage = products.pageInfo.hasNextPage;
     cursor = products.pageInfo.endCursor;
-
-    // Small delay to respect rate limits
-    if (hasNextPage) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
+    // No delay between pages: shopifyGraphQL() paces requests to the cost limit
   }
 
   console.log(`[SYNC] Fetched ${allProducts.length} products in ${pageCount} pages`);
   return allProducts;
 }
 
+/**
+ * Export every product of a store through a Bulk Operation and return the JSONL URL
+ * Unlike fetchAllProducts() there's no page size or variant cap: Shopify builds
+ * the whole export server-side. Returns null if the catalog is empty.
+ * onProgress({ status, objectCount }) follows the export while Shopify builds it.
+ */
+async function exportAllProductsBulk(store, { onProgress = null } = {}) {
+  console.log(`[SYNC] Starting bulk operation for all products of store ${store.id}...`);
+
+  const query = `
+    {
+      products {
+        edges {
+          node {
+            ${PRODUCT_FIELDS}
+            metafields {
+              edges {
+                node {
+                  ${METAFIELD_FIELDS}
+                }
+              }
+            }
+            variants {
+              edges {
+                node {
+                  ${VARIANT_FIELDS}
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  return runBulkQuery(store, query, { onProgress });
+}
+
+/**
+ * Stream products from a bulk export, calling onProduct(product) for each one
+ * Products arrive in the same node shape fetchAllProducts() returns, one at a
+ * time, so the catalog is never held in memory. A variant that shows up after
+ * its product was already emitted goes to onOrphanVariant(variant, productGid);
+ * a late metafield is skipped (the product was already written without it).
+ */
+async function streamBulkProducts(url, onProduct, onOrphanVariant) {
+  const isVariant = (node) => node.id.startsWith('gid://shopify/ProductVariant/');
+  const isMetafield = (node) => node.id.startsWith('gid://shopify/Metafield/');
+
+  return streamBulkJsonl(url, {
+    onParent: (product, children) => onProduct({
+      ...product,
+      metafields: {
+        edges: children.filter(isMetafield).map(node => ({ node })),
+      },
+      variants: {
+        edges: children.filter(isVariant).map(node => ({ node })),
+      },
+    }),
+    onOrphan: async (child) => {
+      if (isVariant(child)) {
+        await onOrphanVariant(child, child.__parentId);
+      } else if (isMetafield(child)) {
+        console.warn(`[SYNC] Skipped metafield ${child.namespace}.${child.key} of ${child.__parentId} - it arrived after its product`);
+      }
+    },
+  });
+}
+
 /**
  * Extract numeric Shopify ID from GraphQL global ID
  * "gid://shopify/Product/123456" -> 123456
@@ -140,118 +245,432 @@ function extractNumericId(gid) {
 }
 
 /**
- * Main sync function - pulls from Shopify and upserts into PostgreSQL
+ * Upsert a single variant row for an already-upserted product of the store
+ * Writes a variant_history row when the price or quantity changed (or the variant is new),
+ * and reports the change to changeLog (a SyncChangeLog) when one is given.
+ * Returns the numeric variant ID, or null if it can't be parsed
  */
-async function syncInventory() {
+async function upsertVariant(client, store, shopifyProductId, variant, { changeLog = null } = {}) {
+  const shopifyVariantId = extractNumericId(variant.id);
+  if (!shopifyVariantId) return null;
+
+  const { condition, finish } = parseVariantOptions(variant);
+  const inventoryItemId = variant.inventoryItem?.id ? extractNumericId(variant.inventoryItem.id) : null;
+
+  // "previous" sees the row as it was before this statement's upsert
+  const result = await client.query(`
+    WITH previous AS (
+      SELECT price, quantity FROM variants WHERE shopify_variant_id = $1
+    ), written AS (
+      INSERT INTO variants (shopify_variant_id, shopify_product_id, inventory_item_id, condition, finish, price, quantity, sku, store_id, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      ON CONFLICT (shopify_variant_id) DO UPDATE SET
+        inventory_item_id = EXCLUDED.inventory_item_id,
+        store_id = EXCLUDED.store_id,
+        condition = EXCLUDED.condition,
+        finish = EXCLUDED.finish,
+        price = EXCLUDED.price,
+        quantity = EXCLUDED.quantity,
+        sku = EXCLUDED.sku,
+        updated_at = NOW()
+      RETURNING shopify_variant_id, shopify_product_id, condition, finish, price, quantity
+    ), history AS (
+      INSERT INTO variant_history (shopify_variant_id, shopify_product_id, normalized_name, card_name, set_name, condition, finish, price, quantity, store_id)
+      SELECT w.shopify_variant_id, w.shopify_product_id, p.normalized_name, p.card_name, p.set_name, w.condition, w.finish, w.price, w.quantity, p.store_id
+      FROM written w
+      JOIN products p ON p.shopify_product_id = w.shopify_product_id
+      LEFT JOIN previous ON TRUE
+      WHERE previous.price IS DISTINCT FROM w.price OR previous.quantity IS DISTINCT FROM w.quantity
+    )
+    SELECT w.*, p.normalized_name, p.card_name, p.set_name,
+      previous.price AS old_price, previous.quantity AS old_quantity,
+      EXISTS (SELECT 1 FROM previous) AS existed
+    FROM written w
+    JOIN products p ON p.shopify_product_id = w.shopify_product_id
+    LEFT JOIN previous ON TRUE
+  `, [shopifyVariantId, shopifyProductId, inventoryItemId, condition, finish, variant.price, variant.inventoryQuantity, variant.sku, store.id]);
+
+  if (changeLog && result.rows.length > 0) {
+    changeLog.variantWritten(result.rows[0]);
+  }
+
+  return shopifyVariantId;
+}
+
+/**
+ * Upsert a single product of the store and its variants using an open client
+ * Expects the GraphQL node shape returned by fetchAllProducts()
+ * Pass changeLog (a SyncChangeLog) to record what changed.
+ * Returns { shopifyProductId, variantCount, variantIds } or null if the product ID can't be parsed
+ */
+async function upsertProduct(client, store, product, { logSample = false, changeLog = null } = {}) {
+  const shopifyProductId = extractNumericId(product.id);
+  if (!shopifyProductId) {
+    console.warn(`[SYNC] Could not extract numeric ID from: ${product.id}`);
+    return null;
+  }
+
+  const game = detectGame(product);
+  const { cardName, setName, normalizedName } = parseProductTitle(product.title, game);
+  const attributes = extractProductAttributes(product);
+  const productUrl = `${storefrontUrl(store)}/products/${product.handle}`;
+  const imageUrl = product.featuredImage?.url || null;
+
+  if (logSample) {
+    console.log(`[SYNC] Sample ${store.id} product: "${product.title}" -> game=${game}, cardName="${cardName}", setName="${setName}", rarity=${attributes.rarity}, tcgplayerId=${attributes.tcgplayerId}, id=${shopifyProductId}`);
+  }
+
+  // $18 (metafields) is NULL when the product came without them, as webhook
+  // payloads usually do: the saved metafields and what was read from them stay
+  const written = await client.query(`
+    INSERT INTO products (
+      shopify_product_id, title, card_name, normalized_name, set_name, handle, image_url, product_url, game, store_id,
+      product_type, vendor, tags, rarity, collector_number, language, tcgplayer_id, metafields, shopify_updated_at, updated_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, COALESCE($18::jsonb, '{}'), $19, NOW())
+    ON CONFLICT (shopify_product_id) DO UPDATE SET
+      title = EXCLUDED.title,
+      game = EXCLUDED.game,
+      store_id = EXCLUDED.store_id,
+      card_name = EXCLUDED.card_name,
+      normalized_name = EXCLUDED.normalized_name,
+      set_name = EXCLUDED.set_name,
+      handle = EXCLUDED.handle,
+      image_url = EXCLUDED.image_url,
+      product_url = EXCLUDED.product_url,
+      product_type = EXCLUDED.product_type,
+      vendor = EXCLUDED.vendor,
+      tags = EXCLUDED.tags,
+      rarity = CASE WHEN $18::jsonb IS NULL THEN COALESCE(EXCLUDED.rarity, products.rarity) ELSE EXCLUDED.rarity END,
+      collector_number = CASE WHEN $18::jsonb IS NULL THEN products.collector_number ELSE EXCLUDED.collector_number END,
+      language = CASE WHEN $18::jsonb IS NULL THEN COALESCE(EXCLUDED.language, products.language) ELSE EXCLUDED.language END,
+      tcgplayer_id = CASE WHEN $18::jsonb IS NULL THEN COALESCE(products.tcgplayer_id, EXCLUDED.tcgplayer_id) ELSE EXCLUDED.tcgplayer_id END,
+      metafields = COALESCE($18::jsonb, products.metafields),
+      shopify_updated_at = COALESCE(EXCLUDED.shopify_updated_at, products.shopify_updated_at),
+      updated_at = NOW()
+    RETURNING shopify_product_id, normalized_name, card_name, set_name, (xmax = 0) AS created
+  `, [
+    shopifyProductId, product.title, cardName, normalizedName, setName, product.handle, imageUrl, productUrl, game, store.id,
+    attributes.productType,
+    attributes.vendor,
+    attributes.tags,
+    attributes.rarity,
+    attributes.collectorNumber,
+    attributes.language,
+    attributes.tcgplayerId,
+    attributes.metafields ? JSON.stringify(attributes.metafields) : null,
+    product.updatedAt || null,
+  ]);
+
+  if (changeLog) {
+    changeLog.productWritten(written.rows[0], written.rows[0].created);
+  }
+
+  const variantIds = [];
+
+  for (const variantEdge of product.variants.edges) {
+    const shopifyVariantId = await upsertVariant(client, store, shopifyProductId, variantEdge.node, { changeLog });
+    if (shopifyVariantId) {
+      variantIds.push(shopifyVariantId);
+    }
+  }
+
+  return { shopifyProductId, variantCount: variantIds.length, variantIds };
+}
+
+/**
+ * Delete a product's variants that aren't in variantIds (the ones it still has)
+ * Pass changeLog (a SyncChangeLog) to record them as variant_removed.
+ * Returns the number of variants removed
+ */
+async function removeMissingVariants(client, shopifyProductId, variantIds, { changeLog = null } = {}) {
+  const result = await client.query(`
+    WITH removed AS (
+      DELETE FROM variants WHERE shopify_product_id = $1 AND shopify_variant_id != ALL($2::bigint[])
+      RETURNING shopify_variant_id, shopify_product_id, condition, finish, price, quantity
+    )
+    SELECT r.*, p.normalized_name, p.card_name, p.set_name
+    FROM removed r
+    LEFT JOIN products p ON p.shopify_product_id = r.shopify_product_id
+  `, [shopifyProductId, variantIds]);
+
+  if (changeLog) {
+    changeLog.removed('variant_removed', result.rows);
+  }
+  return result.rows.length;
+}
+
+/**
+ * Get when the store's most recent completed sync started fetching, or null if there isn't one
+ * Anything edited in Shopify after that may not have been in what it fetched.
+ * Rows from before fetch_started_at was recorded fall back to started_at.
+ * The columns are local TIMESTAMPs, so it's converted to timestamptz before leaving Postgres
+ */
+async function getLastSyncFetchStart(client, storeId) {
+  const result = await client.query(`
+    SELECT COALESCE(fetch_started_at, started_at) AT TIME ZONE current_setting('TimeZone') AS fetch_started_at
+    FROM sync_log
+    WHERE status = 'completed' AND finished_at IS NOT NULL AND store_id = $1 AND mode != 'webhook'
+    ORDER BY finished_at DESC
+    LIMIT 1
+  `, [storeId]);
+  return result.rows.length > 0 ? result.rows[0].fetch_started_at : null;
+}
+
+/**
+ * Advisory lock key held for the length of a sync (any constant works, it just
+ * has to be the same in every instance), paired with a hash of the store ID
+ */
+const SYNC_LOCK_KEY = 7301;
+
+// Report write progress every this many products
+const PROGRESS_INTERVAL = 250;
+// IDs a full sync has seen are written to its temp tables this many at a time
+const SEEN_ID_BATCH_SIZE = 1000;
+
+/**
+ * Create the temp tables a full sync records the product and variant IDs it
+ * has seen in, so finding what Shopify no longer lists doesn't take every ID
+ * in memory. Call inside the sync's transaction; they go when it ends.
+ */
+async function createSeenIdTables(client) {
+  await client.query('CREATE TEMP TABLE sync_seen_products (shopify_product_id BIGINT PRIMARY KEY) ON COMMIT DROP');
+  await client.query('CREATE TEMP TABLE sync_seen_variants (shopify_variant_id BIGINT PRIMARY KEY) ON COMMIT DROP');
+}
+
+/**
+ * Write buffered seen IDs ({ products, variants }) to the temp tables and empty the buffers
+ */
+async function writeSeenIds(client, seen) {
+  if (seen.products.length > 0) {
+    await client.query('INSERT INTO sync_seen_products SELECT unnest($1::bigint[]) ON CONFLICT DO NOTHING', [seen.products]);
+    seen.products = [];
+  }
+  if (seen.variants.length > 0) {
+    await client.query('INSERT INTO sync_seen_variants SELECT unnest($1::bigint[]) ON CONFLICT DO NOTHING', [seen.variants]);
+    seen.variants = [];
+  }
+}
+
+/**
+ * Main sync function - pulls a store's products from Shopify and upserts into PostgreSQL
+ *
+ * Modes:
+ *   "full"        - fetch every product and delete anything Shopify no longer has
+ *   "incremental" - fetch only products updated since the last completed sync
+ *                   started fetching, and drop variants they no longer have;
+ *                   falls back to a full sync if there is no completed sync yet
+ *
+ * Only one sync per store runs at a time across every instance sharing the
+ * database: a second call while one is running throws an error with code
+ * "SYNC_LOCKED". Different stores sync independently.
+ * Callers inside this process should go through sync-runner.js, which queues
+ * instead. trigger ("startup", "cron", "manual") is recorded in sync_log;
+ * onProgress({ syncId, mode, phase, ... }) follows the run.
+ */
+async function syncInventory({ store, mode = 'full', trigger = 'manual', onProgress = () => {} }) {
   const client = await pool.connect();
+
+  const lock = await client.query('SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked', [SYNC_LOCK_KEY, store.id]);
+  if (!lock.rows[0].locked) {
+    client.release();
+    const error = new Error(`Another inventory sync of store ${store.id} is already running`);
+    error.code = 'SYNC_LOCKED';
+    throw error;
+  }
+
+  try {
+    // Holding the lock means no other sync of this store is alive, so any "running" row was cut short
+    const abandoned = await client.query(
+      "UPDATE sync_log SET status = 'abandoned', finished_at = NOW(), error_message = 'Interrupted before finishing' WHERE status = 'running' AND store_id = $1",
+      [store.id]
+    );
+    if (abandoned.rowCount > 0) {
+      console.warn(`[SYNC] Marked ${abandoned.rowCount} interrupted ${store.id} sync(s) as abandoned`);
+    }
+
+    return await runSync(client, { store, mode, trigger, onProgress });
+  } finally {
+    try {
+      await client.query('SELECT pg_advisory_unlock($1, hashtext($2))', [SYNC_LOCK_KEY, store.id]);
+    } catch (unlockError) {
+      console.error('[SYNC] Failed to release sync lock:', unlockError.message);
+    }
+    client.release();
+  }
+}
+
+/**
+ * The sync itself, run while holding the sync lock
+ */
+async function runSync(client, { store, mode, trigger, onProgress }) {
+  let updatedSince = null;
+  if (mode === 'incremental') {
+    updatedSince = await getLastSyncFetchStart(client, store.id);
+    if (!updatedSince) {
+      console.log(`[SYNC] No completed sync of store ${store.id} on record - running a full sync instead of incremental`);
+      mode = 'full';
+    }
+  }
   
   // Create sync log entry
   const logResult = await client.query(
-    'INSERT INTO sync_log (status) VALUES ($1) RETURNING id',
-    ['running']
+    'INSERT INTO sync_log (status, mode, triggered_by, store_id) VALUES ($1, $2, $3, $4) RETURNING id',
+    ['running', mode, trigger, store.id]
   );
   const syncLogId = logResult.rows[0].id;
   
   let productCount = 0;
   let variantCount = 0;
+  const report = (phase, details = {}) => onProgress({
+    syncId: syncLogId, store: store.id, mode, phase, productsProcessed: productCount, variantsProcessed: variantCount, ...details,
+  });
+  report('starting');
 
   try {
-    console.log('[SYNC] ====== Starting inventory sync ======');
+    console.log(`[SYNC] ====== Starting ${mode} inventory sync of store ${store.id} ======`);
+    if (updatedSince) {
+      console.log(`[SYNC] Fetching products updated since ${updatedSince.toISOString()}`);
+    }
     const startTime = Date.now();
     
-    const products = await fetchAllProducts();
-    console.log(`[SYNC] Fetched ${products.length} total products from Shopify`);
-
-    // Use a transaction for the database writes
-    await client.query('BEGIN');
-    console.log('[SYNC] Database transaction started');
-
-    for (const product of products) {
-      const shopifyProductId = extractNumericId(product.id);
-      if (!shopifyProductId) {
-        console.warn(`[SYNC] Could not extract numeric ID from: ${product.id}`);
-        continue;
+    const changeLog = new SyncChangeLog();
+    // A full sync notes every ID it sees, to delete what Shopify no longer lists
+    const seen = mode === 'full' ? { products: [], variants: [] } : null;
+    // Changes and seen IDs are written a batch at a time as the products come in
+    const writeBatches = async () => {
+      await flushSyncChanges(client, syncLogId, changeLog, { onlyFullBatches: true });
+      if (seen && seen.products.length + seen.variants.length >= SEEN_ID_BATCH_SIZE) {
+        await writeSeenIds(client, seen);
       }
+    };
+    const handleProduct = async (product) => {
+      const upserted = await upsertProduct(client, store, product, { logSample: productCount < 3, changeLog });
+      if (!upserted) return;
 
-      const { cardName, setName } = parseProductTitle(product.title);
-      const storeDomain = process.env.SHOPIFY_STORE_DOMAIN.replace('.myshopify.com', '');
-      const productUrl = `https://${storeDomain}.com/products/${product.handle}`;
-      const imageUrl = product.featuredImage?.url || null;
-
-      if (productCount < 3) {
-        console.log(`[SYNC] Sample product: "${product.title}" -> cardName="${cardName}", setName="${setName}", id=${shopifyProductId}`);
+      if (seen) {
+        seen.products.push(upserted.shopifyProductId);
+        seen.variants.push(...upserted.variantIds);
       }
-
-      // Upsert product
-      await client.query(`
-        INSERT INTO products (shopify_product_id, title, card_name, set_name, handle, image_url, product_url, updated_at)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-        ON CONFLICT (shopify_product_id) DO UPDATE SET
-          title = EXCLUDED.title,
-          card_name = EXCLUDED.card_name,
-          set_name = EXCLUDED.set_name,
-          handle = EXCLUDED.handle,
-          image_url = EXCLUDED.image_url,
-          product_url = EXCLUDED.product_url,
-          updated_at = NOW()
-      `, [shopifyProductId, product.title, cardName, setName, product.handle, imageUrl, productUrl]);
-
       productCount++;
-
-      // Upsert variants
-      for (const variantEdge of product.variants.edges) {
-        const variant = variantEdge.node;
-        const shopifyVariantId = extractNumericId(variant.id);
-        if (!shopifyVariantId) continue;
-
-        const { condition, finish } = parseVariantOptions(variant);
-
-        await client.query(`
-          INSERT INTO variants (shopify_variant_id, shopify_product_id, condition, finish, price, quantity, sku, updated_at)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-          ON CONFLICT (shopify_variant_id) DO UPDATE SET
-            condition = EXCLUDED.condition,
-            finish = EXCLUDED.finish,
-            price = EXCLUDED.price,
-            quantity = EXCLUDED.quantity,
-            sku = EXCLUDED.sku,
-            updated_at = NOW()
-        `, [shopifyVariantId, shopifyProductId, condition, finish, variant.price, variant.inventoryQuantity, variant.sku]);
-
-        variantCount++;
+      variantCount += upserted.variantCount;
+      if (productCount % PROGRESS_INTERVAL === 0) report('writing');
+      await writeBatches();
+      return upserted;
+    };
+    const markFetchStarted = () => client.query('UPDATE sync_log SET fetch_started_at = NOW() WHERE id = $1', [syncLogId]);
+
+    if (mode === 'full') {
+      // Wait for the export before opening the transaction so it isn't held open while Shopify works
+      await markFetchStarted();
+      const bulkUrl = await exportAllProductsBulk(store, {
+        onProgress: ({ objectCount }) => report('exporting', { exportedObjects: objectCount }),
+      });
+
+      await client.query('BEGIN');
+      console.log('[SYNC] Database transaction started');
+      await createSeenIdTables(client);
+
+      if (bulkUrl) {
+        await streamBulkProducts(bulkUrl, handleProduct, async (variant, productGid) => {
+          const upsertedId = await upsertVariant(client, store, extractNumericId(productGid), variant, { changeLog });
+          if (!upsertedId) return;
+          seen.variants.push(upsertedId);
+          variantCount++;
+          await writeBatches();
+        });
+      }
+      await writeSeenIds(client, seen);
+      console.log(`[SYNC] Streamed ${productCount} total products from Shopify bulk export`);
+    } else {
+      await markFetchStarted();
+      const products = await fetchAllProducts(store, {
+        updatedSince,
+        onPage: ({ page, productsFetched }) => report('fetching', { page, productsFetched }),
+      });
+      console.log(`[SYNC] Fetched ${products.length} total products from Shopify`);
+
+      // Use a transaction for the database writes
+      await client.query('BEGIN');
+      console.log('[SYNC] Database transaction started');
+
+      // Each fetched product lists all its variants, so any others were removed;
+      // a product with more than the query fetches is left alone
+      let removedVariants = 0;
+      for (const product of products) {
+        const upserted = await handleProduct(product);
+        if (upserted && !product.variants.pageInfo?.hasNextPage) {
+          removedVariants += await removeMissingVariants(client, upserted.shopifyProductId, upserted.variantIds, { changeLog });
+        }
       }
+      console.log(`[SYNC] Removed ${removedVariants} variants dropped from updated products`);
     }
 
-    // Remove products that no longer exist in Shopify
-    const shopifyProductIds = products
-      .map(p => extractNumericId(p.id))
-      .filter(id => id !== null);
-    
-    if (shopifyProductIds.length > 0) {
-      const deleteResult = await client.query(
-        'DELETE FROM products WHERE shopify_product_id != ALL($1::bigint[])',
-        [shopifyProductIds]
-      );
+    report('finishing');
+
+    // Remove this store's products that no longer exist in Shopify
+    // Only a full sync sees the whole catalog, so only it can detect deletions
+    // The statement's snapshot still sees the variants the cascade removes, so
+    // each removed product reports the stock it took with it
+    if (mode === 'full' && productCount > 0) {
+      const deleteResult = await client.query(`
+        WITH removed AS (
+          DELETE FROM products p
+          WHERE p.store_id = $1
+            AND NOT EXISTS (SELECT 1 FROM sync_seen_products s WHERE s.shopify_product_id = p.shopify_product_id)
+          RETURNING shopify_product_id, normalized_name, card_name, set_name
+        )
+        SELECT r.*, (SELECT COALESCE(SUM(v.quantity), 0)::int FROM variants v WHERE v.shopify_product_id = r.shopify_product_id) AS quantity
+        FROM removed r
+      `, [store.id]);
+      changeLog.removed('product_removed', deleteResult.rows);
       console.log(`[SYNC] Removed ${deleteResult.rowCount} stale products from database`);
+
+      // Variants dropped from products that are still listed
+      const variantResult = await client.query(`
+        WITH removed AS (
+          DELETE FROM variants v
+          WHERE v.store_id = $1
+            AND NOT EXISTS (SELECT 1 FROM sync_seen_variants s WHERE s.shopify_variant_id = v.shopify_variant_id)
+          RETURNING shopify_variant_id, shopify_product_id, condition, finish, price, quantity
+        )
+        SELECT r.*, p.normalized_name, p.card_name, p.set_name
+        FROM removed r
+        LEFT JOIN products p ON p.shopify_product_id = r.shopify_product_id
+      `, [store.id]);
+      changeLog.removed('variant_removed', variantResult.rows);
+      console.log(`[SYNC] Removed ${variantResult.rowCount} stale variants from database`);
     }
 
+    // Attach oracle identity from the Scryfall import (no-op until one has been run)
+    await linkProductsToOracle(client, { onlyUnlinked: mode !== 'full' });
+
+    const changeSummary = await saveSyncChanges(client, syncLogId, changeLog);
+
     await client.query('COMMIT');
     console.log('[SYNC] Database transaction committed');
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`[SYNC] ====== Sync complete: ${productCount} products, ${variantCount} variants in ${elapsed}s ======`);
+    console.log(`[SYNC] ====== ${store.id} ${mode} sync complete: ${productCount} products, ${variantCount} variants in ${elapsed}s ======`);
 
     // Update sync log
     await client.query(
-      'UPDATE sync_log SET finished_at = NOW(), products_synced = $1, variants_synced = $2, status = $3 WHERE id = $4',
-      [productCount, variantCount, 'completed', syncLogId]
+      'UPDATE sync_log SET finished_at = NOW(), products_synced = $1, variants_synced = $2, status = $3, change_summary = $4 WHERE id = $5',
+      [productCount, variantCount, 'completed', JSON.stringify(changeSummary), syncLogId]
     );
 
-    return { productCount, variantCount, elapsed };
+    // Back-in-stock alerts only see committed stock; a failure here doesn't fail the sync
+    try {
+      await checkStockAlerts();
+    } catch (alertError) {
+      console.error('[SYNC] Stock alert check failed:', alertError.message);
+    }
+
+    return { store: store.id, mode, productCount, variantCount, elapsed, syncId: syncLogId, changes: changeSummary };
 
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('[SYNC] ====== Sync FAILED ======');
+    console.error(`[SYNC] ====== ${store.id} sync FAILED ======`);
     console.error('[SYNC] Error message:', error.message);
     console.error('[SYNC] Full error:', error);
     console.error('[SYNC] Products synced before failure:', productCount);
@@ -264,9 +683,16 @@ async function syncInventory() {
     );
 
     throw error;
-  } finally {
-    client.release();
   }
 }
 
-module.exports = { syncInventory, parseProductTitle };
+module.exports = {
+  syncInventory,
+  upsertProduct,
+  upsertVariant,
+  removeMissingVariants,
+  streamBulkProducts,
+  parseProductTitle,
+  parseVariantOptions,
+  extractNumericId,
+};
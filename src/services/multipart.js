@@ -0,0 +1,59 @@
+/**
+ * Minimal multipart/form-data parsing for file uploads
+ *
+ * Deck files are small text files, so the whole body is buffered (see the
+ * express.raw() limit on the upload route) and split on the boundary.
+ */
+
+/**
+ * Parse a buffered multipart body
+ * Returns { fields: { name: value }, files: [{ fieldName, fileName, contentType, data }] }
+ */
+function parseMultipart(body, contentTypeHeader) {
+  const boundaryMatch = (contentTypeHeader || '').match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundaryMatch) {
+    throw new Error('Missing multipart boundary');
+  }
+
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--" after the boundary marks the end of the body
+    if (body.slice(partStart, partStart + 2).toString() === '--') break;
+
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) break;
+
+    // Part = CRLF, headers, CRLF CRLF, content, CRLF
+    const part = body.slice(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf8');
+      const data = part.slice(headerEnd + 4);
+      const disposition = headers.match(/content-disposition:[^\r\n]*/i)?.[0] || '';
+      const name = disposition.match(/\bname="([^"]*)"/i)?.[1];
+      const fileName = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+
+      if (name && fileName !== undefined) {
+        files.push({
+          fieldName: name,
+          fileName,
+          contentType: headers.match(/content-type:\s*([^\r\n]+)/i)?.[1] || null,
+          data,
+        });
+      } else if (name) {
+        fields[name] = data.toString('utf8');
+      }
+    }
+
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+module.exports = { parseMultipart };
@@ -0,0 +1,71 @@
+/**
+ * Oracle Card Lookups
+ *
+ * Read side of the Scryfall import (see scryfall-import.js). Lets the matcher
+ * and routes work with oracle identity instead of raw name strings.
+ */
+
+const { pool } = require('../database');
+
+/**
+ * Resolve normalized names that are a face of a multi-face card to the card's
+ * canonical normalized name, e.g. "reflection of kiki jiki" -> "fable of the mirror breaker"
+ * Returns { [normalized face name]: normalized oracle name } for names that need it
+ */
+async function resolveFaceNames(normalizedNames) {
+  const resolved = {};
+  if (normalizedNames.length === 0) return resolved;
+
+  const result = await pool.query(`
+    SELECT face.name AS face_name, oc.normalized_name
+    FROM oracle_cards oc
+    CROSS JOIN LATERAL unnest(oc.face_names) AS face(name)
+    WHERE oc.face_names && $1::text[]
+      AND face.name = ANY($1::text[])
+      AND face.name <> oc.normalized_name
+  `, [normalizedNames]);
+
+  for (const row of result.rows) {
+    resolved[row.face_name] = row.normalized_name;
+  }
+  return resolved;
+}
+
+/**
+ * Get an oracle card with its known printings, or null
+ */
+async function getOracleCard(oracleId) {
+  const card = await pool.query(
+    'SELECT oracle_id, name, faces, type_line, color_identity, legalities FROM oracle_cards WHERE oracle_id = $1',
+    [oracleId]
+  );
+  if (card.rows.length === 0) return null;
+
+  const printings = await pool.query(`
+    SELECT scryfall_id, set_code, set_name, collector_number, lang, released_at, finishes
+    FROM card_printings
+    WHERE oracle_id = $1
+    ORDER BY released_at DESC NULLS LAST, set_code, collector_number
+  `, [oracleId]);
+
+  const row = card.rows[0];
+  return {
+    oracleId: row.oracle_id,
+    name: row.name,
+    faces: row.faces,
+    typeLine: row.type_line,
+    colorIdentity: row.color_identity,
+    legalities: row.legalities,
+    printings: printings.rows.map(p => ({
+      scryfallId: p.scryfall_id,
+      setCode: p.set_code,
+      setName: p.set_name,
+      collectorNumber: p.collector_number,
+      lang: p.lang,
+      releasedAt: p.released_at,
+      finishes: p.finishes,
+    })),
+  };
+}
+
+module.exports = { resolveFaceNames, getOracleCard };
@@ -0,0 +1,161 @@
+/**
+ * Price & Stock History
+ *
+ * upsertVariant() (and the inventory webhook) write a variant_history row
+ * whenever a variant's price or quantity changes, labelled with the variant's
+ * store. To keep the table bounded:
+ *
+ *   HISTORY_RAW_DAYS        raw change rows kept this long, then rolled up
+ *                           into variant_history_daily (default 30)
+ *   HISTORY_RETENTION_DAYS  daily rollups kept this long (default 730)
+ *
+ * runHistoryRetention() applies both and is scheduled daily from index.js.
+ */
+
+const { pool } = require('../database');
+const { normalizeCardName } = require('./card-names');
+const { resolveAliases } = require('./card-aliases');
+const { DEFAULT_STORE_ID } = require('./stores');
+
+const HISTORY_RAW_DAYS = parseInt(process.env.HISTORY_RAW_DAYS || '30', 10);
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS || '730', 10);
+
+/**
+ * Roll raw rows older than HISTORY_RAW_DAYS into daily rows, then drop them,
+ * and drop daily rows older than HISTORY_RETENTION_DAYS
+ * Returns { rolledUp, rawDeleted, dailyDeleted }
+ */
+async function runHistoryRetention() {
+  console.log(`[HISTORY] Running retention (raw ${HISTORY_RAW_DAYS} days, daily ${HISTORY_RETENTION_DAYS} days)...`);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // A day already partly rolled up (cutoff mid-day) is merged; the newly
+    // rolled rows are later in that day, so their close wins.
+    const rolled = await client.query(`
+      INSERT INTO variant_history_daily (
+        shopify_variant_id, day, shopify_product_id, normalized_name, card_name, set_name,
+        condition, finish, price_min, price_max, price_close, quantity_close, changes, store_id
+      )
+      SELECT
+        shopify_variant_id,
+        recorded_at::date,
+        (array_agg(shopify_product_id ORDER BY recorded_at DESC))[1],
+        (array_agg(normalized_name ORDER BY recorded_at DESC))[1],
+        (array_agg(card_name ORDER BY recorded_at DESC))[1],
+        (array_agg(set_name ORDER BY recorded_at DESC))[1],
+        (array_agg(condition ORDER BY recorded_at DESC))[1],
+        (array_agg(finish ORDER BY recorded_at DESC))[1],
+        MIN(price),
+        MAX(price),
+        (array_agg(price ORDER BY recorded_at DESC))[1],
+        (array_agg(quantity ORDER BY recorded_at DESC))[1],
+        COUNT(*),
+        (array_agg(store_id ORDER BY recorded_at DESC))[1]
+      FROM variant_history
+      WHERE recorded_at < NOW() - make_interval(days => $1)
+      GROUP BY shopify_variant_id, recorded_at::date
+      ON CONFLICT (shopify_variant_id, day) DO UPDATE SET
+        price_min = LEAST(variant_history_daily.price_min, EXCLUDED.price_min),
+        price_max = GREATEST(variant_history_daily.price_max, EXCLUDED.price_max),
+        price_close = EXCLUDED.price_close,
+        quantity_close = EXCLUDED.quantity_close,
+        changes = variant_history_daily.changes + EXCLUDED.changes,
+        store_id = EXCLUDED.store_id
+    `, [HISTORY_RAW_DAYS]);
+
+    const rawDeleted = await client.query(
+      'DELETE FROM variant_history WHERE recorded_at < NOW() - make_interval(days => $1)',
+      [HISTORY_RAW_DAYS]
+    );
+    const dailyDeleted = await client.query(
+      "DELETE FROM variant_history_daily WHERE day < (NOW() - make_interval(days => $1))::date",
+      [HISTORY_RETENTION_DAYS]
+    );
+
+    await client.query('COMMIT');
+
+    const summary = { rolledUp: rolled.rowCount, rawDeleted: rawDeleted.rowCount, dailyDeleted: dailyDeleted.rowCount };
+    console.log(`[HISTORY] Retention done: ${summary.rolledUp} daily rows written, ${summary.rawDeleted} raw rows and ${summary.dailyDeleted} daily rows deleted`);
+    return summary;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[HISTORY] Retention failed:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Price/stock history for a card over the last `days` days
+ * One series per variant (printing x condition x finish, at one store); points
+ * older than HISTORY_RAW_DAYS come from the daily rollup and carry priceMin/priceMax.
+ * store (a store ID) limits it to one store; null covers every store.
+ * Returns { cardName, days, series: [{ variantId, storeId, setName, condition, finish, points: [{ at, price, quantity, ... }] }] }
+ */
+async function getCardHistory(name, { days = 90, store = DEFAULT_STORE_ID } = {}) {
+  const key = normalizeCardName(name);
+  const aliases = await resolveAliases([key]);
+  const normalizedName = aliases[key] || key;
+
+  const result = await pool.query(`
+    SELECT shopify_variant_id, store_id, card_name, set_name, condition, finish,
+      day::timestamp AS at, price_close AS price, quantity_close AS quantity,
+      price_min, price_max, 'daily' AS granularity
+    FROM variant_history_daily
+    WHERE normalized_name = $1 AND day >= (NOW() - make_interval(days => $2))::date
+      AND ($3::text IS NULL OR store_id = $3)
+    UNION ALL
+    SELECT shopify_variant_id, store_id, card_name, set_name, condition, finish,
+      recorded_at AS at, price, quantity,
+      NULL, NULL, 'change'
+    FROM variant_history
+    WHERE normalized_name = $1 AND recorded_at >= NOW() - make_interval(days => $2)
+      AND ($3::text IS NULL OR store_id = $3)
+    ORDER BY shopify_variant_id, at
+  `, [normalizedName, days, store]);
+
+  const series = new Map();
+  let cardName = null;
+  for (const row of result.rows) {
+    const variantId = row.shopify_variant_id.toString();
+    if (!series.has(variantId)) {
+      series.set(variantId, {
+        variantId,
+        storeId: row.store_id,
+        setName: row.set_name,
+        condition: row.condition,
+        finish: row.finish,
+        points: [],
+      });
+    }
+    // Labels follow the latest point, in case a variant was re-titled
+    const entry = series.get(variantId);
+    entry.setName = row.set_name;
+    entry.condition = row.condition;
+    entry.finish = row.finish;
+    cardName = row.card_name;
+
+    const point = { at: row.at, price: parseFloat(row.price), quantity: row.quantity, granularity: row.granularity };
+    if (row.granularity === 'daily') {
+      point.priceMin = parseFloat(row.price_min);
+      point.priceMax = parseFloat(row.price_max);
+    }
+    entry.points.push(point);
+  }
+
+  console.log(`[HISTORY] "${name}": ${series.size} variants, ${result.rows.length} points over ${days} days in ${store ? `store ${store}` : 'all stores'}`);
+  return {
+    cardName: cardName || name,
+    days,
+    series: [...series.values()].sort((a, b) =>
+      (a.setName || '').localeCompare(b.setName || '')
+      || (a.condition || '').localeCompare(b.condition || '')
+      || (a.finish || '').localeCompare(b.finish || '')),
+  };
+}
+
+module.exports = { runHistoryRetention, getCardHistory, HISTORY_RETENTION_DAYS };
@@ -0,0 +1,134 @@
+/**
+ * Product Attributes
+ *
+ * Card details Shopify carries outside the title: product type, vendor, tags
+ * and metafields. Metafields from the namespaces in SHOPIFY_METAFIELD_NAMESPACES
+ * (comma-separated, default "custom") are kept whole as { "namespace.key": value }
+ * with values converted from their metafield type; a few well-known keys, in
+ * any of those namespaces, also fill typed columns:
+ *
+ *   rarity            rarity
+ *   collector_number  collector_number, card_number, number
+ *   language          language, lang
+ *   tcgplayer_id      tcgplayer_id, tcgplayer_product_id, tcg_id
+ *
+ * Without a metafield, rarity and language fall back to "Rarity: Mythic" /
+ * "Language: Japanese" tags, and the TCGplayer ID to the "-tcg-{id}" suffix
+ * CardCatalyst puts on handles.
+ */
+
+const METAFIELD_NAMESPACES = (process.env.SHOPIFY_METAFIELD_NAMESPACES || 'custom')
+  .split(',')
+  .map(namespace => namespace.trim())
+  .filter(Boolean);
+
+// Typed column -> metafield keys that fill it, first match wins
+const METAFIELD_KEYS = {
+  rarity: ['rarity'],
+  collectorNumber: ['collector_number', 'card_number', 'number'],
+  language: ['language', 'lang'],
+  tcgplayerId: ['tcgplayer_id', 'tcgplayer_product_id', 'tcg_id'],
+};
+
+/**
+ * Convert a metafield's string value by its type
+ * Numbers and booleans become JSON values, json and list.* types are parsed;
+ * anything unparseable stays a string
+ */
+function metafieldValue({ value, type }) {
+  if (value === null || value === undefined) return null;
+  if (type === 'number_integer' || type === 'number_decimal') {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (type === 'boolean') {
+    return value === 'true';
+  }
+  if (type === 'json' || (type || '').startsWith('list.')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Metafields in the configured namespaces as { "namespace.key": value }
+ * Takes the GraphQL connection shape ({ edges: [{ node }] }) or a plain array
+ * of { namespace, key, value, type }. Returns null when the product came
+ * without metafields (as most webhooks do), so callers can keep what they had.
+ */
+function collectMetafields(metafields) {
+  if (!metafields) return null;
+  const nodes = Array.isArray(metafields) ? metafields : (metafields.edges || []).map(edge => edge.node);
+
+  const collected = {};
+  for (const node of nodes) {
+    if (!node || !METAFIELD_NAMESPACES.includes(node.namespace)) continue;
+    collected[`${node.namespace}.${node.key}`] = metafieldValue(node);
+  }
+  return collected;
+}
+
+/**
+ * Value of a "Name: value" (or "Name:value") tag, or null
+ */
+function tagValue(tags, name) {
+  const pattern = new RegExp(`^${name}\\s*:\\s*(.+)$`, 'i');
+  for (const tag of tags) {
+    const match = tag.match(pattern);
+    if (match) return match[1].trim();
+  }
+  return null;
+}
+
+/**
+ * First configured metafield with one of the keys, as text, or null
+ */
+function metafieldText(metafields, keys) {
+  for (const namespace of METAFIELD_NAMESPACES) {
+    for (const key of keys) {
+      const value = metafields[`${namespace}.${key}`];
+      if (value !== undefined && value !== null && value !== '') return String(value);
+    }
+  }
+  return null;
+}
+
+/**
+ * TCGplayer product ID from a handle like "lightning-bolt-alpha-tcg-1234" (or
+ * just "tcg-1234"), or null
+ */
+function tcgplayerIdFromHandle(handle) {
+  const match = (handle || '').match(/(?:^|-)tcg-(\d+)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Everything the sync stores about a product besides its title, from the
+ * GraphQL node shape
+ * Returns { productType, vendor, tags, metafields, rarity, collectorNumber, language, tcgplayerId };
+ * metafields is null when the product carried none (see collectMetafields)
+ */
+function extractProductAttributes(product) {
+  const tags = product.tags || [];
+  const metafields = collectMetafields(product.metafields);
+  const fromMetafields = (column) => (metafields ? metafieldText(metafields, METAFIELD_KEYS[column]) : null);
+
+  const tcgplayerId = parseInt(fromMetafields('tcgplayerId'), 10);
+
+  return {
+    productType: product.productType || null,
+    vendor: product.vendor || null,
+    tags,
+    metafields,
+    rarity: fromMetafields('rarity') || tagValue(tags, 'rarity'),
+    collectorNumber: fromMetafields('collectorNumber'),
+    language: fromMetafields('language') || tagValue(tags, 'language'),
+    tcgplayerId: Number.isNaN(tcgplayerId) ? tcgplayerIdFromHandle(product.handle) : tcgplayerId,
+  };
+}
+
+module.exports = { METAFIELD_NAMESPACES, collectMetafields, extractProductAttributes };
@@ -0,0 +1,50 @@
+/**
+ * In-memory Rate Limiter
+ *
+ * Fixed-window counters per key (an IP, a deck source name). Good enough for a
+ * single instance; each instance counts on its own.
+ */
+
+// Prune expired windows once this many keys are tracked
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Create a limiter allowing `limit` hits per key every `windowMs`
+ * Returns { retryAfter(key), take(key) }:
+ *   retryAfter - seconds until key may hit again (0 if it may now)
+ *   take       - count a hit against key
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  function current(key, now) {
+    const window = windows.get(key);
+    return window && window.resetAt > now ? window : null;
+  }
+
+  return {
+    retryAfter(key) {
+      const now = Date.now();
+      const window = current(key, now);
+      if (!window || window.count < limit) return 0;
+      return Math.max(1, Math.ceil((window.resetAt - now) / 1000));
+    },
+
+    take(key) {
+      const now = Date.now();
+      if (windows.size >= PRUNE_THRESHOLD) {
+        for (const [k, w] of windows) {
+          if (w.resetAt <= now) windows.delete(k);
+        }
+      }
+      const window = current(key, now);
+      if (window) {
+        window.count++;
+      } else {
+        windows.set(key, { count: 1, resetAt: now + windowMs });
+      }
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,426 @@
+/**
+ * Saved Decks
+ *
+ * Persists a parsed deck (cards with boards, where it came from) and the
+ * variants the customer picked, under a random ID that can be shared with
+ * staff. Each save also stores a snapshot of what matched in stock at that
+ * moment, so refreshDeck() can show what changed since. A deck with a game
+ * (games.js) only matches that game's products, and a deck is matched against
+ * one store's inventory (stores.js) or, with store null, every active store.
+ *
+ * Anyone with the ID can view a deck; changing or deleting it takes the edit
+ * token handed out once when it was saved. Only the token's hash is stored.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../database');
+const { matchDeckList } = require('./deck-matcher');
+const { isGame, GAME_IDS } = require('./games');
+const { DEFAULT_STORE_ID, ALL_STORES } = require('./stores');
+
+const MAX_DECK_CARDS = 500;
+const MAX_DECK_SELECTIONS = 500;
+// Shopify variant IDs, kept within Postgres bigint
+const VARIANT_ID_PATTERN = /^\d{1,18}$/;
+
+/**
+ * Random URL-safe deck ID, e.g. "q3Vx9LwT0bKc"
+ */
+function newDeckId() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * Random edit token and the hash stored for it
+ */
+function newEditToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashEditToken(token) };
+}
+
+function hashEditToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function editTokenMatches(hash, token) {
+  if (!hash || typeof token !== 'string' || !token) return false;
+  return crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(hashEditToken(token)));
+}
+
+function optionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+/**
+ * Check a deck body before saving
+ * Returns an error message, or null if the deck is usable.
+ * partial allows omitting fields (for updates).
+ */
+function validateDeck(deck, { partial = false } = {}) {
+  if (!deck || typeof deck !== 'object') {
+    return 'Missing deck body';
+  }
+  if (!partial || deck.cards !== undefined) {
+    if (!Array.isArray(deck.cards) || deck.cards.length === 0) {
+      return '"cards" must be a non-empty array';
+    }
+    if (deck.cards.length > MAX_DECK_CARDS) {
+      return `A deck can have at most ${MAX_DECK_CARDS} card entries`;
+    }
+    if (deck.cards.some(card => !card || typeof card.name !== 'string' || !card.name.trim())) {
+      return 'Every card needs a "name"';
+    }
+    if (deck.cards.some(card => card.quantity != null && !(Number.isInteger(card.quantity) && card.quantity >= 1))) {
+      return 'Card "quantity" must be a positive whole number';
+    }
+    for (const key of ['board', 'setCode', 'collectorNumber', 'finish', 'condition']) {
+      if (deck.cards.some(card => !optionalString(card[key]))) {
+        return `Card "${key}" must be a string`;
+      }
+    }
+  }
+  for (const key of ['name', 'format', 'source']) {
+    if (!optionalString(deck[key])) {
+      return `"${key}" must be a string`;
+    }
+  }
+  if (deck.selections !== undefined) {
+    if (!Array.isArray(deck.selections)) {
+      return '"selections" must be an array';
+    }
+    if (deck.selections.length > MAX_DECK_SELECTIONS) {
+      return `A deck can have at most ${MAX_DECK_SELECTIONS} selections`;
+    }
+    if (deck.selections.some(s => !s || !VARIANT_ID_PATTERN.test(String(s.variantId)))) {
+      return 'Every selection needs a numeric "variantId"';
+    }
+    if (deck.selections.some(s => !(Number.isInteger(s.quantity) && s.quantity >= 1))) {
+      return 'Selection "quantity" must be a positive whole number';
+    }
+    if (deck.selections.some(s => !optionalString(s.cardName))) {
+      return 'Selection "cardName" must be a string';
+    }
+  }
+  if (deck.sourceUrl !== undefined && deck.sourceUrl !== null && typeof deck.sourceUrl !== 'string') {
+    return '"sourceUrl" must be a string';
+  }
+  if (deck.game !== undefined && deck.game !== null && !isGame(deck.game)) {
+    return `"game" must be one of: ${GAME_IDS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Keep only the card fields the parser produces
+ */
+function cleanCards(cards) {
+  return cards.map(card => {
+    const clean = {
+      name: card.name.trim(),
+      quantity: card.quantity ?? 1,
+      board: card.board || 'mainboard',
+    };
+    for (const key of ['setCode', 'collectorNumber', 'finish', 'condition']) {
+      if (card[key]) clean[key] = card[key];
+    }
+    return clean;
+  });
+}
+
+function cleanSelections(selections) {
+  return selections.map(s => ({
+    variantId: String(s.variantId),
+    quantity: s.quantity,
+    cardName: s.cardName || null,
+  }));
+}
+
+/**
+ * Reduce match results to what refreshDeck compares:
+ * [{ name, board, found, cardName, cheapestPrice, variants: { [variantId]: { price, quantity } } }]
+ */
+function toSnapshot(cards, results) {
+  return results.map((result, i) => ({
+    name: cards[i].name,
+    board: cards[i].board,
+    found: result.found,
+    cardName: result.cardName || null,
+    cheapestPrice: result.printings.length > 0 ? Math.min(...result.printings.map(p => p.price)) : null,
+    variants: Object.fromEntries(result.printings.map(p => [p.variantId, { price: p.price, quantity: p.quantity }])),
+  }));
+}
+
+/**
+ * Match the deck against current stock and snapshot the result
+ */
+async function takeSnapshot(cards, game, store) {
+  return toSnapshot(cards, await matchDeckList(cards, { game, store }));
+}
+
+function toDeck(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    game: row.game,
+    store: row.store_id ?? ALL_STORES,
+    format: row.format,
+    source: row.source,
+    sourceUrl: row.source_url,
+    cards: row.cards,
+    selections: row.selections,
+    matchedAt: row.matched_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Save a new deck (call validateDeck first)
+ * deck.store is a store ID, or null for every store; omitted means the default store.
+ * Returns { deck, editToken } - the token is needed to update or delete the
+ * deck and is only handed out here.
+ */
+async function createDeck(deck) {
+  const cards = cleanCards(deck.cards);
+  const game = deck.game || null;
+  const store = deck.store === undefined ? DEFAULT_STORE_ID : deck.store;
+  const snapshot = await takeSnapshot(cards, game, store);
+  const editToken = newEditToken();
+
+  const result = await pool.query(`
+    INSERT INTO decks (id, name, format, source, source_url, cards, selections, match_snapshot, matched_at, game, store_id, edit_token_hash)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), $9, $10, $11)
+    RETURNING *
+  `, [
+    newDeckId(),
+    (deck.name || '').trim() || 'Imported Deck',
+    deck.format || null,
+    deck.source || null,
+    deck.sourceUrl || null,
+    JSON.stringify(cards),
+    JSON.stringify(cleanSelections(deck.selections || [])),
+    JSON.stringify(snapshot),
+    game,
+    store,
+    editToken.hash,
+  ]);
+
+  console.log(`[DECKS] Saved deck ${result.rows[0].id} "${result.rows[0].name}" (${cards.length} cards)`);
+  return { deck: toDeck(result.rows[0]), editToken: editToken.token };
+}
+
+/**
+ * Load a deck row for changing it, checking the edit token
+ * Returns the row, or null if missing; throws (code "DECK_TOKEN") when the
+ * token is missing or wrong.
+ */
+async function getEditableDeck(id, token) {
+  const existing = await pool.query('SELECT * FROM decks WHERE id = $1', [id]);
+  if (existing.rows.length === 0) return null;
+  const row = existing.rows[0];
+  if (!editTokenMatches(row.edit_token_hash, token)) {
+    const error = new Error(token ? 'Wrong edit token for this deck' : 'An edit token is required to change this deck');
+    error.code = 'DECK_TOKEN';
+    throw error;
+  }
+  return row;
+}
+
+/**
+ * Get a saved deck by ID, or null
+ */
+async function getDeck(id) {
+  const result = await pool.query('SELECT * FROM decks WHERE id = $1', [id]);
+  return result.rows.length > 0 ? toDeck(result.rows[0]) : null;
+}
+
+/**
+ * Update a saved deck (call validateDeck with partial first)
+ * Changing the cards, the game or the store takes a new stock snapshot. Returns the deck, or null if missing.
+ * Throws (code "DECK_TOKEN") unless editToken is the one createDeck handed out.
+ */
+async function updateDeck(id, changes, editToken) {
+  const row = await getEditableDeck(id, editToken);
+  if (!row) return null;
+
+  const cards = changes.cards !== undefined ? cleanCards(changes.cards) : row.cards;
+  const game = changes.game !== undefined ? changes.game || null : row.game;
+  const store = changes.store !== undefined ? changes.store : row.store_id;
+  const rematch = changes.cards !== undefined || game !== row.game || store !== row.store_id;
+  const snapshot = rematch ? await takeSnapshot(cards, game, store) : null;
+
+  const result = await pool.query(`
+    UPDATE decks SET
+      name = $2,
+      format = $3,
+      source = $4,
+      source_url = $5,
+      cards = $6,
+      selections = $7,
+      match_snapshot = COALESCE($8, match_snapshot),
+      matched_at = CASE WHEN $8::jsonb IS NULL THEN matched_at ELSE NOW() END,
+      game = $9,
+      store_id = $10,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [
+    id,
+    changes.name !== undefined ? (changes.name || '').trim() || 'Imported Deck' : row.name,
+    changes.format !== undefined ? changes.format : row.format,
+    changes.source !== undefined ? changes.source : row.source,
+    changes.sourceUrl !== undefined ? changes.sourceUrl : row.source_url,
+    JSON.stringify(cards),
+    JSON.stringify(changes.selections !== undefined ? cleanSelections(changes.selections) : row.selections),
+    snapshot ? JSON.stringify(snapshot) : null,
+    game,
+    store,
+  ]);
+
+  console.log(`[DECKS] Updated deck ${id}${snapshot ? ' (new stock snapshot)' : ''}`);
+  return toDeck(result.rows[0]);
+}
+
+/**
+ * Delete a saved deck
+ * Returns true if a row was removed; throws (code "DECK_TOKEN") like updateDeck
+ */
+async function deleteDeck(id, editToken) {
+  if (!(await getEditableDeck(id, editToken))) return false;
+  const result = await pool.query('DELETE FROM decks WHERE id = $1', [id]);
+  console.log(`[DECKS] Deleted deck ${id} (${result.rowCount} rows)`);
+  return result.rowCount > 0;
+}
+
+/**
+ * Compare a saved snapshot against the current one
+ * Returns [{ type, card, board, message, ... }]
+ */
+function diffSnapshots(saved, current) {
+  const changes = [];
+
+  current.forEach((now, i) => {
+    const before = saved[i];
+    const card = now.name;
+    const board = now.board;
+    if (!before) return;
+
+    if (before.found && !now.found) {
+      changes.push({ type: 'unavailable', card, board, message: `${card} is no longer in stock` });
+      return;
+    }
+    if (!before.found && now.found) {
+      changes.push({ type: 'now_available', card, board, message: `${card} is now in stock` });
+      return;
+    }
+
+    const added = Object.keys(now.variants).filter(id => !before.variants[id]);
+    const removed = Object.keys(before.variants).filter(id => !now.variants[id]);
+    if (added.length > 0) {
+      changes.push({ type: 'new_variants', card, board, variantIds: added, message: `${added.length} new variant(s) of ${card} in stock` });
+    }
+    if (removed.length > 0) {
+      changes.push({ type: 'sold_out_variants', card, board, variantIds: removed, message: `${removed.length} variant(s) of ${card} sold out` });
+    }
+    if (before.cheapestPrice !== null && now.cheapestPrice !== null && before.cheapestPrice !== now.cheapestPrice) {
+      changes.push({
+        type: 'cheapest_price_changed',
+        card,
+        board,
+        from: before.cheapestPrice,
+        to: now.cheapestPrice,
+        message: `Cheapest ${card} went from $${before.cheapestPrice.toFixed(2)} to $${now.cheapestPrice.toFixed(2)}`,
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Check the chosen variants against current stock and price
+ * Returns [{ type, variantId, cardName, message, ... }]
+ */
+async function checkSelections(selections, savedSnapshot) {
+  if (selections.length === 0) return [];
+
+  const result = await pool.query(`
+    SELECT v.shopify_variant_id, v.price, v.quantity, p.card_name
+    FROM variants v
+    JOIN products p ON p.shopify_product_id = v.shopify_product_id
+    WHERE v.shopify_variant_id = ANY($1::bigint[])
+  `, [selections.map(s => s.variantId)]);
+
+  const current = new Map(result.rows.map(row => [String(row.shopify_variant_id), row]));
+  const savedPrices = new Map();
+  for (const card of savedSnapshot) {
+    for (const [variantId, variant] of Object.entries(card.variants)) {
+      savedPrices.set(variantId, variant.price);
+    }
+  }
+
+  const changes = [];
+  for (const selection of selections) {
+    const row = current.get(selection.variantId);
+    const cardName = row?.card_name || selection.cardName || `variant ${selection.variantId}`;
+
+    if (!row || row.quantity <= 0) {
+      changes.push({ type: 'selection_out_of_stock', variantId: selection.variantId, cardName, message: `Chosen ${cardName} is out of stock` });
+      continue;
+    }
+    if (row.quantity < selection.quantity) {
+      changes.push({
+        type: 'selection_short',
+        variantId: selection.variantId,
+        cardName,
+        wanted: selection.quantity,
+        available: row.quantity,
+        message: `Only ${row.quantity} of ${selection.quantity} chosen ${cardName} left`,
+      });
+    }
+
+    const price = parseFloat(row.price);
+    const savedPrice = savedPrices.get(selection.variantId);
+    if (savedPrice !== undefined && savedPrice !== price) {
+      changes.push({
+        type: 'selection_price_changed',
+        variantId: selection.variantId,
+        cardName,
+        from: savedPrice,
+        to: price,
+        message: `Chosen ${cardName} went from $${savedPrice.toFixed(2)} to $${price.toFixed(2)}`,
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Re-match a saved deck against current stock and list what changed since it was saved
+ * Returns { deck, results, changes } or null if the deck doesn't exist.
+ * Read-only: the saved snapshot stays as the baseline until the deck is updated.
+ */
+async function refreshDeck(id) {
+  const existing = await pool.query('SELECT * FROM decks WHERE id = $1', [id]);
+  if (existing.rows.length === 0) return null;
+  const row = existing.rows[0];
+
+  const results = await matchDeckList(row.cards, { game: row.game, store: row.store_id });
+  const changes = [
+    ...diffSnapshots(row.match_snapshot, toSnapshot(row.cards, results)),
+    ...await checkSelections(row.selections, row.match_snapshot),
+  ];
+
+  console.log(`[DECKS] Refreshed deck ${id}: ${changes.length} changes since ${row.matched_at?.toISOString?.() || row.matched_at}`);
+  return {
+    deck: toDeck(row),
+    results: results.map((result, i) => ({
+      ...result,
+      quantity: row.cards[i].quantity,
+      board: row.cards[i].board,
+    })),
+    changes,
+  };
+}
+
+module.exports = { validateDeck, createDeck, getDeck, updateDeck, deleteDeck, refreshDeck };
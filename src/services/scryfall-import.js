@@ -0,0 +1,296 @@
+/**
+ * Scryfall Import Service
+ *
+ * Loads a locally downloaded Scryfall bulk-data dump ("oracle-cards" or
+ * "default-cards", https://scryfall.com/docs/api/bulk-data) into Postgres so
+ * the backend has real card identity and metadata without calling Scryfall
+ * at request time.
+ *
+ *   oracle_cards   - one row per oracle card: name, faces, color identity, legalities
+ *   card_printings - one row per Scryfall printing: set code, set name, collector number
+ *   set_codes      - set code -> set name (see set-codes.js)
+ *
+ * The dumps are a single JSON array that can run to hundreds of megabytes, so
+ * the file is streamed and split into top-level objects without ever parsing
+ * the whole array at once.
+ */
+
+const fs = require('fs');
+const { pool } = require('../database');
+const { normalizeCardName } = require('./card-names');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Stream the top-level objects of a JSON array file, calling onObject(obj) for each
+ * Tracks brace depth and string state so any formatting (one card per line or
+ * pretty-printed) works. onObject may be async; reading pauses until it resolves.
+ */
+async function streamJsonArray(filePath, onObject) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: 1024 * 1024 });
+
+  let buffer = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+  let count = 0;
+
+  for await (const chunk of stream) {
+    const offset = buffer.length;
+    buffer += chunk;
+    const completed = [];
+
+    for (let i = offset; i < buffer.length; i++) {
+      const ch = buffer[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        if (depth === 0) objectStart = i;
+        depth++;
+      } else if (ch === '}') {
+        depth--;
+        if (depth === 0) {
+          completed.push(buffer.slice(objectStart, i + 1));
+          objectStart = -1;
+        }
+      }
+    }
+
+    // Keep only the unfinished object (if any) for the next chunk
+    buffer = objectStart >= 0 ? buffer.slice(objectStart) : '';
+    if (objectStart >= 0) objectStart = 0;
+
+    for (const json of completed) {
+      await onObject(JSON.parse(json));
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Pull the fields we store out of a Scryfall card object
+ * Returns null for objects without an oracle identity (tokens in some dumps, art cards)
+ */
+function toCardRows(card) {
+  const oracleId = card.oracle_id || card.card_faces?.[0]?.oracle_id;
+  if (!oracleId || !card.name) return null;
+
+  const faces = (card.card_faces || []).map(face => ({
+    name: face.name,
+    manaCost: face.mana_cost || null,
+    typeLine: face.type_line || null,
+    oracleText: face.oracle_text || null,
+  }));
+
+  return {
+    oracle: {
+      oracleId,
+      name: card.name,
+      normalizedName: normalizeCardName(card.name),
+      faceNames: faces.map(face => normalizeCardName(face.name)),
+      faces: JSON.stringify(faces),
+      typeLine: card.type_line || null,
+      colorIdentity: card.color_identity || [],
+      legalities: JSON.stringify(card.legalities || {}),
+    },
+    printing: {
+      scryfallId: card.id,
+      oracleId,
+      setCode: card.set ? card.set.toUpperCase() : null,
+      setName: card.set_name || null,
+      collectorNumber: card.collector_number || null,
+      lang: card.lang || 'en',
+      releasedAt: card.released_at || null,
+      finishes: card.finishes || [],
+    },
+  };
+}
+
+/**
+ * Upsert a batch of parsed cards
+ * oracle rows are de-duplicated first - default-cards repeats them per printing
+ */
+async function writeBatch(client, rows) {
+  const oracles = new Map();
+  for (const row of rows) oracles.set(row.oracle.oracleId, row.oracle);
+  const o = [...oracles.values()];
+
+  await client.query(`
+    INSERT INTO oracle_cards (oracle_id, name, normalized_name, face_names, faces, type_line, color_identity, legalities, updated_at)
+    SELECT u.oracle_id, u.name, u.normalized_name,
+      ARRAY(SELECT jsonb_array_elements_text(u.face_names::jsonb)),
+      u.faces::jsonb, u.type_line,
+      ARRAY(SELECT jsonb_array_elements_text(u.color_identity::jsonb)),
+      u.legalities::jsonb, NOW()
+    FROM unnest($1::uuid[], $2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[])
+      AS u(oracle_id, name, normalized_name, face_names, faces, type_line, color_identity, legalities)
+    ON CONFLICT (oracle_id) DO UPDATE SET
+      name = EXCLUDED.name,
+      normalized_name = EXCLUDED.normalized_name,
+      face_names = EXCLUDED.face_names,
+      faces = EXCLUDED.faces,
+      type_line = EXCLUDED.type_line,
+      color_identity = EXCLUDED.color_identity,
+      legalities = EXCLUDED.legalities,
+      updated_at = NOW()
+  `, [
+    o.map(r => r.oracleId),
+    o.map(r => r.name),
+    o.map(r => r.normalizedName),
+    o.map(r => JSON.stringify(r.faceNames)),
+    o.map(r => r.faces),
+    o.map(r => r.typeLine),
+    o.map(r => JSON.stringify(r.colorIdentity)),
+    o.map(r => r.legalities),
+  ]);
+
+  const p = rows.map(row => row.printing);
+  await client.query(`
+    INSERT INTO card_printings (scryfall_id, oracle_id, set_code, set_name, collector_number, lang, released_at, finishes)
+    SELECT u.scryfall_id, u.oracle_id, u.set_code, u.set_name, u.collector_number, u.lang, u.released_at::date,
+      ARRAY(SELECT jsonb_array_elements_text(u.finishes::jsonb))
+    FROM unnest($1::uuid[], $2::uuid[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[])
+      AS u(scryfall_id, oracle_id, set_code, set_name, collector_number, lang, released_at, finishes)
+    ON CONFLICT (scryfall_id) DO UPDATE SET
+      oracle_id = EXCLUDED.oracle_id,
+      set_code = EXCLUDED.set_code,
+      set_name = EXCLUDED.set_name,
+      collector_number = EXCLUDED.collector_number,
+      lang = EXCLUDED.lang,
+      released_at = EXCLUDED.released_at,
+      finishes = EXCLUDED.finishes
+  `, [
+    p.map(r => r.scryfallId),
+    p.map(r => r.oracleId),
+    p.map(r => r.setCode),
+    p.map(r => r.setName),
+    p.map(r => r.collectorNumber),
+    p.map(r => r.lang),
+    p.map(r => r.releasedAt),
+    p.map(r => JSON.stringify(r.finishes)),
+  ]);
+
+  // Keep set_codes in step, without touching staff corrections
+  const sets = new Map();
+  for (const r of p) {
+    if (r.setCode && r.setName) sets.set(r.setCode, r.setName);
+  }
+  await client.query(`
+    INSERT INTO set_codes (set_code, set_name, source)
+    SELECT u.set_code, u.set_name, 'scryfall'
+    FROM unnest($1::text[], $2::text[]) AS u(set_code, set_name)
+    ON CONFLICT (set_code) DO UPDATE SET set_name = EXCLUDED.set_name
+    WHERE set_codes.source = 'scryfall'
+  `, [[...sets.keys()], [...sets.values()]]);
+}
+
+/**
+ * Import a Scryfall bulk JSON file
+ * Returns { cardsRead, cardsImported, skipped }
+ */
+async function importScryfallFile(filePath) {
+  console.log(`[SCRYFALL] Importing ${filePath}...`);
+  const startTime = Date.now();
+  const client = await pool.connect();
+
+  let batch = [];
+  let cardsImported = 0;
+  let skipped = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    const cardsRead = await streamJsonArray(filePath, async (card) => {
+      const rows = toCardRows(card);
+      if (!rows) {
+        skipped++;
+        return;
+      }
+
+      batch.push(rows);
+      if (batch.length >= BATCH_SIZE) {
+        await writeBatch(client, batch);
+        cardsImported += batch.length;
+        batch = [];
+        if (cardsImported % (BATCH_SIZE * 20) === 0) {
+          console.log(`[SCRYFALL] ${cardsImported} cards imported...`);
+        }
+      }
+    });
+
+    if (batch.length > 0) {
+      await writeBatch(client, batch);
+      cardsImported += batch.length;
+    }
+
+    await client.query('COMMIT');
+
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`[SCRYFALL] Imported ${cardsImported} of ${cardsRead} cards (${skipped} skipped) in ${elapsed}s`);
+    return { cardsRead, cardsImported, skipped };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('[SCRYFALL] Import failed:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Link products to oracle cards
+ *
+ * First by normalized name plus set name (exact printing), then by name alone
+ * where the name maps to a single oracle card. Only Magic products are
+ * linked - Scryfall knows nothing of other games. Pass onlyUnlinked to leave
+ * already-linked products alone (used by incremental syncs).
+ * Works with a pool or an open client. Returns the number of products linked.
+ */
+async function linkProductsToOracle(db = pool, { onlyUnlinked = false } = {}) {
+  const bySet = await db.query(`
+    UPDATE products p
+    SET oracle_id = m.oracle_id, scryfall_id = m.scryfall_id
+    FROM (
+      SELECT DISTINCT ON (p2.id) p2.id, cp.oracle_id, cp.scryfall_id
+      FROM products p2
+      JOIN oracle_cards oc ON oc.normalized_name = p2.normalized_name
+      JOIN card_printings cp ON cp.oracle_id = oc.oracle_id AND LOWER(cp.set_name) = LOWER(p2.set_name)
+      WHERE p2.game = 'mtg' ${onlyUnlinked ? 'AND p2.oracle_id IS NULL' : ''}
+      ORDER BY p2.id, cp.lang = 'en' DESC, cp.released_at DESC
+    ) m
+    WHERE p.id = m.id
+      AND (p.oracle_id IS DISTINCT FROM m.oracle_id OR p.scryfall_id IS DISTINCT FROM m.scryfall_id)
+  `);
+
+  // Name-only links never override a printing-level link
+  const byName = await db.query(`
+    UPDATE products p
+    SET oracle_id = m.oracle_id
+    FROM (
+      SELECT normalized_name, MIN(oracle_id::text)::uuid AS oracle_id
+      FROM oracle_cards
+      GROUP BY normalized_name
+      HAVING COUNT(*) = 1
+    ) m
+    WHERE p.normalized_name = m.normalized_name
+      AND p.game = 'mtg'
+      AND p.scryfall_id IS NULL
+      AND ${onlyUnlinked ? 'p.oracle_id IS NULL' : 'p.oracle_id IS DISTINCT FROM m.oracle_id'}
+  `);
+
+  console.log(`[SCRYFALL] Linked ${bySet.rowCount} products by name + set, ${byName.rowCount} by name only`);
+  return bySet.rowCount + byName.rowCount;
+}
+
+module.exports = { importScryfallFile, linkProductsToOracle, streamJsonArray };
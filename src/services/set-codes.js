@@ -0,0 +1,58 @@
+/**
+ * Set Code Mapping
+ *
+ * Deck exports name printings by set code ("MH3"), while our products carry
+ * the set name from the CardCatalyst title ("Modern Horizons 3"). The
+ * set_codes table maps one to the other. Rows come from the Scryfall import
+ * (source "scryfall"); staff can add or correct rows (source "manual"), and
+ * manual rows are never overwritten by a re-import.
+ */
+
+const { pool } = require('../database');
+
+/**
+ * Resolve set codes to our set names
+ * Returns { [SET CODE]: [set name, ...] } for the codes that are known
+ */
+async function resolveSetNames(setCodes) {
+  const resolved = {};
+  const codes = [...new Set(setCodes.filter(Boolean).map(code => code.toUpperCase()))];
+  if (codes.length === 0) return resolved;
+
+  const result = await pool.query(
+    'SELECT set_code, set_name FROM set_codes WHERE set_code = ANY($1::text[])',
+    [codes]
+  );
+  for (const row of result.rows) {
+    if (!resolved[row.set_code]) resolved[row.set_code] = [];
+    resolved[row.set_code].push(row.set_name);
+  }
+  return resolved;
+}
+
+/**
+ * List every known mapping, by code
+ */
+async function listSetCodes() {
+  const result = await pool.query('SELECT set_code, set_name, source FROM set_codes ORDER BY set_code');
+  return result.rows;
+}
+
+/**
+ * Add or correct a mapping by hand
+ */
+async function upsertSetCode(setCode, setName) {
+  const result = await pool.query(`
+    INSERT INTO set_codes (set_code, set_name, source)
+    VALUES ($1, $2, 'manual')
+    ON CONFLICT (set_code) DO UPDATE SET
+      set_name = EXCLUDED.set_name,
+      source = 'manual'
+    RETURNING set_code, set_name, source
+  `, [setCode.toUpperCase(), setName.trim()]);
+
+  console.log(`[SET-CODES] ${setCode.toUpperCase()} -> "${setName.trim()}" (manual)`);
+  return result.rows[0];
+}
+
+module.exports = { resolveSetNames, listSetCodes, upsertSetCode };
@@ -3,37 +3,51 @@
  * 
  * Handles the Client Credentials Grant flow for Dev Dashboard apps.
  * Exchanges Client ID + Client Secret for a short-lived access token.
- * Tokens expire after 24 hours - this service caches and auto-refreshes them.
+ * Tokens expire after 24 hours - this service caches and auto-refreshes them,
+ * one per store (a stores.js record carrying the shop domain and credentials).
+ * GraphQL calls go through shopify-graphql.js.
+ * Requests give up after SHOPIFY_AUTH_TIMEOUT_MS (default 30000).
+ * SHOPIFY_API_URL replaces https://<shop domain> in every Admin API request,
+ * e.g. http://localhost:8080 to run against a mock shop.
  */
 
-let cachedToken = null;
-let tokenExpiresAt = 0;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SHOPIFY_AUTH_TIMEOUT_MS || '30000', 10);
 
-async function getAccessToken() {
+/**
+ * URL of a path on a store's Admin API, honouring SHOPIFY_API_URL
+ */
+function shopifyUrl(store, path) {
+  const base = (process.env.SHOPIFY_API_URL || `https://${store.shopDomain}`).replace(/\/+$/, '');
+  return `${base}${path}`;
+}
+
+// store ID -> { token, expiresAt }
+const cachedTokens = new Map();
+
+async function getAccessToken(store) {
   // Return cached token if still valid (with 60-second buffer)
-  if (cachedToken && Date.now() < tokenExpiresAt - 60000) {
-    console.log('[SHOPIFY-AUTH] Using cached access token');
-    return cachedToken;
+  const cached = cachedTokens.get(store.id);
+  if (cached && Date.now() < cached.expiresAt - 60000) {
+    console.log(`[SHOPIFY-AUTH] Using cached access token for store ${store.id}`);
+    return cached.token;
   }
 
-  const clientId = process.env.SHOPIFY_CLIENT_ID;
-  const clientSecret = process.env.SHOPIFY_CLIENT_SECRET;
-  const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
+  const { clientId, clientSecret, shopDomain: storeDomain } = store;
 
   if (!clientId || !clientSecret || !storeDomain) {
-    console.error('[SHOPIFY-AUTH] Missing credentials!');
+    console.error(`[SHOPIFY-AUTH] Missing credentials for store ${store.id}!`);
     console.error(`[SHOPIFY-AUTH] Client ID: ${clientId ? 'SET' : 'MISSING'}`);
     console.error(`[SHOPIFY-AUTH] Client Secret: ${clientSecret ? 'SET' : 'MISSING'}`);
     console.error(`[SHOPIFY-AUTH] Store Domain: ${storeDomain ? 'SET' : 'MISSING'}`);
-    throw new Error('Missing Shopify credentials in environment variables');
+    throw new Error(`Missing Shopify credentials for store ${store.id}`);
   }
 
-  console.log('[SHOPIFY-AUTH] Requesting new Shopify access token...');
+  console.log(`[SHOPIFY-AUTH] Requesting new Shopify access token for store ${store.id}...`);
   console.log(`[SHOPIFY-AUTH] Store domain: ${storeDomain}`);
   console.log(`[SHOPIFY-AUTH] Client ID: ${clientId ? clientId.substring(0, 8) + '...' : 'EMPTY'}`);
   console.log(`[SHOPIFY-AUTH] Client Secret: ${clientSecret ? '***SET*** (length: ' + clientSecret.length + ')' : 'EMPTY'}`);
 
-  const tokenUrl = `https://${storeDomain}/admin/oauth/access_token`;
+  const tokenUrl = shopifyUrl(store, '/admin/oauth/access_token');
   console.log(`[SHOPIFY-AUTH] Token URL: ${tokenUrl}`);
 
   const bodyString = `grant_type=client_credentials&client_id=${encodeURIComponent(clientId)}&client_secret=${encodeURIComponent(clientSecret)}`;
@@ -45,6 +59,7 @@ async function getAccessToken() {
       'Content-Type': 'application/x-www-form-urlencoded',
     },
     body: bodyString,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
   });
 
   console.log(`[SHOPIFY-AUTH] Response status: ${response.status} ${response.statusText}`);
@@ -60,57 +75,29 @@ async function getAccessToken() {
   const data = await response.json();
   console.log(`[SHOPIFY-AUTH] Token response keys: ${Object.keys(data).join(', ')}`);
   
-  cachedToken = data.access_token;
-  tokenExpiresAt = Date.now() + (data.expires_in || 86399) * 1000;
+  cachedTokens.set(store.id, {
+    token: data.access_token,
+    expiresAt: Date.now() + (data.expires_in || 86399) * 1000,
+  });
   
-  console.log(`[SHOPIFY-AUTH] Successfully obtained new access token (expires in ~${Math.round((data.expires_in || 86399) / 3600)}h)`);
-  return cachedToken;
+  console.log(`[SHOPIFY-AUTH] Successfully obtained new access token for store ${store.id} (expires in ~${Math.round((data.expires_in || 86399) / 3600)}h)`);
+  return data.access_token;
 }
 
 /**
- * Make an authenticated request to the Shopify Admin API (GraphQL)
+ * Drop a store's cached token so the next call fetches a new one
+ * For when Shopify rejects a token before its expiry (e.g. the app was reinstalled)
  */
-async function shopifyGraphQL(query, variables = {}) {
-  const token = await getAccessToken();
-  const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
-  const url = `https://${storeDomain}/admin/api/2026-01/graphql.json`;
-  
-  console.log(`[SHOPIFY-GQL] Making GraphQL request to ${url}`);
-  console.log(`[SHOPIFY-GQL] Query preview: ${query.substring(0, 100).replace(/\s+/g, ' ')}...`);
-  
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': token,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`[SHOPIFY-GQL] Request failed: ${response.status} - ${errorText}`);
-    throw new Error(`Shopify GraphQL error: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json();
-  
-  if (data.errors) {
-    console.error(`[SHOPIFY-GQL] GraphQL errors:`, JSON.stringify(data.errors, null, 2));
-    throw new Error(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
-  }
-
-  console.log(`[SHOPIFY-GQL] Request successful`);
-  return data;
+function invalidateAccessToken(store) {
+  cachedTokens.delete(store.id);
 }
 
 /**
- * Make an authenticated request to the Shopify Admin REST API
+ * Make an authenticated request to a store's Shopify Admin REST API
  */
-async function shopifyREST(endpoint) {
-  const token = await getAccessToken();
-  const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
-  const url = `https://${storeDomain}/admin/api/2026-01/${endpoint}`;
+async function shopifyREST(store, endpoint) {
+  const token = await getAccessToken(store);
+  const url = shopifyUrl(store, `/admin/api/2026-01/${endpoint}`);
   
   console.log(`[SHOPIFY-REST] Making REST request to ${url}`);
   
@@ -119,6 +106,7 @@ async function shopifyREST(endpoint) {
     headers: {
       'X-Shopify-Access-Token': token,
     },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
   });
 
   if (!response.ok) {
@@ -131,4 +119,4 @@ async function shopifyREST(endpoint) {
   return response.json();
 }
 
-module.exports = { getAccessToken, shopifyGraphQL, shopifyREST };
+module.exports = { getAccessToken, invalidateAccessToken, shopifyREST, shopifyUrl };
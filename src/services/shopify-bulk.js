@@ -0,0 +1,238 @@
+/**
+ * Shopify Bulk Operations Service
+ *
+ * Runs a query through bulkOperationRunQuery on a store (a stores.js record),
+ * polls until Shopify finishes it, then streams the resulting JSONL file line
+ * by line. A shop runs one bulk query at a time, but stores don't share them.
+ *
+ * Bulk output flattens nested connections: each child node is written on its
+ * own line with a __parentId pointing at its parent, and children always
+ * follow their parent. streamBulkJsonl() joins them back together one parent
+ * at a time, so memory use stays flat no matter how large the catalog is.
+ * The download is abandoned if Shopify's file host sends nothing for
+ * SHOPIFY_BULK_STALL_MS (default 60s) - time spent in our handlers doesn't count.
+ */
+
+const { Readable } = require('stream');
+const readline = require('readline');
+const { shopifyGraphQL } = require('./shopify-graphql');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SHOPIFY_BULK_POLL_INTERVAL_MS || '5000', 10);
+const POLL_TIMEOUT_MS = parseInt(process.env.SHOPIFY_BULK_TIMEOUT_MS || String(30 * 60 * 1000), 10);
+const STALL_TIMEOUT_MS = parseInt(process.env.SHOPIFY_BULK_STALL_MS || '60000', 10);
+
+/**
+ * Start a bulk query and return the bulk operation ID
+ */
+async function startBulkQuery(store, query) {
+  const mutation = `
+    mutation RunBulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphQL(store, mutation, { query });
+  const { bulkOperation, userErrors } = data.data.bulkOperationRunQuery;
+
+  if (userErrors && userErrors.length > 0) {
+    console.error('[SHOPIFY-BULK] bulkOperationRunQuery user errors:', JSON.stringify(userErrors));
+    throw new Error(`Failed to start bulk operation: ${userErrors.map(e => e.message).join('; ')}`);
+  }
+
+  console.log(`[SHOPIFY-BULK] Started bulk operation ${bulkOperation.id} on store ${store.id} (${bulkOperation.status})`);
+  return bulkOperation.id;
+}
+
+/**
+ * Poll a bulk operation until it reaches a terminal status
+ * onProgress({ status, objectCount }) is called whenever the object count moves.
+ * Returns the final BulkOperation object
+ */
+async function waitForBulkOperation(store, operationId, { onProgress = null } = {}) {
+  const query = `
+    query GetBulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+          partialDataUrl
+        }
+      }
+    }
+  `;
+
+  const startedAt = Date.now();
+  let lastObjectCount = null;
+
+  while (true) {
+    const data = await shopifyGraphQL(store, query, { id: operationId });
+    const operation = data.data.node;
+
+    if (!operation) {
+      throw new Error(`Bulk operation ${operationId} not found`);
+    }
+
+    if (operation.objectCount !== lastObjectCount) {
+      console.log(`[SHOPIFY-BULK] ${operationId}: ${operation.status}, ${operation.objectCount} objects`);
+      lastObjectCount = operation.objectCount;
+      if (onProgress) {
+        onProgress({ status: operation.status, objectCount: parseInt(operation.objectCount, 10) || 0 });
+      }
+    }
+
+    if (operation.status === 'COMPLETED') {
+      return operation;
+    }
+
+    if (['FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+      throw new Error(`Bulk operation ${operationId} ended with status ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+    }
+
+    if (Date.now() - startedAt > POLL_TIMEOUT_MS) {
+      throw new Error(`Bulk operation ${operationId} did not finish within ${Math.round(POLL_TIMEOUT_MS / 1000)}s`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Run a bulk query to completion and return the JSONL download URL
+ * Returns null when the query matched nothing (Shopify omits the file)
+ */
+async function runBulkQuery(store, query, { onProgress = null } = {}) {
+  const operationId = await startBulkQuery(store, query);
+  const operation = await waitForBulkOperation(store, operationId, { onProgress });
+
+  console.log(`[SHOPIFY-BULK] Bulk operation complete: ${operation.objectCount} objects`);
+  return operation.url || null;
+}
+
+/**
+ * Stream a bulk JSONL file and call onParent(parent, children) once per top-level node
+ *
+ * A child whose parent has already been emitted (out-of-order output) is passed
+ * to onOrphan(child) instead of being held in memory. Handlers may be async;
+ * reading pauses until each one resolves.
+ *
+ * Returns { parentCount, childCount, orphanCount }
+ */
+async function streamBulkJsonl(url, { onParent, onOrphan = null }) {
+  console.log(`[SHOPIFY-BULK] Downloading results from ${url.split('?')[0]}`);
+
+  const controller = new AbortController();
+  const stall = createStallTimer(controller, STALL_TIMEOUT_MS);
+  // Handlers run with the timer stopped: a slow database isn't a stalled download
+  const handle = async (handler, ...args) => {
+    stall.stop();
+    try {
+      await handler(...args);
+    } finally {
+      stall.restart();
+    }
+  };
+
+  try {
+    stall.restart();
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to download bulk results: ${response.status} - ${errorText.substring(0, 200)}`);
+    }
+
+    const input = Readable.fromWeb(response.body);
+    input.on('data', () => stall.restart());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    return await readBulkLines(lines, { onParent, onOrphan, handle });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`Bulk results download stalled - nothing received for ${STALL_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  } finally {
+    stall.stop();
+  }
+}
+
+/**
+ * Abort a request when restart() hasn't been called for `ms`
+ */
+function createStallTimer(controller, ms) {
+  let timer = null;
+  return {
+    restart() {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), ms);
+    },
+    stop() {
+      clearTimeout(timer);
+    },
+  };
+}
+
+/**
+ * The JSONL loop of streamBulkJsonl(); handle(handler, ...args) calls a handler
+ */
+async function readBulkLines(lines, { onParent, onOrphan, handle }) {
+  let current = null;
+  let children = [];
+  let parentCount = 0;
+  let childCount = 0;
+  let orphanCount = 0;
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber} of bulk results: ${error.message}`);
+    }
+
+    if (!record.__parentId) {
+      if (current) {
+        await handle(onParent, current, children);
+        parentCount++;
+      }
+      current = record;
+      children = [];
+      continue;
+    }
+
+    childCount++;
+    if (current && record.__parentId === current.id) {
+      children.push(record);
+    } else {
+      orphanCount++;
+      console.warn(`[SHOPIFY-BULK] Line ${lineNumber}: child ${record.id} arrived after its parent ${record.__parentId}`);
+      if (onOrphan) {
+        await handle(onOrphan, record);
+      }
+    }
+  }
+
+  if (current) {
+    await handle(onParent, current, children);
+    parentCount++;
+  }
+
+  console.log(`[SHOPIFY-BULK] Streamed ${parentCount} parents, ${childCount} children (${orphanCount} out of order)`);
+  return { parentCount, childCount, orphanCount };
+}
+
+module.exports = { runBulkQuery, startBulkQuery, waitForBulkOperation, streamBulkJsonl };
@@ -0,0 +1,274 @@
+/**
+ * Shopify GraphQL Client
+ *
+ * Every Admin API GraphQL call goes through shopifyGraphQL(store, ...), with
+ * store a stores.js record. It:
+ *   - paces requests with a leaky bucket mirroring Shopify's query cost limit,
+ *     kept in step with extensions.cost.throttleStatus from each response
+ *     (one bucket per store - Shopify limits each shop separately)
+ *   - retries THROTTLED errors, 429s, 5xx, network failures and timeouts with
+ *     jittered exponential backoff; mutations are only retried on THROTTLED and
+ *     429, which Shopify rejects before running anything
+ *   - fetches a fresh access token once if Shopify answers 401
+ *   - counts requests, retries and query cost per operation (getGraphQLMetrics)
+ *
+ * Tuning:
+ *   SHOPIFY_GQL_MAX_RETRIES     retries per call (default 5)
+ *   SHOPIFY_GQL_BACKOFF_MS      first backoff step, doubled each retry (default 500)
+ *   SHOPIFY_GQL_MAX_BACKOFF_MS  backoff cap (default 30000)
+ *   SHOPIFY_GQL_TIMEOUT_MS      per-request timeout, response body included (default 30000)
+ * SHOPIFY_API_URL points every store's requests elsewhere (see shopify-auth.js).
+ */
+
+const { getAccessToken, invalidateAccessToken, shopifyUrl } = require('./shopify-auth');
+
+const API_VERSION = '2026-01';
+const MAX_RETRIES = parseInt(process.env.SHOPIFY_GQL_MAX_RETRIES || '5', 10);
+const BACKOFF_MS = parseInt(process.env.SHOPIFY_GQL_BACKOFF_MS || '500', 10);
+const MAX_BACKOFF_MS = parseInt(process.env.SHOPIFY_GQL_MAX_BACKOFF_MS || '30000', 10);
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SHOPIFY_GQL_TIMEOUT_MS || '30000', 10);
+// Cost assumed for an operation we haven't run yet
+const DEFAULT_QUERY_COST = 50;
+
+// store ID -> the app's cost bucket in that shop as of the last response
+const buckets = new Map();
+// Last requested cost per operation name, used to predict the next call
+const expectedCosts = new Map();
+
+const metrics = {
+  since: new Date().toISOString(),
+  requests: 0,
+  retries: 0,
+  throttled: 0,
+  failures: 0,
+  tokenRefreshes: 0,
+  throttleWaitMs: 0,
+  requestedCost: 0,
+  actualCost: 0,
+  operations: {},
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * "query GetProducts(...)" -> "GetProducts"
+ */
+function operationName(query) {
+  const match = query.match(/^\s*(?:query|mutation)\s+(\w+)/);
+  return match ? match[1] : 'anonymous';
+}
+
+function operationMetrics(name) {
+  if (!metrics.operations[name]) {
+    metrics.operations[name] = { requests: 0, retries: 0, requestedCost: 0, actualCost: 0 };
+  }
+  return metrics.operations[name];
+}
+
+/**
+ * A store's bucket; starts at the standard plan's limits
+ */
+function getBucket(storeId) {
+  if (!buckets.has(storeId)) {
+    buckets.set(storeId, { maximumAvailable: 1000, currentlyAvailable: 1000, restoreRate: 50, updatedAt: Date.now() });
+  }
+  return buckets.get(storeId);
+}
+
+/**
+ * Points in the bucket now, counting what has leaked back since the last update
+ */
+function availablePoints(bucket, now = Date.now()) {
+  const restored = (bucket.restoreRate * (now - bucket.updatedAt)) / 1000;
+  return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + restored);
+}
+
+/**
+ * Wait until the bucket should hold `cost` points, then spend them
+ * The balance may go negative so concurrent callers queue up behind each other.
+ */
+async function takeFromBucket(storeId, name, cost) {
+  const bucket = getBucket(storeId);
+  const now = Date.now();
+  const wanted = Math.min(cost, bucket.maximumAvailable);
+  const available = availablePoints(bucket, now);
+  const waitMs = available >= wanted ? 0 : Math.ceil(((wanted - available) / bucket.restoreRate) * 1000);
+
+  bucket.currentlyAvailable = available - wanted;
+  bucket.updatedAt = now;
+
+  if (waitMs > 0) {
+    metrics.throttleWaitMs += waitMs;
+    console.log(`[SHOPIFY-GQL] ${storeId}/${name} needs ~${wanted} points, ${Math.floor(available)} available - waiting ${waitMs}ms`);
+    await sleep(waitMs);
+  }
+}
+
+/**
+ * Record a response's extensions.cost and sync the store's bucket with Shopify's view of it
+ */
+function recordCost(storeId, name, cost) {
+  if (!cost) return;
+  const operation = operationMetrics(name);
+  expectedCosts.set(name, cost.requestedQueryCost);
+  metrics.requestedCost += cost.requestedQueryCost || 0;
+  metrics.actualCost += cost.actualQueryCost || 0;
+  operation.requestedCost += cost.requestedQueryCost || 0;
+  operation.actualCost += cost.actualQueryCost || 0;
+
+  const status = cost.throttleStatus;
+  if (status) {
+    const bucket = getBucket(storeId);
+    bucket.maximumAvailable = status.maximumAvailable;
+    bucket.currentlyAvailable = status.currentlyAvailable;
+    bucket.restoreRate = status.restoreRate;
+    bucket.updatedAt = Date.now();
+  }
+}
+
+/**
+ * "Full jitter" backoff: anywhere from 0 to the capped exponential step
+ */
+function backoffMs(retry) {
+  return Math.round(Math.random() * Math.min(MAX_BACKOFF_MS, BACKOFF_MS * 2 ** retry));
+}
+
+function requestError(message, { status = null, code = null, retryable = false, retryAfterMs = null } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.retryable = retryable;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+/**
+ * One HTTP round trip; throws a requestError() describing whether it's worth retrying
+ */
+async function sendRequest(store, name, query, variables, { retryServerErrors }) {
+  const token = await getAccessToken(store);
+  const url = shopifyUrl(store, `/admin/api/${API_VERSION}/graphql.json`);
+
+  console.log(`[SHOPIFY-GQL] Making GraphQL request ${name} to ${url}`);
+
+  let response;
+  let body;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': token,
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    body = await response.text();
+  } catch (error) {
+    // A mutation that timed out may still have run, so like other network failures it isn't retried
+    if (error.name === 'TimeoutError') {
+      throw requestError(`Shopify GraphQL request timed out after ${REQUEST_TIMEOUT_MS}ms`, { code: 'TIMEOUT', retryable: retryServerErrors });
+    }
+    const reason = error.cause?.message || error.message;
+    throw requestError(`Shopify GraphQL request failed: ${reason}`, { retryable: retryServerErrors });
+  }
+
+  if (!response.ok) {
+    const errorText = body;
+    console.error(`[SHOPIFY-GQL] Request failed: ${response.status} - ${errorText.substring(0, 500)}`);
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    throw requestError(`Shopify GraphQL error: ${response.status} - ${errorText}`, {
+      status: response.status,
+      retryable: response.status === 429 || (response.status >= 500 && retryServerErrors),
+      retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+    });
+  }
+
+  const data = JSON.parse(body);
+  recordCost(store.id, name, data.extensions?.cost);
+
+  if (data.errors) {
+    const throttled = data.errors.some(e => e.extensions?.code === 'THROTTLED');
+    if (throttled) {
+      metrics.throttled++;
+      console.warn(`[SHOPIFY-GQL] ${store.id}/${name} throttled (${data.extensions?.cost?.throttleStatus?.currentlyAvailable ?? '?'} points left)`);
+      // The bucket now knows how empty Shopify's is; jitter keeps callers from retrying in lockstep
+      throw requestError(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`, {
+        code: 'THROTTLED',
+        retryable: true,
+        retryAfterMs: Math.round(Math.random() * BACKOFF_MS),
+      });
+    }
+    console.error('[SHOPIFY-GQL] GraphQL errors:', JSON.stringify(data.errors, null, 2));
+    throw requestError(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
+  }
+
+  return data;
+}
+
+/**
+ * Make an authenticated request to a store's Shopify Admin API (GraphQL)
+ * Resolves to the whole response body ({ data, extensions }); throws once
+ * retries run out or on an error retrying won't fix.
+ */
+async function shopifyGraphQL(store, query, variables = {}) {
+  const name = operationName(query);
+  const operation = operationMetrics(name);
+  const retryServerErrors = !/^\s*mutation\b/.test(query);
+  let retries = 0;
+  let refreshedToken = false;
+
+  while (true) {
+    await takeFromBucket(store.id, name, expectedCosts.get(name) ?? DEFAULT_QUERY_COST);
+    metrics.requests++;
+    operation.requests++;
+
+    try {
+      const data = await sendRequest(store, name, query, variables, { retryServerErrors });
+      console.log(`[SHOPIFY-GQL] ${store.id}/${name} successful (cost ${data.extensions?.cost?.actualQueryCost ?? '?'})`);
+      return data;
+    } catch (error) {
+      if (error.status === 401 && !refreshedToken) {
+        refreshedToken = true;
+        metrics.tokenRefreshes++;
+        console.warn(`[SHOPIFY-GQL] ${store.id}/${name} got 401 - refreshing access token`);
+        invalidateAccessToken(store);
+        continue;
+      }
+
+      if (!error.retryable || retries >= MAX_RETRIES) {
+        metrics.failures++;
+        if (error.retryable) {
+          console.error(`[SHOPIFY-GQL] ${store.id}/${name} still failing after ${retries} retries`);
+        }
+        throw error;
+      }
+
+      const delay = error.retryAfterMs ?? backoffMs(retries);
+      retries++;
+      metrics.retries++;
+      operation.retries++;
+      console.warn(`[SHOPIFY-GQL] ${store.id}/${name} failed (${error.code || error.status || 'network'}) - retry ${retries}/${MAX_RETRIES} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Request and query cost counters since startup, plus each store's current bucket estimate
+ */
+function getGraphQLMetrics() {
+  return {
+    ...metrics,
+    operations: Object.fromEntries(Object.entries(metrics.operations).map(([name, stats]) => [name, { ...stats }])),
+    buckets: Object.fromEntries([...buckets].map(([storeId, bucket]) => [storeId, {
+      maximumAvailable: bucket.maximumAvailable,
+      currentlyAvailable: Math.floor(availablePoints(bucket)),
+      restoreRate: bucket.restoreRate,
+    }])),
+  };
+}
+
+module.exports = { shopifyGraphQL, getGraphQLMetrics };
@@ -0,0 +1,282 @@
+/**
+ * Shopify Webhooks Service
+ *
+ * Verifies and applies Shopify webhook payloads so inventory changes show up
+ * within seconds instead of waiting for the next scheduled sync.
+ *
+ * Webhook payloads use the REST resource shape (numeric IDs, option1/option2),
+ * so products are converted to the GraphQL node shape used by the full sync
+ * before being handed to upsertProduct(). The full sync still runs on its
+ * schedule as a reconciliation pass for anything a webhook missed.
+ *
+ * Each store (stores.js) registers its own webhooks; routes/webhooks.js finds
+ * the store from X-Shopify-Shop-Domain and every handler works on that
+ * store's rows only.
+ *
+ * What a webhook changes goes to the sync reports (sync-reports.js) like a
+ * sync's changes: each delivery that changed anything is logged as a completed
+ * sync_log row with mode "webhook", triggered by the topic.
+ *
+ * Shopify may deliver a webhook more than once and out of order. Products
+ * remember the updated_at Shopify gave them when last written
+ * (products.shopify_updated_at), and a product payload that isn't newer is
+ * skipped, so a late retry can't roll back price or stock.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../database');
+const { shopifyGraphQL } = require('./shopify-graphql');
+const { upsertProduct, removeMissingVariants, extractNumericId } = require('./inventory-sync');
+const { SyncChangeLog, saveSyncChanges } = require('./sync-reports');
+
+/**
+ * Verify the X-Shopify-Hmac-Sha256 header against the raw request body
+ * Apps created in the Dev Dashboard sign webhooks with the client secret;
+ * a store's webhook secret, if it has one, takes precedence.
+ */
+function verifyWebhookHmac(rawBody, hmacHeader, store) {
+  const secret = store.webhookSecret || store.clientSecret;
+
+  if (!secret) {
+    console.error(`[WEBHOOK] No webhook secret configured for store ${store.id}`);
+    return false;
+  }
+  if (!rawBody || !hmacHeader) {
+    return false;
+  }
+
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const provided = Buffer.from(hmacHeader, 'base64');
+
+  if (provided.length !== digest.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(digest, provided);
+}
+
+/**
+ * Convert a REST product payload into the GraphQL node shape
+ * REST variants carry option1..option3 values; names come from product.options.
+ * Payloads only include metafields when the webhook subscription asks for their
+ * namespaces (metafieldNamespaces); without them the saved ones are kept.
+ */
+function restProductToNode(payload) {
+  const optionNames = (payload.options || [])
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .map(option => option.name);
+
+  const variants = (payload.variants || []).map(variant => {
+    const selectedOptions = [];
+    optionNames.forEach((name, i) => {
+      const value = variant[`option${i + 1}`];
+      if (value != null) {
+        selectedOptions.push({ name, value });
+      }
+    });
+
+    return {
+      node: {
+        id: `gid://shopify/ProductVariant/${variant.id}`,
+        title: variant.title,
+        price: variant.price,
+        inventoryQuantity: variant.inventory_quantity,
+        sku: variant.sku,
+        inventoryItem: variant.inventory_item_id
+          ? { id: `gid://shopify/InventoryItem/${variant.inventory_item_id}` }
+          : null,
+        selectedOptions,
+      },
+    };
+  });
+
+  const imageUrl = payload.image?.src || payload.images?.[0]?.src || null;
+
+  return {
+    id: `gid://shopify/Product/${payload.id}`,
+    title: payload.title,
+    handle: payload.handle,
+    updatedAt: payload.updated_at || null,
+    productType: payload.product_type || null,
+    vendor: payload.vendor || null,
+    // REST sends tags as one comma-separated string
+    tags: (payload.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    featuredImage: imageUrl ? { url: imageUrl } : null,
+    metafields: Array.isArray(payload.metafields)
+      ? payload.metafields.map(metafield => ({ ...metafield, type: metafield.type || metafield.value_type }))
+      : null,
+    variants: { edges: variants },
+  };
+}
+
+/**
+ * Run a webhook's writes in one transaction, then record what they changed
+ * work(client, changeLog) does the writes and returns the handler's result.
+ */
+async function applyWebhook(store, topic, work) {
+  const client = await pool.connect();
+  const changeLog = new SyncChangeLog();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client, changeLog);
+
+    if (changeLog.changes.length > 0) {
+      const syncLog = await client.query(`
+        INSERT INTO sync_log (status, mode, triggered_by, store_id, finished_at, change_summary)
+        VALUES ('completed', 'webhook', $1, $2, NOW(), $3)
+        RETURNING id
+      `, [topic, store.id, JSON.stringify(changeLog.summary())]);
+      await saveSyncChanges(client, syncLog.rows[0].id, changeLog);
+    }
+
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Handle products/create and products/update
+ * Upserts the product and drops any variants that were removed from it.
+ * A payload no newer than what was last written (a redelivery, or one that
+ * arrived after a later update) is skipped.
+ */
+async function handleProductUpsert(payload, store, topic = 'products/update') {
+  const product = restProductToNode(payload);
+
+  return applyWebhook(store, topic, async (client, changeLog) => {
+    if (product.updatedAt) {
+      // Locks the row, so a concurrent delivery for the product waits for this one
+      const current = await client.query(`
+        SELECT shopify_updated_at >= $3::timestamptz AS stale
+        FROM products
+        WHERE shopify_product_id = $1 AND store_id = $2
+        FOR UPDATE
+      `, [payload.id, store.id, product.updatedAt]);
+
+      if (current.rows[0]?.stale) {
+        console.log(`[WEBHOOK] Skipped ${store.id} product ${payload.id} "${payload.title}": updated_at ${product.updatedAt} is not newer than the saved product`);
+        return { productId: payload.id, variantCount: 0, removedVariants: 0, skipped: true };
+      }
+    }
+
+    const upserted = await upsertProduct(client, store, product, { changeLog });
+    if (!upserted) {
+      return { productId: null, variantCount: 0, removedVariants: 0 };
+    }
+
+    const removedVariants = await removeMissingVariants(client, upserted.shopifyProductId, upserted.variantIds, { changeLog });
+
+    console.log(`[WEBHOOK] Upserted ${store.id} product ${upserted.shopifyProductId} "${payload.title}": ${upserted.variantCount} variants, ${removedVariants} removed`);
+    return {
+      productId: upserted.shopifyProductId,
+      variantCount: upserted.variantCount,
+      removedVariants,
+    };
+  });
+}
+
+/**
+ * Handle products/delete
+ * Variants are removed by the ON DELETE CASCADE on variants.shopify_product_id;
+ * as in a full sync, the removal reports the stock it took with it
+ */
+async function handleProductDelete(payload, store, topic = 'products/delete') {
+  return applyWebhook(store, topic, async (client, changeLog) => {
+    const result = await client.query(`
+      WITH removed AS (
+        DELETE FROM products WHERE shopify_product_id = $1 AND store_id = $2
+        RETURNING shopify_product_id, normalized_name, card_name, set_name
+      )
+      SELECT r.*, (SELECT COALESCE(SUM(v.quantity), 0)::int FROM variants v WHERE v.shopify_product_id = r.shopify_product_id) AS quantity
+      FROM removed r
+    `, [payload.id, store.id]);
+    changeLog.removed('product_removed', result.rows);
+
+    console.log(`[WEBHOOK] Deleted ${store.id} product ${payload.id} (${result.rows.length} rows)`);
+    return { productId: payload.id, deleted: result.rows.length > 0 };
+  });
+}
+
+/**
+ * Handle inventory_levels/update
+ * The payload only carries the level at one location, while variants.quantity
+ * holds the total across locations, so the total is re-read from Shopify.
+ */
+async function handleInventoryLevelUpdate(payload, store, topic = 'inventory_levels/update') {
+  const inventoryItemId = payload.inventory_item_id;
+
+  const existing = await pool.query(
+    'SELECT shopify_variant_id FROM variants WHERE inventory_item_id = $1 AND store_id = $2',
+    [inventoryItemId, store.id]
+  );
+
+  if (existing.rows.length === 0) {
+    console.log(`[WEBHOOK] ${store.id} inventory item ${inventoryItemId} not in database - leaving it for the next full sync`);
+    return { inventoryItemId, updated: false };
+  }
+
+  const query = `
+    query GetInventoryItemVariant($id: ID!) {
+      inventoryItem(id: $id) {
+        variant {
+          id
+          inventoryQuantity
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphQL(store, query, { id: `gid://shopify/InventoryItem/${inventoryItemId}` });
+  const variant = data.data.inventoryItem?.variant;
+
+  if (!variant) {
+    console.warn(`[WEBHOOK] Shopify returned no variant for inventory item ${inventoryItemId}`);
+    return { inventoryItemId, updated: false };
+  }
+
+  const shopifyVariantId = extractNumericId(variant.id);
+
+  return applyWebhook(store, topic, async (client, changeLog) => {
+    // Same history rule as upsertVariant(): record the change if the quantity moved
+    const result = await client.query(`
+      WITH previous AS (
+        SELECT quantity FROM variants WHERE shopify_variant_id = $2 AND store_id = $3
+      ), written AS (
+        UPDATE variants SET quantity = $1, updated_at = NOW()
+        WHERE shopify_variant_id = $2 AND store_id = $3
+        RETURNING shopify_variant_id, shopify_product_id, condition, finish, price, quantity
+      ), history AS (
+        INSERT INTO variant_history (shopify_variant_id, shopify_product_id, normalized_name, card_name, set_name, condition, finish, price, quantity, store_id)
+        SELECT w.shopify_variant_id, w.shopify_product_id, p.normalized_name, p.card_name, p.set_name, w.condition, w.finish, w.price, w.quantity, p.store_id
+        FROM written w
+        JOIN products p ON p.shopify_product_id = w.shopify_product_id
+        JOIN previous ON previous.quantity IS DISTINCT FROM w.quantity
+      )
+      SELECT w.*, previous.quantity AS old_quantity, p.normalized_name, p.card_name, p.set_name
+      FROM written w
+      JOIN products p ON p.shopify_product_id = w.shopify_product_id
+      CROSS JOIN previous
+    `, [variant.inventoryQuantity, shopifyVariantId, store.id]);
+
+    for (const row of result.rows) {
+      changeLog.variantWritten({ ...row, existed: true, old_price: row.price });
+    }
+
+    console.log(`[WEBHOOK] ${store.id} variant ${shopifyVariantId} quantity -> ${variant.inventoryQuantity}`);
+    return { inventoryItemId, variantId: shopifyVariantId, quantity: variant.inventoryQuantity, updated: true };
+  });
+}
+
+module.exports = {
+  verifyWebhookHmac,
+  restProductToNode,
+  handleProductUpsert,
+  handleProductDelete,
+  handleInventoryLevelUpdate,
+};
@@ -0,0 +1,519 @@
+/**
+ * Back-in-Stock Alerts
+ *
+ * Customers subscribe to a card they couldn't find - optionally narrowed to a
+ * set, a minimum condition or a finish - with an email address or a webhook
+ * URL. checkStockAlerts() runs after every inventory sync: subscriptions whose
+ * card went from out of stock to in stock are notified once (one message per
+ * target, however many cards came back) and closed. Stock at any active
+ * store counts, and the message says which store has it. Delivery failures are
+ * retried on later syncs; unanswered subscriptions expire. Checks are
+ * serialized through a Postgres advisory lock, so syncs of different stores
+ * (or instances) finishing together don't notify the same alert twice.
+ *
+ * Email subscriptions are double opt-in: they start "pending" and only become
+ * active once the link emailed to the address is followed (confirmAlert), so
+ * nobody can sign a stranger up. Unconfirmed ones expire after
+ * ALERT_CONFIRM_HOURS, and an address never has more than
+ * ALERT_MAX_PENDING_PER_TARGET waiting, which bounds the confirmation emails
+ * anyone can make us send to it.
+ *
+ *   ALERT_TTL_DAYS               how long a subscription lives (default 90)
+ *   ALERT_MAX_ATTEMPTS           failed deliveries before giving up (default 5)
+ *   ALERT_MAX_PER_TARGET         active subscriptions per email address or webhook URL (default 25)
+ *   ALERT_CONFIRM_HOURS          how long a confirmation link works (default 48)
+ *   ALERT_MAX_PENDING_PER_TARGET unconfirmed subscriptions per email address (default 3)
+ *   PUBLIC_API_URL               base URL of this API for confirmation links
+ *                                (default http://localhost:<PORT>)
+ *
+ * In production, email subscriptions are refused while no email transport is
+ * configured (see alert-transports), so nobody waits for a message that can't
+ * be sent.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../database');
+const { normalizeCardName } = require('./card-names');
+const { resolveAliases } = require('./card-aliases');
+const { resolveCondition, matchesFinish, CONDITION_ORDER } = require('./deck-matcher');
+const { transportFor, hasTransport } = require('./alert-transports');
+const { checkWebhookUrl } = require('./alert-transports/webhook');
+
+const ALERT_TTL_DAYS = parseInt(process.env.ALERT_TTL_DAYS || '90', 10);
+const ALERT_MAX_ATTEMPTS = parseInt(process.env.ALERT_MAX_ATTEMPTS || '5', 10);
+const ALERT_MAX_PER_TARGET = parseInt(process.env.ALERT_MAX_PER_TARGET || '25', 10);
+const ALERT_CONFIRM_HOURS = parseInt(process.env.ALERT_CONFIRM_HOURS || '48', 10);
+const ALERT_MAX_PENDING_PER_TARGET = parseInt(process.env.ALERT_MAX_PENDING_PER_TARGET || '3', 10);
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+const ALERT_FINISHES = ['foil', 'nonfoil', 'etched'];
+// Advisory lock key held while checking alerts (the sync lock is 7301)
+const ALERT_LOCK_KEY = 7302;
+
+/**
+ * Check a subscription request before saving
+ * Resolves to an error message, or null if the request is usable
+ */
+async function validateAlert(body) {
+  if (!body || typeof body.cardName !== 'string' || !normalizeCardName(body.cardName)) {
+    return '"cardName" is required';
+  }
+  if (!!body.email === !!body.webhookUrl) {
+    return 'Provide exactly one of "email" or "webhookUrl"';
+  }
+  if (body.email && (typeof body.email !== 'string' || !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(body.email))) {
+    return 'Invalid "email"';
+  }
+  if (body.email && process.env.NODE_ENV === 'production' && !hasTransport('email')) {
+    return 'Email alerts are not available - use "webhookUrl"';
+  }
+  if (body.setCode !== undefined && body.setCode !== null
+    && (typeof body.setCode !== 'string' || !/^[A-Za-z0-9]{2,6}$/.test(body.setCode))) {
+    return 'Invalid "setCode"';
+  }
+  if (body.condition && typeof body.condition !== 'string') {
+    return '"condition" must be a string';
+  }
+  if (body.condition && !resolveCondition(body.condition)) {
+    return `Unknown condition "${body.condition}" - expected one of NM, LP, MP, HP, DMG`;
+  }
+  if (body.finish && (typeof body.finish !== 'string' || !ALERT_FINISHES.includes(body.finish))) {
+    return `"finish" must be one of ${ALERT_FINISHES.join(', ')}`;
+  }
+  // Last, since it looks the host up
+  if (body.webhookUrl) {
+    if (typeof body.webhookUrl !== 'string') {
+      return 'Invalid "webhookUrl"';
+    }
+    try {
+      await checkWebhookUrl(body.webhookUrl);
+    } catch (error) {
+      if (error.code !== 'INVALID_WEBHOOK') throw error;
+      return error.message;
+    }
+  }
+  return null;
+}
+
+function tokenMatches(expected, given) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(given || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Etched cards are stocked as "Etched" / "Foil Etched"; the rest as the matcher sees them
+ */
+function finishMatches(variant, finish) {
+  if (finish === 'etched') return /etched/i.test(variant.finish || '');
+  return matchesFinish(variant, finish);
+}
+
+function toAlert(row) {
+  return {
+    id: row.id,
+    cardName: row.card_name,
+    setCode: row.set_code,
+    condition: row.condition,
+    finish: row.finish,
+    targetType: row.target_type,
+    target: row.target,
+    status: row.status,
+    inStock: row.in_stock,
+    expiresAt: row.expires_at,
+    confirmedAt: row.confirmed_at,
+    notifiedAt: row.notified_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * In-stock variants matching each alert's card, set, condition and finish, at active stores
+ * Returns Map(alertId -> [{ cardName, setName, condition, finish, price, quantity, productUrl, variantId, storeId, storeName }])
+ */
+async function findInStock(alerts) {
+  const matches = new Map(alerts.map(alert => [alert.id, []]));
+  if (alerts.length === 0) return matches;
+
+  const result = await pool.query(`
+    SELECT a.id AS alert_id, p.card_name, p.set_name, p.product_url, p.store_id, s.name AS store_name,
+      v.shopify_variant_id, v.condition, v.finish, v.price, v.quantity
+    FROM stock_alerts a
+    JOIN products p ON p.normalized_name = a.normalized_name
+    JOIN variants v ON v.shopify_product_id = p.shopify_product_id AND v.quantity > 0
+    LEFT JOIN stores s ON s.id = p.store_id
+    LEFT JOIN card_printings cp ON cp.scryfall_id = p.scryfall_id
+    WHERE a.id = ANY($1::int[])
+      AND s.active IS NOT FALSE
+      AND (
+        a.set_code IS NULL
+        OR cp.set_code = a.set_code
+        OR EXISTS (SELECT 1 FROM set_codes sc WHERE sc.set_code = a.set_code AND LOWER(sc.set_name) = LOWER(p.set_name))
+      )
+    ORDER BY a.id, v.price ASC
+  `, [alerts.map(alert => alert.id)]);
+
+  const byId = new Map(alerts.map(alert => [alert.id, alert]));
+  for (const row of result.rows) {
+    const alert = byId.get(row.alert_id);
+    if (alert.condition) {
+      const rank = CONDITION_ORDER.indexOf(row.condition);
+      if (rank === -1 || rank > CONDITION_ORDER.indexOf(alert.condition)) continue;
+    }
+    if (alert.finish && !finishMatches(row, alert.finish)) continue;
+
+    matches.get(alert.id).push({
+      cardName: row.card_name,
+      setName: row.set_name,
+      condition: row.condition,
+      finish: row.finish,
+      price: parseFloat(row.price),
+      quantity: row.quantity,
+      productUrl: row.product_url,
+      variantId: row.shopify_variant_id.toString(),
+      storeId: row.store_id,
+      storeName: row.store_name || row.store_id,
+    });
+  }
+  return matches;
+}
+
+/**
+ * Remember whether an alert's card is already in stock, so only a later restock notifies
+ * Updates row.in_stock; returns it
+ */
+async function recordInStock(row) {
+  const inStock = (await findInStock([toAlert(row)])).get(row.id).length > 0;
+  if (inStock !== row.in_stock) {
+    await pool.query('UPDATE stock_alerts SET in_stock = $2 WHERE id = $1', [row.id, inStock]);
+    row.in_stock = inStock;
+  }
+  return inStock;
+}
+
+function alertLimit(message) {
+  const error = new Error(message);
+  error.code = 'ALERT_LIMIT';
+  return error;
+}
+
+/**
+ * Email the link that activates a pending subscription
+ */
+async function sendConfirmation(row) {
+  const link = `${PUBLIC_API_URL}/api/alerts/${row.id}/confirm?token=${row.confirm_token}`;
+  const criteria = [row.set_code, row.condition && `${row.condition} or better`, row.finish].filter(Boolean);
+  const text = [
+    `Someone - hopefully you - asked us to email this address when ${row.card_name}${criteria.length > 0 ? ` (${criteria.join(', ')})` : ''} is back in stock.`,
+    '',
+    'To start the alert, confirm your address:',
+    `  ${link}`,
+    '',
+    `The link works for ${ALERT_CONFIRM_HOURS} hours. If you didn't ask for this, ignore this email and you won't hear from us about it again.`,
+  ].join('\n');
+
+  await transportFor('email').send({
+    targetType: 'email',
+    target: row.target,
+    subject: `Confirm your back-in-stock alert for ${row.card_name}`,
+    text,
+    items: [],
+  });
+}
+
+/**
+ * Subscribe (call validateAlert first)
+ * Re-subscribing with the same target and criteria extends the existing
+ * subscription instead of creating a duplicate.
+ * A new email subscription is created "pending" and a confirmation link is
+ * emailed to the address; asking again for one that's still pending returns
+ * it without emailing again.
+ * Returns { alert, token, created } - the token is needed to view or cancel it
+ * and is only handed out when the subscription is created.
+ * Throws (code "ALERT_LIMIT") when the target already has ALERT_MAX_PER_TARGET
+ * active subscriptions, or an address ALERT_MAX_PENDING_PER_TARGET pending
+ * ones, and this isn't one of them.
+ */
+async function createAlert(body) {
+  const key = normalizeCardName(body.cardName);
+  const aliases = await resolveAliases([key]);
+  const normalizedName = aliases[key] || key;
+  const targetType = body.email ? 'email' : 'webhook';
+  const target = body.email ? body.email.trim().toLowerCase() : body.webhookUrl;
+  const setCode = body.setCode ? body.setCode.toUpperCase() : null;
+  const condition = body.condition ? resolveCondition(body.condition) : null;
+  const finish = body.finish || null;
+
+  const existing = await pool.query(`
+    SELECT COUNT(*) FILTER (WHERE status = 'active')::int AS count,
+      COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+      COALESCE(BOOL_OR(status = 'active' AND same), FALSE) AS renewal,
+      MIN(id) FILTER (WHERE status = 'pending' AND same) AS pending_id
+    FROM (
+      SELECT id, status, (normalized_name = $3 AND set_code IS NOT DISTINCT FROM $4
+        AND condition IS NOT DISTINCT FROM $5 AND finish IS NOT DISTINCT FROM $6) AS same
+      FROM stock_alerts
+      WHERE status IN ('active', 'pending') AND expires_at > NOW() AND target_type = $1 AND target = $2
+    ) alerts
+  `, [targetType, target, normalizedName, setCode, condition, finish]);
+  const { count, pending, renewal, pending_id: pendingId } = existing.rows[0];
+  if (count >= ALERT_MAX_PER_TARGET && !renewal) {
+    throw alertLimit(`This ${targetType === 'email' ? 'address' : 'webhook'} already has ${count} active alerts - cancel some before adding more`);
+  }
+
+  if (targetType === 'email' && !renewal) {
+    if (pendingId) {
+      const row = (await pool.query('SELECT * FROM stock_alerts WHERE id = $1', [pendingId])).rows[0];
+      console.log(`[ALERTS] Alert ${row.id} for ${target} is still waiting for confirmation - not emailing again`);
+      return { alert: toAlert(row), token: null, created: false };
+    }
+    if (pending >= ALERT_MAX_PENDING_PER_TARGET) {
+      throw alertLimit(`This address already has ${pending} alerts waiting for confirmation - follow the links we emailed before adding more`);
+    }
+    return createPendingAlert({ cardName: body.cardName.trim(), normalizedName, setCode, condition, finish, target });
+  }
+
+  const result = await pool.query(`
+    INSERT INTO stock_alerts (token, card_name, normalized_name, set_code, condition, finish, target_type, target, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(days => $9))
+    ON CONFLICT (target_type, target, normalized_name, COALESCE(set_code, ''), COALESCE(condition, ''), COALESCE(finish, ''))
+      WHERE status = 'active'
+    DO UPDATE SET expires_at = EXCLUDED.expires_at
+    RETURNING *, (xmax = 0) AS created
+  `, [
+    crypto.randomBytes(16).toString('hex'),
+    body.cardName.trim(),
+    normalizedName,
+    setCode,
+    condition,
+    finish,
+    targetType,
+    target,
+    ALERT_TTL_DAYS,
+  ]);
+  const row = result.rows[0];
+  const inStock = await recordInStock(row);
+
+  console.log(`[ALERTS] ${row.created ? 'New' : 'Renewed'} alert ${row.id}: "${row.card_name}" -> ${targetType} ${target}${inStock ? ' (already in stock)' : ''}`);
+  return { alert: toAlert(row), token: row.created ? row.token : null, created: row.created };
+}
+
+/**
+ * Save an email subscription as pending and send its confirmation link
+ * If the email can't be sent the subscription is dropped and the error thrown.
+ */
+async function createPendingAlert({ cardName, normalizedName, setCode, condition, finish, target }) {
+  const result = await pool.query(`
+    INSERT INTO stock_alerts (token, confirm_token, card_name, normalized_name, set_code, condition, finish, target_type, target, status, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, 'email', $8, 'pending', NOW() + make_interval(hours => $9))
+    RETURNING *
+  `, [
+    crypto.randomBytes(16).toString('hex'),
+    crypto.randomBytes(16).toString('hex'),
+    cardName,
+    normalizedName,
+    setCode,
+    condition,
+    finish,
+    target,
+    ALERT_CONFIRM_HOURS,
+  ]);
+  const row = result.rows[0];
+
+  try {
+    await sendConfirmation(row);
+  } catch (error) {
+    await pool.query('DELETE FROM stock_alerts WHERE id = $1', [row.id]);
+    throw error;
+  }
+
+  console.log(`[ALERTS] New alert ${row.id}: "${row.card_name}" -> email ${target} (pending confirmation)`);
+  return { alert: toAlert(row), token: row.token, created: true };
+}
+
+/**
+ * Activate a pending email subscription from its confirmation link
+ * Returns the alert (already active if the link is followed twice), or null
+ * when the ID or token is wrong or the subscription expired unconfirmed.
+ * If the address confirmed an identical subscription in the meantime, that
+ * one is returned and this one cancelled.
+ */
+async function confirmAlert(id, confirmToken) {
+  const found = await pool.query('SELECT * FROM stock_alerts WHERE id = $1', [id]);
+  const row = found.rows[0];
+  if (!row || !row.confirm_token || !tokenMatches(row.confirm_token, confirmToken)) {
+    return null;
+  }
+  if (row.status === 'active') return toAlert(row);
+  if (row.status !== 'pending' || row.expires_at < new Date()) return null;
+
+  let confirmed;
+  try {
+    confirmed = await pool.query(`
+      UPDATE stock_alerts SET status = 'active', confirmed_at = NOW(), expires_at = NOW() + make_interval(days => $2)
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [id, ALERT_TTL_DAYS]);
+  } catch (error) {
+    // unique_violation: an identical subscription is already active
+    if (error.code !== '23505') throw error;
+    await pool.query("UPDATE stock_alerts SET status = 'cancelled' WHERE id = $1", [id]);
+    const active = await pool.query(`
+      SELECT * FROM stock_alerts
+      WHERE status = 'active' AND target_type = $1 AND target = $2 AND normalized_name = $3
+        AND set_code IS NOT DISTINCT FROM $4 AND condition IS NOT DISTINCT FROM $5 AND finish IS NOT DISTINCT FROM $6
+    `, [row.target_type, row.target, row.normalized_name, row.set_code, row.condition, row.finish]);
+    console.log(`[ALERTS] Alert ${id} confirmed, but ${row.target} already has it active - cancelled the duplicate`);
+    return active.rows[0] ? toAlert(active.rows[0]) : null;
+  }
+  // Confirmed by a concurrent request
+  if (confirmed.rows.length === 0) return getAlertRow(id);
+
+  const activated = confirmed.rows[0];
+  const inStock = await recordInStock(activated);
+  console.log(`[ALERTS] Confirmed alert ${id}: "${activated.card_name}" -> email ${activated.target}${inStock ? ' (already in stock)' : ''}`);
+  return toAlert(activated);
+}
+
+async function getAlertRow(id) {
+  const result = await pool.query('SELECT * FROM stock_alerts WHERE id = $1', [id]);
+  return result.rows[0] ? toAlert(result.rows[0]) : null;
+}
+
+/**
+ * Get an alert by ID, checking its token. Returns null when missing or the token is wrong.
+ */
+async function getAlert(id, token) {
+  const result = await pool.query('SELECT * FROM stock_alerts WHERE id = $1', [id]);
+  const row = result.rows[0];
+  if (!row || !tokenMatches(row.token, token)) {
+    return null;
+  }
+  return toAlert(row);
+}
+
+/**
+ * Cancel an alert (token required). Returns true if it was active or pending.
+ */
+async function cancelAlert(id, token) {
+  const alert = await getAlert(id, token);
+  if (!alert) return false;
+  const result = await pool.query(
+    "UPDATE stock_alerts SET status = 'cancelled' WHERE id = $1 AND status IN ('active', 'pending')",
+    [id]
+  );
+  console.log(`[ALERTS] Cancelled alert ${id} (${result.rowCount} rows)`);
+  return result.rowCount > 0;
+}
+
+/**
+ * Build the message for one target
+ */
+function buildNotification(targetType, target, entries) {
+  const names = [...new Set(entries.map(e => e.alert.cardName))];
+  const subject = names.length === 1
+    ? `Back in stock: ${names[0]}`
+    : `${names.length} cards you asked about are back in stock`;
+
+  const lines = [];
+  const items = [];
+  for (const { alert, stock } of entries) {
+    const cheapest = stock[0];
+    const total = stock.reduce((sum, s) => sum + s.quantity, 0);
+    const stores = [...new Set(stock.map(s => s.storeName))];
+    lines.push(`${cheapest.cardName} (${cheapest.setName || 'unknown set'}) - ${total} in stock from $${cheapest.price.toFixed(2)} at ${stores.join(', ')}`);
+    if (cheapest.productUrl) lines.push(`  ${cheapest.productUrl}`);
+    items.push({ alertId: alert.id, requested: alert.cardName, inStock: total, variants: stock });
+  }
+
+  const text = [
+    'Good news - cards you asked us to watch are back in stock:',
+    '',
+    ...lines,
+    '',
+    'Stock moves quickly, so grab them while they last.',
+  ].join('\n');
+
+  return { targetType, target, subject, text, items };
+}
+
+/**
+ * Expire old subscriptions, find restocked ones and notify their targets
+ * Waits for a check already running elsewhere to finish first, then sees
+ * what it sent.
+ * Returns { checked, restocked, notified, failed, expired }
+ */
+async function checkStockAlerts() {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ALERT_LOCK_KEY]);
+    try {
+      return await notifyRestocked();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ALERT_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function notifyRestocked() {
+  const expired = await pool.query(
+    "UPDATE stock_alerts SET status = 'expired' WHERE status IN ('active', 'pending') AND expires_at < NOW()"
+  );
+
+  const active = await pool.query("SELECT * FROM stock_alerts WHERE status = 'active' ORDER BY id");
+  const alerts = active.rows.map(toAlert);
+  const stock = await findInStock(alerts);
+
+  // Restocked = in stock now but not at the last check, or its last delivery failed
+  const restocked = [];
+  const wentOut = [];
+  for (const row of active.rows) {
+    const inStock = stock.get(row.id).length > 0;
+    if (inStock && (!row.in_stock || row.last_error)) restocked.push(row);
+    if (!inStock && row.in_stock) wentOut.push(row.id);
+  }
+  if (wentOut.length > 0) {
+    await pool.query('UPDATE stock_alerts SET in_stock = FALSE WHERE id = ANY($1::int[])', [wentOut]);
+  }
+
+  // One notification per target
+  const byTarget = new Map();
+  for (const row of restocked) {
+    const key = `${row.target_type}:${row.target}`;
+    if (!byTarget.has(key)) byTarget.set(key, []);
+    byTarget.get(key).push({ alert: toAlert(row), stock: stock.get(row.id) });
+  }
+
+  let notified = 0;
+  let failed = 0;
+  for (const entries of byTarget.values()) {
+    const { targetType, target } = entries[0].alert;
+    const ids = entries.map(e => e.alert.id);
+    try {
+      await transportFor(targetType).send(buildNotification(targetType, target, entries));
+      await pool.query(
+        "UPDATE stock_alerts SET status = 'notified', in_stock = TRUE, notified_at = NOW(), attempts = attempts + 1, last_error = NULL WHERE id = ANY($1::int[])",
+        [ids]
+      );
+      notified += ids.length;
+    } catch (error) {
+      console.error(`[ALERTS] Delivery to ${targetType} ${target} failed:`, error.message);
+      await pool.query(`
+        UPDATE stock_alerts SET
+          in_stock = TRUE,
+          attempts = attempts + 1,
+          last_error = $2,
+          status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE status END
+        WHERE id = ANY($1::int[])
+      `, [ids, error.message, ALERT_MAX_ATTEMPTS]);
+      failed += ids.length;
+    }
+  }
+
+  const summary = { checked: alerts.length, restocked: restocked.length, notified, failed, expired: expired.rowCount };
+  console.log(`[ALERTS] Checked ${summary.checked} alerts: ${summary.restocked} restocked, ${notified} notified, ${failed} failed, ${summary.expired} expired`);
+  return summary;
+}
+
+module.exports = { validateAlert, createAlert, confirmAlert, getAlert, cancelAlert, checkStockAlerts };
@@ -0,0 +1,277 @@
+/**
+ * Stores
+ *
+ * Each storefront we sync is a row in stores with its own Shopify app
+ * credentials and sync schedule. Products, variants and sync runs carry the
+ * store_id they came from. The store configured through the environment
+ * (SHOPIFY_STORE_DOMAIN, SHOPIFY_CLIENT_ID, ...) is registered as "main" at
+ * startup; sister locations are added with the stores CLI.
+ *
+ * Routes match and search one store at a time - DEFAULT_STORE (default
+ * "main") unless the request names another - or every active store with
+ * store "all", in which case results are labelled with their store.
+ */
+
+const { pool } = require('../database');
+
+const ENV_STORE_ID = 'main';
+const DEFAULT_STORE_ID = process.env.DEFAULT_STORE || ENV_STORE_ID;
+const ALL_STORES = 'all';
+
+// Minutes between scheduled syncs; each divides the hour so runs land on the same minutes every hour
+const SYNC_INTERVALS = [5, 10, 15, 20, 30, 60];
+const DEFAULT_SYNC_INTERVAL = 15;
+const DEFAULT_FULL_SYNC_HOUR = parseInt(process.env.FULL_SYNC_HOUR || '3', 10);
+
+function toStore(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    shopDomain: row.shop_domain,
+    storefrontUrl: row.storefront_url,
+    clientId: row.client_id,
+    clientSecret: row.client_secret,
+    webhookSecret: row.webhook_secret,
+    syncIntervalMinutes: row.sync_interval_minutes,
+    fullSyncHour: row.full_sync_hour,
+    active: row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * A store without its credentials, for API responses
+ */
+function publicStore(store) {
+  return {
+    id: store.id,
+    name: store.name,
+    storefrontUrl: storefrontUrl(store),
+    default: store.id === DEFAULT_STORE_ID,
+  };
+}
+
+/**
+ * Base URL of a store's customer-facing site, used for product links and cart permalinks
+ * Falls back to "<shop>.com" for "<shop>.myshopify.com"
+ */
+function storefrontUrl(store) {
+  if (store.storefrontUrl) {
+    return store.storefrontUrl.replace(/\/+$/, '');
+  }
+  return `https://${store.shopDomain.replace('.myshopify.com', '')}.com`;
+}
+
+/**
+ * Check store fields before saving
+ * Returns an error message, or null if they're usable. partial allows omitting fields (for updates).
+ */
+function validateStore(fields, { partial = false } = {}) {
+  if (!partial || fields.id !== undefined) {
+    if (typeof fields.id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,31}$/.test(fields.id) || fields.id === ALL_STORES) {
+      return 'Store ID must be 1-32 lowercase letters, digits or dashes (and not "all")';
+    }
+  }
+  if (!partial || fields.shopDomain !== undefined) {
+    if (typeof fields.shopDomain !== 'string' || !/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i.test(fields.shopDomain)) {
+      return 'Shop domain must look like "your-store.myshopify.com"';
+    }
+  }
+  for (const key of ['clientId', 'clientSecret']) {
+    if ((!partial || fields[key] !== undefined) && (typeof fields[key] !== 'string' || !fields[key].trim())) {
+      return `Missing ${key}`;
+    }
+  }
+  if (fields.storefrontUrl !== undefined && fields.storefrontUrl !== null && !/^https?:\/\/\S+$/.test(fields.storefrontUrl)) {
+    return 'Storefront URL must start with http:// or https://';
+  }
+  if (fields.syncIntervalMinutes !== undefined && !SYNC_INTERVALS.includes(fields.syncIntervalMinutes)) {
+    return `Sync interval must be one of ${SYNC_INTERVALS.join(', ')} minutes`;
+  }
+  if (fields.fullSyncHour !== undefined && !(Number.isInteger(fields.fullSyncHour) && fields.fullSyncHour >= 0 && fields.fullSyncHour <= 23)) {
+    return 'Full sync hour must be between 0 and 23';
+  }
+  return null;
+}
+
+/**
+ * Stores, active ones only unless includeInactive
+ */
+async function listStores({ includeInactive = false } = {}) {
+  const result = await pool.query(
+    'SELECT * FROM stores WHERE active OR $1 ORDER BY id = $2 DESC, id',
+    [includeInactive, DEFAULT_STORE_ID]
+  );
+  return result.rows.map(toStore);
+}
+
+/**
+ * Get a store by ID, or null
+ */
+async function getStore(id) {
+  const result = await pool.query('SELECT * FROM stores WHERE id = $1', [id]);
+  return result.rows.length > 0 ? toStore(result.rows[0]) : null;
+}
+
+/**
+ * Get the store a webhook came from (X-Shopify-Shop-Domain), or null
+ */
+async function findStoreByDomain(shopDomain) {
+  const result = await pool.query('SELECT * FROM stores WHERE LOWER(shop_domain) = LOWER($1)', [shopDomain]);
+  return result.rows.length > 0 ? toStore(result.rows[0]) : null;
+}
+
+/**
+ * Turn a request's "store" value into the store ID to match against
+ * Absent means DEFAULT_STORE; "all" returns null, meaning every active store.
+ * Throws with a client-facing message for an unknown or inactive store.
+ */
+async function resolveStoreScope(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_STORE_ID;
+  if (value === ALL_STORES) return null;
+
+  const store = typeof value === 'string' ? await getStore(value) : null;
+  if (!store || !store.active) {
+    throw new Error(`Unknown store "${value}" - expected a store ID from GET /api/stores or "${ALL_STORES}"`);
+  }
+  return store.id;
+}
+
+/**
+ * Add a store (call validateStore first)
+ */
+async function createStore(fields) {
+  const result = await pool.query(`
+    INSERT INTO stores (id, name, shop_domain, storefront_url, client_id, client_secret, webhook_secret, sync_interval_minutes, full_sync_hour)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    fields.id,
+    (fields.name || '').trim() || fields.id,
+    fields.shopDomain.toLowerCase(),
+    fields.storefrontUrl || null,
+    fields.clientId,
+    fields.clientSecret,
+    fields.webhookSecret || null,
+    fields.syncIntervalMinutes ?? DEFAULT_SYNC_INTERVAL,
+    fields.fullSyncHour ?? DEFAULT_FULL_SYNC_HOUR,
+  ]);
+  console.log(`[STORES] Added store ${fields.id} (${fields.shopDomain})`);
+  return toStore(result.rows[0]);
+}
+
+/**
+ * Update a store (call validateStore with partial first); omitted fields are kept
+ * Returns the store, or null if it doesn't exist
+ */
+async function updateStore(id, changes) {
+  const existing = await getStore(id);
+  if (!existing) return null;
+  const merged = { ...existing, ...changes };
+
+  const result = await pool.query(`
+    UPDATE stores SET
+      name = $2,
+      shop_domain = $3,
+      storefront_url = $4,
+      client_id = $5,
+      client_secret = $6,
+      webhook_secret = $7,
+      sync_interval_minutes = $8,
+      full_sync_hour = $9,
+      active = $10,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [
+    id,
+    merged.name,
+    merged.shopDomain.toLowerCase(),
+    merged.storefrontUrl || null,
+    merged.clientId,
+    merged.clientSecret,
+    merged.webhookSecret || null,
+    merged.syncIntervalMinutes,
+    merged.fullSyncHour,
+    merged.active,
+  ]);
+  console.log(`[STORES] Updated store ${id}: ${Object.keys(changes).join(', ')}`);
+  return toStore(result.rows[0]);
+}
+
+/**
+ * Register (or refresh) the "main" store from SHOPIFY_* environment variables
+ * Credentials follow the environment; the name and schedule are left as saved.
+ * Returns the store, or null when the environment doesn't configure one.
+ */
+async function ensureEnvStore() {
+  const fields = {
+    id: ENV_STORE_ID,
+    name: process.env.SHOPIFY_STORE_NAME || 'Main store',
+    shopDomain: process.env.SHOPIFY_STORE_DOMAIN,
+    storefrontUrl: process.env.SHOPIFY_STOREFRONT_URL || null,
+    clientId: process.env.SHOPIFY_CLIENT_ID,
+    clientSecret: process.env.SHOPIFY_CLIENT_SECRET,
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET || null,
+  };
+  const error = validateStore(fields);
+  if (error) {
+    console.warn(`[STORES] Environment store not registered: ${error}`);
+    return null;
+  }
+
+  const result = await pool.query(`
+    INSERT INTO stores (id, name, shop_domain, storefront_url, client_id, client_secret, webhook_secret, sync_interval_minutes, full_sync_hour)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (id) DO UPDATE SET
+      shop_domain = EXCLUDED.shop_domain,
+      storefront_url = EXCLUDED.storefront_url,
+      client_id = EXCLUDED.client_id,
+      client_secret = EXCLUDED.client_secret,
+      webhook_secret = EXCLUDED.webhook_secret,
+      updated_at = NOW()
+    RETURNING *
+  `, [
+    fields.id,
+    fields.name,
+    fields.shopDomain.toLowerCase(),
+    fields.storefrontUrl,
+    fields.clientId,
+    fields.clientSecret,
+    fields.webhookSecret,
+    DEFAULT_SYNC_INTERVAL,
+    DEFAULT_FULL_SYNC_HOUR,
+  ]);
+  console.log(`[STORES] Environment store "${ENV_STORE_ID}" is ${fields.shopDomain}`);
+  return toStore(result.rows[0]);
+}
+
+/**
+ * The sync a store is due for at the given time ("full", "incremental"), or
+ * null if none - for a scheduler ticking every 5 minutes. The first run of
+ * the store's full sync hour is a full sync so deletions get picked up.
+ */
+function scheduledSyncMode(store, now) {
+  const minute = now.getHours() * 60 + now.getMinutes();
+  if (minute % store.syncIntervalMinutes >= 5) return null;
+  return now.getHours() === store.fullSyncHour && now.getMinutes() < store.syncIntervalMinutes ? 'full' : 'incremental';
+}
+
+module.exports = {
+  ENV_STORE_ID,
+  DEFAULT_STORE_ID,
+  ALL_STORES,
+  SYNC_INTERVALS,
+  publicStore,
+  storefrontUrl,
+  validateStore,
+  listStores,
+  getStore,
+  findStoreByDomain,
+  resolveStoreScope,
+  createStore,
+  updateStore,
+  ensureEnvStore,
+  scheduledSyncMode,
+};
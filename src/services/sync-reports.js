@@ -0,0 +1,245 @@
+/**
+ * Sync Change Reports
+ *
+ * Each inventory sync records what it changed, so staff can answer "why did
+ * this card disappear?" from the API instead of the server logs:
+ *
+ *   product_added / product_removed   a whole listing (removals: full syncs only)
+ *   variant_added / variant_removed   a condition/finish of an existing listing
+ *   repriced                          the price changed
+ *   sold_out / restocked              the quantity crossed zero
+ *
+ * inventory-sync.js collects changes in a SyncChangeLog as it writes and saves
+ * them inside the sync's transaction - a batch at a time as the catalog streams
+ * in, so a full sync doesn't hold them all in memory; per-type counts go to
+ * sync_log.change_summary.
+ * Webhooks (shopify-webhooks.js) record theirs the same way, each under a
+ * sync_log row of mode "webhook".
+ */
+
+const { pool } = require('../database');
+const { normalizeCardName } = require('./card-names');
+
+const CHANGE_TYPES = ['product_added', 'product_removed', 'variant_added', 'variant_removed', 'repriced', 'sold_out', 'restocked'];
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * Changes collected during one sync
+ * changes holds the ones not written yet; counts covers every change recorded.
+ */
+class SyncChangeLog {
+  constructor() {
+    this.changes = [];
+    this.counts = Object.fromEntries(CHANGE_TYPES.map(type => [type, 0]));
+    this.addedProducts = new Set();
+  }
+
+  add(changeType, row, { oldPrice = null, newPrice = null, oldQuantity = null, newQuantity = null } = {}) {
+    this.counts[changeType]++;
+    this.changes.push({
+      changeType,
+      shopifyProductId: row.shopify_product_id ?? null,
+      shopifyVariantId: row.shopify_variant_id ?? null,
+      normalizedName: row.normalized_name ?? null,
+      cardName: row.card_name ?? null,
+      setName: row.set_name ?? null,
+      condition: row.condition ?? null,
+      finish: row.finish ?? null,
+      oldPrice,
+      newPrice,
+      oldQuantity,
+      newQuantity,
+    });
+  }
+
+  /**
+   * A product row was written; created is true for a listing we didn't have
+   */
+  productWritten(row, created) {
+    if (!created) return;
+    this.addedProducts.add(String(row.shopify_product_id));
+    this.add('product_added', row);
+  }
+
+  /**
+   * A variant row was written. row has the new price/quantity, old_price/old_quantity
+   * from before the write, and existed = false for a new variant.
+   * New variants of a new product are covered by its product_added.
+   */
+  variantWritten(row) {
+    if (!row.existed) {
+      if (!this.addedProducts.has(String(row.shopify_product_id))) {
+        this.add('variant_added', row, { newPrice: row.price, newQuantity: row.quantity });
+      }
+      return;
+    }
+
+    if (row.old_price !== row.price) {
+      this.add('repriced', row, { oldPrice: row.old_price, newPrice: row.price, newQuantity: row.quantity });
+    }
+    const before = row.old_quantity || 0;
+    const after = row.quantity || 0;
+    if (before > 0 && after <= 0) {
+      this.add('sold_out', row, { oldQuantity: before, newQuantity: after, newPrice: row.price });
+    } else if (before <= 0 && after > 0) {
+      this.add('restocked', row, { oldQuantity: before, newQuantity: after, newPrice: row.price });
+    }
+  }
+
+  /**
+   * Rows deleted by a full sync; each carries the price/quantity it had
+   */
+  removed(changeType, rows) {
+    for (const row of rows) {
+      this.add(changeType, row, { oldPrice: row.price ?? null, oldQuantity: row.quantity ?? null });
+    }
+  }
+
+  /**
+   * Count per change type, e.g. { product_added: 2, repriced: 14, ... }
+   */
+  summary() {
+    return { ...this.counts };
+  }
+}
+
+/**
+ * Write the changes collected so far using the sync's open client, and drop
+ * them from the log. With onlyFullBatches nothing is written until a whole
+ * batch has built up - for calling as a sync goes.
+ */
+async function flushSyncChanges(client, syncId, changeLog, { onlyFullBatches = false } = {}) {
+  const { changes } = changeLog;
+  if (onlyFullBatches && changes.length < INSERT_BATCH_SIZE) return;
+
+  for (let i = 0; i < changes.length; i += INSERT_BATCH_SIZE) {
+    const batch = changes.slice(i, i + INSERT_BATCH_SIZE);
+    await client.query(`
+      INSERT INTO sync_changes (
+        sync_id, change_type, shopify_product_id, shopify_variant_id, normalized_name, card_name, set_name,
+        condition, finish, old_price, new_price, old_quantity, new_quantity
+      )
+      SELECT $1, u.*
+      FROM unnest($2::text[], $3::bigint[], $4::bigint[], $5::text[], $6::text[], $7::text[],
+        $8::text[], $9::text[], $10::numeric[], $11::numeric[], $12::int[], $13::int[])
+        AS u(change_type, shopify_product_id, shopify_variant_id, normalized_name, card_name, set_name,
+          condition, finish, old_price, new_price, old_quantity, new_quantity)
+    `, [
+      syncId,
+      batch.map(c => c.changeType),
+      batch.map(c => c.shopifyProductId),
+      batch.map(c => c.shopifyVariantId),
+      batch.map(c => c.normalizedName),
+      batch.map(c => c.cardName),
+      batch.map(c => c.setName),
+      batch.map(c => c.condition),
+      batch.map(c => c.finish),
+      batch.map(c => c.oldPrice),
+      batch.map(c => c.newPrice),
+      batch.map(c => c.oldQuantity),
+      batch.map(c => c.newQuantity),
+    ]);
+  }
+  changeLog.changes = [];
+}
+
+/**
+ * Write a sync's remaining changes using the sync's open client
+ * Returns the summary counts
+ */
+async function saveSyncChanges(client, syncId, changeLog) {
+  await flushSyncChanges(client, syncId, changeLog);
+
+  const summary = changeLog.summary();
+  const total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+  const nonZero = Object.entries(summary).filter(([, count]) => count > 0).map(([type, count]) => `${count} ${type}`);
+  console.log(`[SYNC] Recorded ${total} changes${nonZero.length > 0 ? `: ${nonZero.join(', ')}` : ''}`);
+  return summary;
+}
+
+function toSync(row) {
+  return {
+    id: row.id,
+    store: row.store_id,
+    mode: row.mode,
+    triggeredBy: row.triggered_by,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    productsSynced: row.products_synced,
+    variantsSynced: row.variants_synced,
+    errorMessage: row.error_message,
+    changes: row.change_summary,
+  };
+}
+
+function toChange(row) {
+  const price = (value) => (value === null ? null : parseFloat(value));
+  return {
+    type: row.change_type,
+    productId: row.shopify_product_id?.toString() ?? null,
+    variantId: row.shopify_variant_id?.toString() ?? null,
+    cardName: row.card_name,
+    setName: row.set_name,
+    condition: row.condition,
+    finish: row.finish,
+    oldPrice: price(row.old_price),
+    newPrice: price(row.new_price),
+    oldQuantity: row.old_quantity,
+    newQuantity: row.new_quantity,
+  };
+}
+
+/**
+ * Sync runs, newest first, of one store if storeId is given
+ * Returns { syncs, total }
+ */
+async function listSyncs({ storeId = null, limit = 20, offset = 0 } = {}) {
+  const [result, count] = await Promise.all([
+    pool.query(
+      'SELECT * FROM sync_log WHERE ($1::text IS NULL OR store_id = $1) ORDER BY started_at DESC, id DESC LIMIT $2 OFFSET $3',
+      [storeId, limit, offset]
+    ),
+    pool.query('SELECT COUNT(*)::int AS total FROM sync_log WHERE ($1::text IS NULL OR store_id = $1)', [storeId]),
+  ]);
+  return { syncs: result.rows.map(toSync), total: count.rows[0].total };
+}
+
+/**
+ * One sync run and the changes it made, optionally narrowed to a change type or a card
+ * Returns { sync, changes, total } (total = matching changes), or null if the sync doesn't exist
+ */
+async function getSyncReport(id, { type = null, card = null, limit = 100, offset = 0 } = {}) {
+  const syncResult = await pool.query('SELECT * FROM sync_log WHERE id = $1', [id]);
+  if (syncResult.rows.length === 0) return null;
+
+  const filters = ['sync_id = $1'];
+  const params = [id];
+  if (type) {
+    params.push(type);
+    filters.push(`change_type = $${params.length}`);
+  }
+  if (card) {
+    params.push(normalizeCardName(card));
+    filters.push(`normalized_name = $${params.length}`);
+  }
+  const where = filters.join(' AND ');
+
+  const [changes, count] = await Promise.all([
+    pool.query(`
+      SELECT * FROM sync_changes
+      WHERE ${where}
+      ORDER BY array_position($${params.length + 1}::text[], change_type), card_name, set_name, id
+      LIMIT $${params.length + 2} OFFSET $${params.length + 3}
+    `, [...params, CHANGE_TYPES, limit, offset]),
+    pool.query(`SELECT COUNT(*)::int AS total FROM sync_changes WHERE ${where}`, params),
+  ]);
+
+  return {
+    sync: toSync(syncResult.rows[0]),
+    changes: changes.rows.map(toChange),
+    total: count.rows[0].total,
+  };
+}
+
+module.exports = { SyncChangeLog, flushSyncChanges, saveSyncChanges, listSyncs, getSyncReport, CHANGE_TYPES };
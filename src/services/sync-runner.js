@@ -0,0 +1,160 @@
+/**
+ * Sync Runner
+ *
+ * Startup, the sync schedule and POST /api/sync/trigger all ask for syncs
+ * through requestSync() so a store's syncs never overlap in this process:
+ *
+ *   - nothing running        -> the sync starts now
+ *   - a sync is running      -> the request is queued and runs when it ends
+ *   - one is already queued  -> the request is coalesced into it (a full
+ *                               request upgrades a queued incremental one)
+ *
+ * Each store (stores.js) has its own running/queued slots; different stores
+ * sync side by side. syncInventory() also holds a per-store Postgres advisory
+ * lock, so a second instance sharing the database skips its run instead of
+ * fighting over the same rows.
+ *
+ * Progress is kept in memory and published on syncEvents for the SSE stream;
+ * every event carries the store ID:
+ *   "queued"   { store, mode, triggers }
+ *   "started"  { store, mode, trigger }
+ *   "progress" { store, syncId, mode, phase, page, productsProcessed, ... }
+ *   "finished" { store, syncId, mode, productCount, variantCount, elapsed, changes }
+ *   "failed"   { store, mode, error }
+ *   "skipped"  { store, mode, reason }
+ * error and reason are generic descriptions; the Shopify or database error
+ * behind a failure only goes to the server log.
+ */
+
+const EventEmitter = require('events');
+const { syncInventory } = require('./inventory-sync');
+const { listStores, scheduledSyncMode } = require('./stores');
+
+const syncEvents = new EventEmitter();
+// One listener per open SSE connection (capped per IP by the route)
+syncEvents.setMaxListeners(0);
+
+// store ID -> { running, queued }
+const slots = new Map();
+
+function getSlot(storeId) {
+  if (!slots.has(storeId)) {
+    slots.set(storeId, { running: null, queued: null });
+  }
+  return slots.get(storeId);
+}
+
+/**
+ * Run a store's sync now, then whatever was queued behind it
+ */
+function startSync(store, mode, trigger) {
+  const slot = getSlot(store.id);
+  slot.running = { store: store.id, mode, trigger, phase: 'starting', startedAt: new Date().toISOString() };
+  syncEvents.emit('started', { store: store.id, mode, trigger });
+  console.log(`[SYNC] Starting ${mode} sync of store ${store.id} (trigger: ${trigger})`);
+
+  syncInventory({
+    store,
+    mode,
+    trigger,
+    onProgress: (progress) => {
+      Object.assign(slot.running, progress);
+      syncEvents.emit('progress', { ...slot.running });
+    },
+  })
+    .then(result => {
+      console.log(`[SYNC] ${trigger} ${result.mode} sync of store ${store.id} complete: ${result.productCount} products, ${result.variantCount} variants in ${result.elapsed}s`);
+      syncEvents.emit('finished', result);
+    })
+    .catch(error => {
+      if (error.code === 'SYNC_LOCKED') {
+        console.log(`[SYNC] Skipped ${trigger} ${mode} sync of store ${store.id} - another instance is syncing it`);
+        syncEvents.emit('skipped', { store: store.id, mode, reason: 'Another instance is syncing this store' });
+        return;
+      }
+      console.error(`[SYNC] ${trigger} ${mode} sync of store ${store.id} failed:`, error.message);
+      console.error('[SYNC] Full error:', error);
+      syncEvents.emit('failed', { store: store.id, mode, error: 'Sync failed - see the server log for details' });
+    })
+    .finally(() => {
+      slot.running = null;
+      if (slot.queued) {
+        const next = slot.queued;
+        slot.queued = null;
+        startSync(next.storeRecord, next.mode, next.triggers.join(','));
+      }
+    });
+}
+
+/**
+ * Ask for a sync of a store (a stores.js record)
+ * Returns { status: "started" | "queued" | "coalesced", mode } where mode is
+ * what will actually run.
+ */
+function requestSync({ store, mode = 'full', trigger = 'manual' }) {
+  const slot = getSlot(store.id);
+  if (!slot.running) {
+    startSync(store, mode, trigger);
+    return { status: 'started', mode };
+  }
+
+  if (slot.queued) {
+    if (mode === 'full') slot.queued.mode = 'full';
+    slot.queued.triggers.push(trigger);
+    // Pick up credential or schedule changes made since it was queued
+    slot.queued.storeRecord = store;
+    console.log(`[SYNC] ${trigger} ${mode} sync of store ${store.id} coalesced into the queued ${slot.queued.mode} sync`);
+    syncEvents.emit('queued', publicQueued(slot.queued));
+    return { status: 'coalesced', mode: slot.queued.mode };
+  }
+
+  slot.queued = { store: store.id, mode, triggers: [trigger], storeRecord: store };
+  console.log(`[SYNC] ${trigger} ${mode} sync of store ${store.id} queued behind the running ${slot.running.mode} sync`);
+  syncEvents.emit('queued', publicQueued(slot.queued));
+  return { status: 'queued', mode };
+}
+
+/**
+ * A queued request without the store record (and its credentials)
+ */
+function publicQueued(queued) {
+  return { store: queued.store, mode: queued.mode, triggers: [...queued.triggers] };
+}
+
+/**
+ * Request the syncs the schedule calls for at `now` - run every 5 minutes
+ * Stores are re-read each time, so schedule changes apply without a restart.
+ * Returns [{ store, mode, status }] for the stores that were due.
+ */
+async function requestScheduledSyncs(now = new Date()) {
+  const requested = [];
+  for (const store of await listStores()) {
+    const mode = scheduledSyncMode(store, now);
+    if (!mode) continue;
+    const { status } = requestSync({ store, mode, trigger: 'cron' });
+    requested.push({ store: store.id, mode, status });
+  }
+  return requested;
+}
+
+/**
+ * What this process is doing right now for a store
+ * Returns { running: { store, mode, trigger, phase, ... } | null, queued: { store, mode, triggers } | null }
+ */
+function getSyncProgress(storeId) {
+  const slot = slots.get(storeId);
+  return {
+    running: slot?.running ? { ...slot.running } : null,
+    queued: slot?.queued ? publicQueued(slot.queued) : null,
+  };
+}
+
+/**
+ * getSyncProgress() for every store this process has synced
+ * Returns { [storeId]: { running, queued } }
+ */
+function getAllSyncProgress() {
+  return Object.fromEntries([...slots.keys()].map(storeId => [storeId, getSyncProgress(storeId)]));
+}
+
+module.exports = { requestSync, requestScheduledSyncs, getSyncProgress, getAllSyncProgress, syncEvents };
@@ -0,0 +1,107 @@
+/**
+ * Yu-Gi-Oh! Card Names
+ *
+ * .ydk files and YDKE URLs list cards by passcode (the 8-digit number printed
+ * on each card), not by name. Names come from the YGOPRODeck API and are kept
+ * in ygo_cards, so each passcode is only looked up once.
+ * Base URL override: YGOPRODECK_API_URL
+ */
+
+const { pool } = require('../database');
+const { sourceUrl, fetchFromSource } = require('./deck-sources/common');
+
+// Passcodes per API request
+const LOOKUP_BATCH_SIZE = 50;
+// Extra requests one deck may spend narrowing down batches YGOPRODeck refused;
+// enough to find one unknown passcode in a full batch
+const MAX_NARROWING_REQUESTS = 12;
+
+/**
+ * Ask YGOPRODeck for a batch of passcodes
+ * Returns [{ passcode, name }]. Alternate artworks have their own passcodes,
+ * listed under card_images, so those are matched too.
+ * beforeFetch runs before every request (the fetch limits); budget
+ * ({ remaining }) caps the narrowing-down requests for one deck.
+ */
+async function lookupPasscodes(passcodes, budget, beforeFetch) {
+  beforeFetch();
+
+  const url = sourceUrl('YGOPRODECK_API_URL', 'https://db.ygoprodeck.com', `/api/v7/cardinfo.php?id=${passcodes.join(',')}`);
+  let body;
+  try {
+    body = await fetchFromSource('YGOPRODeck', url, { json: true });
+  } catch (error) {
+    // YGOPRODeck answers 400 if any passcode in the list is unknown - split the
+    // batch in halves to narrow it down, while the budget lasts
+    if (error.status !== 400) throw error;
+    if (passcodes.length === 1) return [];
+    const half = Math.ceil(passcodes.length / 2);
+    const found = [];
+    for (const part of [passcodes.slice(0, half), passcodes.slice(half)]) {
+      if (budget.remaining <= 0) {
+        console.warn(`[YGO] Lookup budget spent - treating ${part.length} passcodes as unknown`);
+        continue;
+      }
+      budget.remaining--;
+      found.push(...await lookupPasscodes(part, budget, beforeFetch));
+    }
+    return found;
+  }
+
+  const wanted = new Set(passcodes);
+  const found = [];
+  for (const card of body.data || []) {
+    const ids = [card.id, ...(card.card_images || []).map(image => image.id)].map(String);
+    for (const id of ids) {
+      if (wanted.has(id)) found.push({ passcode: id, name: card.name });
+    }
+  }
+  return found;
+}
+
+/**
+ * Resolve passcodes (strings of digits) to card names
+ * beforeFetch runs before each request to YGOPRODeck (the fetch limits), and
+ * a refused batch is narrowed down with at most MAX_NARROWING_REQUESTS more;
+ * passcodes left unresolved then count as unknown.
+ * Returns Map(passcode -> name); passcodes nobody knows are left out.
+ */
+async function resolvePasscodes(passcodes, { beforeFetch = () => {} } = {}) {
+  const unique = [...new Set(passcodes)];
+  const names = new Map();
+  if (unique.length === 0) return names;
+
+  const known = await pool.query(
+    'SELECT passcode, card_name FROM ygo_cards WHERE passcode = ANY($1::bigint[])',
+    [unique]
+  );
+  for (const row of known.rows) {
+    names.set(String(row.passcode), row.card_name);
+  }
+
+  const missing = unique.filter(passcode => !names.has(passcode));
+  console.log(`[YGO] ${unique.length} passcodes: ${names.size} known, looking up ${missing.length}`);
+  if (missing.length === 0) return names;
+
+  const budget = { remaining: MAX_NARROWING_REQUESTS };
+  const found = [];
+  for (let i = 0; i < missing.length; i += LOOKUP_BATCH_SIZE) {
+    found.push(...await lookupPasscodes(missing.slice(i, i + LOOKUP_BATCH_SIZE), budget, beforeFetch));
+  }
+
+  if (found.length > 0) {
+    await pool.query(`
+      INSERT INTO ygo_cards (passcode, card_name)
+      SELECT * FROM unnest($1::bigint[], $2::text[])
+      ON CONFLICT (passcode) DO UPDATE SET card_name = EXCLUDED.card_name, fetched_at = NOW()
+    `, [found.map(card => card.passcode), found.map(card => card.name)]);
+  }
+  for (const card of found) {
+    names.set(card.passcode, card.name);
+  }
+
+  console.log(`[YGO] Resolved ${found.length} of ${missing.length} new passcodes`);
+  return names;
+}
+
+module.exports = { resolvePasscodes };
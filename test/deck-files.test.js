@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseDekXml, parseCsvDeckList, detectFileFormat } = require('../src/services/deck-files');
+const { parseMultipart } = require('../src/services/multipart');
+
+function readFixture(file) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'deck-files', file), 'utf8');
+}
+
+// Cards without normalizedName, which card-names.js covers
+function cardsOf(result) {
+  return result.cards.map(({ normalizedName, ...card }) => card);
+}
+
+test('moxfield CSV: quoted fields, an embedded newline and a set name in place of a code', () => {
+  const text = readFixture('moxfield.csv');
+  const result = parseCsvDeckList(text);
+
+  assert.equal(detectFileFormat(text), 'csv');
+  assert.deepEqual(cardsOf(result), [
+    { name: 'Lightning Bolt', quantity: 4, setCode: 'M10', collectorNumber: '146', condition: 'Near Mint' },
+    { name: "Atraxa, Praetors' Voice", quantity: 1, setCode: 'C16', collectorNumber: '28', finish: 'foil', condition: 'Lightly Played' },
+    { name: 'Fable of the Mirror-Breaker', quantity: 2, setCode: 'NEO', collectorNumber: '141', finish: 'etched', condition: 'Near Mint' },
+    { name: 'Sol Ring', quantity: 1, collectorNumber: '464', condition: 'Near Mint' },
+  ]);
+  // Line numbers count the newline inside the quoted Tags field
+  assert.equal(result.errors.length, 1);
+  assert.equal(result.errors[0].line, 6);
+  assert.equal(result.errors[0].reason, 'Missing card name or quantity');
+  assert.match(result.errors[0].text, /^,0,Lightning Helix,rav,/);
+});
+
+test('moxfield CSV with CRLF line endings reads the same', () => {
+  const text = readFixture('moxfield.csv');
+  const crlf = parseCsvDeckList(text.replace(/\n/g, '\r\n'));
+
+  assert.deepEqual(cardsOf(crlf), cardsOf(parseCsvDeckList(text)));
+  assert.equal(crlf.errors[0].line, 6);
+});
+
+test('manabox CSV: "" escapes, finishes and underscored conditions', () => {
+  const result = parseCsvDeckList(readFixture('manabox.csv'));
+
+  assert.deepEqual(cardsOf(result), [
+    { name: 'Lightning Bolt', quantity: 3, setCode: '2XM', collectorNumber: '129', condition: 'Near Mint' },
+    { name: 'Kongming, "Sleeping Dragon"', quantity: 1, setCode: 'PTK', collectorNumber: '33', finish: 'foil', condition: 'Lightly Played' },
+    { name: 'Sol Ring', quantity: 2, setCode: 'CMM', collectorNumber: '464', finish: 'etched', condition: 'Moderately Played' },
+  ]);
+  assert.deepEqual(result.errors, []);
+});
+
+test('dragon shield CSV: skips the sep= hint line and reports a zero-quantity row', () => {
+  const text = readFixture('dragonshield.csv');
+  const result = parseCsvDeckList(text);
+
+  assert.equal(detectFileFormat(text), 'csv');
+  assert.deepEqual(cardsOf(result), [
+    { name: 'Lightning Bolt', quantity: 4, setCode: 'M10', collectorNumber: '146', condition: 'Near Mint' },
+    { name: 'Goblin Guide', quantity: 2, setCode: 'ZEN', collectorNumber: '126', finish: 'foil', condition: 'Lightly Played' },
+  ]);
+  assert.deepEqual(result.errors, [{
+    line: 5,
+    text: 'Burn,0,0,Mountain,ZEN,Zendikar,243,NearMint,Normal,English,0.00,2026-01-02,0.10,0.15,0.12',
+    reason: 'Missing card name or quantity',
+  }]);
+});
+
+test('tcgplayer CSV: Simple Name over Name, foil from Printing and not the condition', () => {
+  const result = parseCsvDeckList(readFixture('tcgplayer.csv'));
+
+  assert.deepEqual(cardsOf(result), [
+    { name: 'Sol Ring', quantity: 1, setCode: 'CMM', collectorNumber: '464', finish: 'foil', condition: 'Near Mint' },
+    { name: 'Lightning Bolt', quantity: 4, setCode: 'M10', collectorNumber: '146', condition: 'Lightly Played' },
+  ]);
+  assert.deepEqual(result.errors, []);
+});
+
+test('a CSV without name and quantity columns is not read', () => {
+  const text = 'Folder,Notes\nBurn,fast\n';
+
+  assert.equal(detectFileFormat(text), null);
+  assert.deepEqual(parseCsvDeckList(text), {
+    cards: [],
+    errors: [{ line: 1, text: 'Folder,Notes', reason: 'Unrecognized CSV header' }],
+  });
+});
+
+test('MTGO .dek: boards, entities and bad entries', () => {
+  const text = readFixture('burn.dek');
+  const result = parseDekXml(text);
+
+  assert.equal(detectFileFormat(text), 'dek');
+  assert.deepEqual(cardsOf(result), [
+    { name: 'Lightning Bolt', quantity: 4, board: 'mainboard' },
+    { name: "Kolaghan's Command", quantity: 2, board: 'mainboard' },
+    { name: 'Fable of the Mirror-Breaker', quantity: 1, board: 'mainboard' },
+    { name: 'Pyroblast', quantity: 2, board: 'sideboard' },
+  ]);
+  assert.deepEqual(result.errors, [{
+    line: 9,
+    text: '<Cards CatID="54321" Quantity="0" Sideboard="true" Name="Blood Moon" Annotation="0" />',
+    reason: 'Missing card name or quantity',
+  }]);
+});
+
+test('the file name extension decides the format', () => {
+  assert.equal(detectFileFormat('4 Lightning Bolt', 'burn.dek'), 'dek');
+  assert.equal(detectFileFormat('4 Lightning Bolt', 'burn.csv'), 'csv');
+  assert.equal(detectFileFormat('4 Lightning Bolt', 'burn.txt'), null);
+});
+
+test('multipart bodies yield fields and files', () => {
+  const file = readFixture('burn.dek');
+  const body = Buffer.from([
+    '--deck-boundary',
+    'Content-Disposition: form-data; name="game"',
+    '',
+    'mtg',
+    '--deck-boundary',
+    'Content-Disposition: form-data; name="file"; filename="burn.dek"',
+    'Content-Type: application/octet-stream',
+    '',
+    file,
+    '--deck-boundary--',
+    '',
+  ].join('\r\n'));
+
+  const { fields, files } = parseMultipart(body, 'multipart/form-data; boundary="deck-boundary"');
+
+  assert.deepEqual(fields, { game: 'mtg' });
+  assert.equal(files.length, 1);
+  assert.equal(files[0].fieldName, 'file');
+  assert.equal(files[0].fileName, 'burn.dek');
+  assert.equal(files[0].contentType, 'application/octet-stream');
+  assert.equal(files[0].data.toString('utf8'), file);
+});
+
+test('multipart parsing needs a boundary', () => {
+  assert.throws(() => parseMultipart(Buffer.from(''), 'multipart/form-data'), /Missing multipart boundary/);
+});
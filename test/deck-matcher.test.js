@@ -0,0 +1,251 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { allocateVariants, normalizeStrategy, selectVariants, toCardRequests } = require('../src/services/deck-matcher');
+
+/**
+ * An in-stock printing as fetchPrintings() returns it (only the fields selection reads)
+ */
+function printing(variantId, { price, quantity, condition = 'Near Mint', finish = 'Non-Foil', setName = 'Magic 2010' }) {
+  return { variantId, price, quantity, condition, finish, setName, storeId: 'main' };
+}
+
+/**
+ * matchDeckList() results for cards, each found with the printings given for its name
+ */
+function matched(cards, printingsByName) {
+  return toCardRequests(cards).map(request => {
+    const printings = printingsByName[request.name] || [];
+    return { requested: request.name, cardName: request.name, found: printings.length > 0, printings };
+  });
+}
+
+function allocate(cards, printingsByName, strategy) {
+  return allocateVariants(matched(cards, printingsByName), toCardRequests(cards), normalizeStrategy(strategy));
+}
+
+// "variantId x allocated" for each allocation entry
+function allocationOf(result) {
+  return result.allocation.map(entry => `${entry.variantId} x${entry.allocated}`);
+}
+
+const bolts = {
+  'Lightning Bolt': [
+    printing('1', { price: 1, quantity: 2 }),
+    printing('2', { price: 2, quantity: 1 }),
+    printing('3', { price: 3, quantity: 5 }),
+  ],
+};
+
+test('splits one card across variants, cheapest first', () => {
+  const { results, totalPrice, totalShortfall } = allocate([{ name: 'Lightning Bolt', quantity: 4 }], bolts, 'cheapest');
+
+  assert.deepEqual(allocationOf(results[0]), ['1 x2', '2 x1', '3 x1']);
+  assert.equal(results[0].quantity, 4);
+  assert.equal(results[0].shortfall, 0);
+  assert.deepEqual(results[0].unmet, []);
+  assert.equal(totalPrice, 7);
+  assert.equal(totalShortfall, 0);
+});
+
+test('reports the copies stock could not cover as shortfall', () => {
+  const { results, totalShortfall } = allocate([{ name: 'Lightning Bolt', quantity: 10 }, 'Black Lotus'], bolts, 'cheapest');
+
+  assert.deepEqual(allocationOf(results[0]), ['1 x2', '2 x1', '3 x5']);
+  assert.equal(results[0].shortfall, 2);
+  assert.deepEqual(results[0].unmet, [{ constraint: 'stock', message: 'Not enough copies in stock' }]);
+
+  assert.equal(results[1].selected, null);
+  assert.equal(results[1].shortfall, 1);
+  assert.deepEqual(results[1].unmet, [{ constraint: 'stock', message: 'Not in stock' }]);
+  assert.equal(totalShortfall, 3);
+});
+
+test('the same card in two boards draws from one stock pool', () => {
+  const cards = [
+    { name: 'Lightning Bolt', quantity: 4, board: 'mainboard' },
+    { name: 'Lightning Bolt', quantity: 4, board: 'sideboard' },
+  ];
+  const { results, totalShortfall } = allocate(cards, bolts, 'cheapest');
+
+  assert.deepEqual(allocationOf(results[0]), ['1 x2', '2 x1', '3 x1']);
+  // Only the 4 copies of variant 3 the mainboard left behind
+  assert.deepEqual(allocationOf(results[1]), ['3 x4']);
+  assert.equal(results[1].shortfall, 0);
+
+  const third = allocate([...cards, { name: 'Lightning Bolt', quantity: 1 }], bolts, 'cheapest');
+  assert.deepEqual(allocationOf(third.results[2]), []);
+  assert.equal(third.results[2].shortfall, 1);
+  assert.equal(third.totalShortfall, 1);
+  assert.equal(totalShortfall, 0);
+});
+
+test('quantity stays the stock, with allocated copies reported separately', () => {
+  const { results } = allocate([{ name: 'Lightning Bolt', quantity: 3 }], bolts, 'cheapest');
+  const [first, second] = results[0].allocation;
+
+  assert.equal(first.quantity, 2);
+  assert.equal(first.allocated, 2);
+  assert.equal(second.quantity, 1);
+  assert.equal(second.allocated, 1);
+  // selected is the first allocated printing as matched, without allocated
+  assert.deepEqual(results[0].selected, bolts['Lightning Bolt'][0]);
+  assert.equal('allocated' in results[0].selected, false);
+  // The matched printings themselves are left alone
+  assert.equal('allocated' in bolts['Lightning Bolt'][0], false);
+});
+
+test('minCondition drops worse and unrecognised conditions and says how many', () => {
+  const printings = {
+    'Lightning Bolt': [
+      printing('1', { price: 0.5, quantity: 4, condition: 'Graded' }),
+      printing('2', { price: 1, quantity: 4, condition: 'Moderately Played' }),
+      printing('3', { price: 3, quantity: 1, condition: 'Lightly Played' }),
+      printing('4', { price: 5, quantity: 1, condition: 'Near Mint' }),
+    ],
+  };
+  const { results } = allocate([{ name: 'Lightning Bolt', quantity: 3 }], printings, { minCondition: 'lp' });
+
+  assert.deepEqual(allocationOf(results[0]), ['3 x1', '4 x1']);
+  assert.equal(results[0].shortfall, 1);
+  assert.deepEqual(results[0].unmet, [
+    { constraint: 'minCondition', message: '2 in-stock variant(s) skipped (below the minimum condition)' },
+  ]);
+});
+
+test('best-condition sorts unrecognised conditions after every known one', () => {
+  const printings = {
+    'Lightning Bolt': [
+      printing('1', { price: 0.2, quantity: 1, condition: 'Damaged' }),
+      printing('2', { price: 0.5, quantity: 1, condition: 'Graded' }),
+      printing('3', { price: 5, quantity: 1, condition: 'Near Mint' }),
+    ],
+  };
+  const { results } = allocate([{ name: 'Lightning Bolt', quantity: 3 }], printings, 'best-condition');
+
+  assert.deepEqual(allocationOf(results[0]), ['3 x1', '1 x1', '2 x1']);
+});
+
+test('excludeFinishes never selects foils, etched included; preferFinish only ranks', () => {
+  const printings = {
+    'Sol Ring': [
+      printing('1', { price: 1, quantity: 4, finish: 'Foil' }),
+      printing('2', { price: 2, quantity: 4, finish: 'Foil Etched' }),
+      printing('3', { price: 3, quantity: 1, finish: 'Non-Foil' }),
+    ],
+  };
+
+  const excluded = allocate([{ name: 'Sol Ring', quantity: 2 }], printings, { excludeFinishes: ['foil'] });
+  assert.deepEqual(allocationOf(excluded.results[0]), ['3 x1']);
+  assert.deepEqual(excluded.results[0].unmet, [
+    { constraint: 'excludeFinishes', message: '2 in-stock variant(s) skipped (excluded finish)' },
+  ]);
+
+  const preferred = allocate([{ name: 'Sol Ring', quantity: 2 }], printings, { preferFinish: 'nonfoil' });
+  assert.deepEqual(allocationOf(preferred.results[0]), ['3 x1', '1 x1']);
+});
+
+test('preferred sets rank first and excluded sets are never selected', () => {
+  const printings = {
+    'Lightning Bolt': [
+      printing('1', { price: 0.5, quantity: 4, setName: 'Secret Lair Drop' }),
+      printing('2', { price: 1, quantity: 4, setName: 'Magic 2010' }),
+      printing('3', { price: 2, quantity: 4, setName: 'Double Masters 2022' }),
+    ],
+  };
+  const strategy = { preferredSets: ['double masters 2022'], excludedSets: ['Secret Lair Drop'] };
+
+  const { results } = allocate([{ name: 'Lightning Bolt', quantity: 6 }], printings, strategy);
+  assert.deepEqual(allocationOf(results[0]), ['3 x4', '2 x2']);
+
+  // The printing the deck list asked for still comes before a preferred set
+  printings['Lightning Bolt'][1].printingMatch = 'exact';
+  const requested = allocate([{ name: 'Lightning Bolt', quantity: 6 }], printings, strategy);
+  assert.deepEqual(allocationOf(requested.results[0]), ['2 x4', '3 x2']);
+});
+
+test('maxCardPrice skips copies over the per-card limit', () => {
+  const printings = {
+    'Ragavan, Nimble Pilferer': [
+      printing('1', { price: 15, quantity: 1 }),
+      printing('2', { price: 25, quantity: 4 }),
+    ],
+  };
+  const { results } = allocate([{ name: 'Ragavan, Nimble Pilferer', quantity: 2 }], printings, { maxCardPrice: 20 });
+
+  assert.deepEqual(allocationOf(results[0]), ['1 x1']);
+  assert.deepEqual(results[0].unmet, [
+    { constraint: 'maxCardPrice', message: '1 in-stock variant(s) skipped (over the per-card price limit)' },
+  ]);
+});
+
+test('over budget, the most expensive copies are dropped and explained', () => {
+  const printings = {
+    'Lightning Bolt': [printing('1', { price: 1, quantity: 2 }), printing('2', { price: 3, quantity: 5 })],
+    'Ragavan, Nimble Pilferer': [printing('3', { price: 50, quantity: 1 })],
+  };
+  const cards = [{ name: 'Lightning Bolt', quantity: 4 }, { name: 'Ragavan, Nimble Pilferer', quantity: 1 }];
+
+  const roomy = allocate(cards, printings, { budget: 10 });
+  assert.deepEqual(allocationOf(roomy.results[0]), ['1 x2', '2 x2']);
+  assert.deepEqual(allocationOf(roomy.results[1]), []);
+  assert.deepEqual(roomy.results[1].unmet, [{ constraint: 'budget', message: '1 copy dropped to stay within budget' }]);
+  assert.equal(roomy.totalPrice, 8);
+
+  const tight = allocate(cards, printings, { budget: 6 });
+  assert.deepEqual(allocationOf(tight.results[0]), ['1 x2', '2 x1']);
+  assert.deepEqual(tight.results[0].unmet, [{ constraint: 'budget', message: '1 copy dropped to stay within budget' }]);
+  assert.equal(tight.totalPrice, 5);
+  assert.equal(tight.totalShortfall, 2);
+});
+
+test('leftover budget upgrades cards in deck order while it lasts', () => {
+  const printings = {
+    'Lightning Bolt': [
+      printing('1', { price: 1, quantity: 2, condition: 'Moderately Played' }),
+      printing('2', { price: 4, quantity: 2, condition: 'Near Mint' }),
+    ],
+    'Goblin Guide': [
+      printing('3', { price: 1, quantity: 1, condition: 'Heavily Played' }),
+      printing('4', { price: 3, quantity: 1, condition: 'Near Mint' }),
+    ],
+  };
+  const cards = [{ name: 'Lightning Bolt', quantity: 2 }, { name: 'Goblin Guide', quantity: 1 }];
+
+  // Cheapest costs 3; upgrading the Bolts costs 6 more, the Guide 2 more
+  const { results, totalPrice } = allocate(cards, printings, { sort: 'best-condition', budget: 9 });
+  assert.deepEqual(allocationOf(results[0]), ['2 x2']);
+  assert.deepEqual(allocationOf(results[1]), ['3 x1']);
+  assert.equal(totalPrice, 9);
+
+  const all = allocate(cards, printings, { sort: 'best-condition', budget: 11 });
+  assert.deepEqual(allocationOf(all.results[1]), ['4 x1']);
+  assert.equal(all.totalPrice, 11);
+});
+
+test('strategy stays the sort string, with the normalized strategy under rules', async () => {
+  const legacy = await selectVariants([], 'best-condition');
+  assert.equal(legacy.strategy, 'best-condition');
+  assert.equal(legacy.rules.sort, 'best-condition');
+
+  assert.equal((await selectVariants([])).strategy, 'cheapest');
+
+  const object = await selectVariants([], { sort: 'best-condition', minCondition: 'NM', budget: 50 });
+  assert.equal(object.strategy, 'best-condition');
+  assert.equal(object.rules.minCondition, 'Near Mint');
+  assert.equal(object.rules.budget, 50);
+});
+
+test('an unknown strategy string falls back to cheapest', () => {
+  assert.equal(normalizeStrategy('random').sort, 'cheapest');
+  assert.equal(normalizeStrategy('').sort, 'cheapest');
+  assert.equal(normalizeStrategy('best-condition').sort, 'best-condition');
+});
+
+test('normalizeStrategy rejects invalid fields', () => {
+  assert.throws(() => normalizeStrategy({ sort: 'random' }), /Unknown strategy sort "random"/);
+  assert.throws(() => normalizeStrategy({ minCondition: 'Mint' }), /Unknown minCondition "Mint"/);
+  assert.throws(() => normalizeStrategy({ excludeFinishes: 'foil' }), /"excludeFinishes" must be an array of strings/);
+  assert.throws(() => normalizeStrategy({ budget: -1 }), /"budget" must be a non-negative number/);
+  assert.throws(() => normalizeStrategy(['cheapest']), /"strategy" must be a string or an object/);
+});
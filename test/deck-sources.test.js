@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { findDeckSource } = require('../src/services/deck-sources');
+const { decodeHtmlEntities } = require('../src/services/deck-sources/common');
+
+/**
+ * Run a saved response through the toDeck() of the source that owns url
+ */
+function importFixture(url, file) {
+  const { source, target } = findDeckSource(url);
+  const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'deck-sources', file), 'utf8');
+  const raw = file.endsWith('.json') ? JSON.parse(text) : text;
+  return { source, deck: source.toDeck(raw, source.pattern.exec(target)) };
+}
+
+// Cards without normalizedName, which card-names.js covers
+function cardsOf(deck) {
+  return deck.cards.map(({ normalizedName, ...card }) => card);
+}
+
+test('archidekt maps categories, editions and modifiers', () => {
+  const { source, deck } = importFixture('https://archidekt.com/decks/123456', 'archidekt.json');
+
+  assert.equal(source.name, 'archidekt');
+  assert.equal(deck.deckName, 'Mono Red Burn');
+  assert.equal(deck.format, 'Modern');
+  assert.deepEqual(cardsOf(deck), [
+    { name: 'Lightning Bolt', quantity: 4, board: 'mainboard', setCode: 'M10', collectorNumber: '161' },
+    { name: 'Fable of the Mirror-Breaker // Reflection of Kiki-Jiki', quantity: 2, board: 'mainboard', setCode: 'MH2', collectorNumber: '118', finish: 'foil' },
+    { name: 'Roiling Vortex', quantity: 3, board: 'sideboard', setCode: 'ZEN', collectorNumber: '156', finish: 'etched' },
+    { name: 'Mountain', quantity: 1, board: 'mainboard' },
+  ]);
+  assert.deepEqual(deck.errors, []);
+});
+
+test('moxfield maps boards, printings and finishes', () => {
+  const { source, deck } = importFixture('https://www.moxfield.com/decks/AbC-123_xyz', 'moxfield.json');
+
+  assert.equal(source.name, 'moxfield');
+  assert.equal(deck.deckName, 'Atraxa Superfriends');
+  assert.equal(deck.format, 'commander');
+  // Boards come in BOARDS order; the maybeboard isn't imported
+  assert.deepEqual(cardsOf(deck), [
+    { name: 'Sol Ring', quantity: 1, board: 'mainboard', setCode: 'CMR', collectorNumber: '472' },
+    { name: 'Doubling Season', quantity: 1, board: 'mainboard', setCode: '2XM', collectorNumber: '159', finish: 'etched' },
+    { name: 'Forest', quantity: 1, board: 'mainboard' },
+    { name: "Atraxa, Praetors' Voice", quantity: 1, board: 'commanders', setCode: 'C16', collectorNumber: '28', finish: 'foil' },
+  ]);
+});
+
+test('mtggoldfish reads the deck_input field, title and format', () => {
+  const { source, deck } = importFixture('https://www.mtggoldfish.com/deck/1234567', 'mtggoldfish.html');
+
+  assert.equal(source.name, 'mtggoldfish');
+  assert.equal(deck.deckName, 'Rakdos Scam');
+  assert.equal(deck.format, 'modern');
+  assert.deepEqual(cardsOf(deck), [
+    { name: 'Grief', quantity: 4, board: 'mainboard' },
+    { name: 'Thoughtseize', quantity: 4, board: 'mainboard' },
+    { name: 'Fable of the Mirror-Breaker', quantity: 4, board: 'mainboard' },
+    { name: "Kolaghan's Command", quantity: 2, board: 'mainboard' },
+    { name: 'Bloodstained Mire', quantity: 3, board: 'mainboard' },
+    { name: "Kolaghan's Command", quantity: 2, board: 'sideboard' },
+    { name: 'Blood Moon', quantity: 1, board: 'sideboard' },
+  ]);
+  assert.deepEqual(deck.errors, []);
+});
+
+test('mtggoldfish rejects a page without a deck list', () => {
+  const { source } = findDeckSource('https://www.mtggoldfish.com/deck/1234567');
+  assert.throws(() => source.toDeck('<html><h1 class="title">Not a deck</h1></html>'), /Could not find a deck list/);
+});
+
+test('tappedout names the deck from the URL slug and keeps its sections', () => {
+  const { source, deck } = importFixture('https://tappedout.net/mtg-decks/atraxa-superfriends/', 'tappedout.txt');
+
+  assert.equal(source.name, 'tappedout');
+  assert.equal(deck.deckName, 'Atraxa Superfriends');
+  assert.equal(deck.format, 'unknown');
+  assert.deepEqual(cardsOf(deck), [
+    { name: "Atraxa, Praetors' Voice", quantity: 1, board: 'mainboard' },
+    { name: 'Sol Ring', quantity: 1, board: 'mainboard' },
+    { name: 'Doubling Season', quantity: 1, board: 'mainboard' },
+    { name: 'Forest', quantity: 2, board: 'mainboard' },
+    { name: 'Cyclonic Rift', quantity: 1, board: 'sideboard' },
+    { name: 'Smothering Tithe', quantity: 1, board: 'maybeboard' },
+  ]);
+});
+
+test('deckstats takes the name comment and SB: lines', () => {
+  const { source, deck } = importFixture('https://deckstats.net/decks/12345/678901-izzet-murktide/en', 'deckstats.txt');
+
+  assert.equal(source.name, 'deckstats');
+  assert.equal(deck.deckName, 'Izzet Murktide');
+  assert.deepEqual(cardsOf(deck), [
+    { name: 'Murktide Regent', quantity: 4, board: 'mainboard' },
+    { name: 'Ragavan, Nimble Pilferer', quantity: 4, board: 'mainboard' },
+    { name: "Dragon's Rage Channeler", quantity: 4, board: 'mainboard' },
+    { name: 'Blood Moon', quantity: 2, board: 'sideboard' },
+    { name: 'Engineered Explosives', quantity: 1, board: 'sideboard' },
+  ]);
+});
+
+test('deckstats falls back to the URL slug without a name comment', () => {
+  const { source, target } = findDeckSource('https://deckstats.net/decks/12345/678901-izzet-murktide/en');
+  assert.equal(source.toDeck('4 Murktide Regent\n', source.pattern.exec(target)).deckName, 'Izzet Murktide');
+});
+
+test('out-of-range numeric entities decode to the replacement character', () => {
+  assert.equal(decodeHtmlEntities('Kolaghan&#39;s &#x110000;&#99999999; Command'), "Kolaghan's \uFFFD\uFFFD Command");
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTextDeckList } = require('../src/services/deck-text');
+
+// "4 Name [board]" per card, which is all the board rules decide
+function boardsOf(text) {
+  return parseTextDeckList(text).cards.map(card => `${card.quantity} ${card.name} [${card.board}]`);
+}
+
+test('section headers start boards in their various spellings', () => {
+  const text = [
+    'COMMANDER:',
+    "1 Atraxa, Praetors' Voice",
+    'Deck',
+    '1 Sol Ring',
+    '// Creatures',
+    '1 Birds of Paradise',
+    'Sideboard (15)',
+    '1 Cyclonic Rift',
+    '// Maybeboard',
+    '1 Smothering Tithe',
+    '// Sideboard',
+    '2 Pyroblast',
+  ].join('\n');
+
+  assert.deepEqual(boardsOf(text), [
+    "1 Atraxa, Praetors' Voice [commanders]",
+    '1 Sol Ring [mainboard]',
+    '1 Birds of Paradise [mainboard]',
+    '1 Cyclonic Rift [sideboard]',
+    '1 Smothering Tithe [maybeboard]',
+    '2 Pyroblast [sideboard]',
+  ]);
+});
+
+test('the Arena About block names the deck and holds no cards', () => {
+  const result = parseTextDeckList('About\nName Mono Red Burn\n\nDeck\n4 Lightning Bolt\n');
+
+  assert.equal(result.deckName, 'Mono Red Burn');
+  assert.deepEqual(result.cards.map(card => card.name), ['Lightning Bolt']);
+});
+
+test('SB: lines go to the sideboard without moving the lines after them', () => {
+  assert.deepEqual(boardsOf('4 Lightning Bolt\nSB: 2 Pyroblast\nsb:1 Blood Moon\n4 Monastery Swiftspear'), [
+    '4 Lightning Bolt [mainboard]',
+    '2 Pyroblast [sideboard]',
+    '1 Blood Moon [sideboard]',
+    '4 Monastery Swiftspear [mainboard]',
+  ]);
+});
+
+test('a small second block after a blank line is the Arena sideboard', () => {
+  const text = '20 Mountain\n4 Lightning Bolt\n4 Monastery Swiftspear\n\n3 Roiling Vortex\n2 Pyroblast\n';
+
+  assert.deepEqual(boardsOf(text), [
+    '20 Mountain [mainboard]',
+    '4 Lightning Bolt [mainboard]',
+    '4 Monastery Swiftspear [mainboard]',
+    '3 Roiling Vortex [sideboard]',
+    '2 Pyroblast [sideboard]',
+  ]);
+});
+
+test('a lone 1-2 card first block is the commanders', () => {
+  assert.deepEqual(boardsOf("1 Atraxa, Praetors' Voice\n\n1 Sol Ring\n1 Arcane Signet\n1 Command Tower\n"), [
+    "1 Atraxa, Praetors' Voice [commanders]",
+    '1 Sol Ring [mainboard]',
+    '1 Arcane Signet [mainboard]',
+    '1 Command Tower [mainboard]',
+  ]);
+  assert.deepEqual(boardsOf('1 Tymna the Weaver\n1 Thrasios, Triton Hero\n\n1 Sol Ring\n1 Mana Crypt\n1 Mox Diamond\n'), [
+    '1 Tymna the Weaver [commanders]',
+    '1 Thrasios, Triton Hero [commanders]',
+    '1 Sol Ring [mainboard]',
+    '1 Mana Crypt [mainboard]',
+    '1 Mox Diamond [mainboard]',
+  ]);
+});
+
+test('lists with more than two blocks stay in the mainboard', () => {
+  const text = '4 Lightning Bolt\n4 Chain Lightning\n\n4 Monastery Swiftspear\n\n2 Pyroblast\n';
+
+  assert.ok(boardsOf(text).every(card => card.endsWith('[mainboard]')));
+});
+
+test('two blocks stay in the mainboard when neither rule fits', () => {
+  // Second block larger than the first, and larger than a sideboard
+  assert.ok(boardsOf('4 Lightning Bolt\n4 Chain Lightning\n\n20 Mountain\n').every(card => card.endsWith('[mainboard]')));
+  // Second block of 16 cards is too big for a sideboard
+  assert.ok(boardsOf('40 Mountain\n\n16 Pyroblast\n').every(card => card.endsWith('[mainboard]')));
+  // Comments or headers mean the list says where its boards are
+  assert.ok(boardsOf('// Burn\n20 Mountain\n\n2 Pyroblast\n').every(card => card.endsWith('[mainboard]')));
+});
+
+test('repeated lines for one printing and board merge with a warning', () => {
+  const result = parseTextDeckList([
+    '2 Lightning Bolt (M10) 146',
+    '1 Lightning Bolt (2XM) 129',
+    '2 Lightning Bolt (M10) 146',
+    'SB: 1 Lightning Bolt (M10) 146',
+  ].join('\n'));
+
+  assert.deepEqual(result.cards.map(card => `${card.quantity} ${card.setCode} [${card.board}]`), [
+    '4 M10 [mainboard]',
+    '1 2XM [mainboard]',
+    '1 M10 [sideboard]',
+  ]);
+  assert.deepEqual(result.warnings, [
+    { line: 3, text: '2 Lightning Bolt (M10) 146', reason: 'Duplicate of line 1 in mainboard; quantities merged (now 4)' },
+  ]);
+  assert.deepEqual(result.errors, []);
+});
+
+test('unparseable lines are reported with their line numbers', () => {
+  const result = parseTextDeckList('4 Lightning Bolt\n12\n');
+
+  assert.deepEqual(result.errors, [{ line: 2, text: '12', reason: 'Could not parse line' }]);
+});
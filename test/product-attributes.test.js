@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractProductAttributes } = require('../src/services/product-attributes');
+
+test('reads the TCGplayer ID from the handle suffix', () => {
+  assert.equal(extractProductAttributes({ handle: 'lightning-bolt-alpha-tcg-1234' }).tcgplayerId, 1234);
+  assert.equal(extractProductAttributes({ handle: 'tcg-1234' }).tcgplayerId, 1234);
+  assert.equal(extractProductAttributes({ handle: 'lightning-bolt-stcg-1234' }).tcgplayerId, null);
+  assert.equal(extractProductAttributes({ handle: 'lightning-bolt-alpha' }).tcgplayerId, null);
+});
+
+test('prefers a tcgplayer_id metafield over the handle', () => {
+  const attributes = extractProductAttributes({
+    handle: 'lightning-bolt-alpha-tcg-1234',
+    metafields: [{ namespace: 'custom', key: 'tcgplayer_id', value: '99', type: 'number_integer' }],
+  });
+  assert.equal(attributes.tcgplayerId, 99);
+});
@@ -0,0 +1,19 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { shopifyUrl } = require('../src/services/shopify-auth');
+
+const store = { id: 'main', shopDomain: 'cardsurfer.myshopify.com' };
+
+afterEach(() => {
+  delete process.env.SHOPIFY_API_URL;
+});
+
+test('builds Admin API URLs on the shop domain', () => {
+  assert.equal(shopifyUrl(store, '/admin/oauth/access_token'), 'https://cardsurfer.myshopify.com/admin/oauth/access_token');
+});
+
+test('SHOPIFY_API_URL replaces the shop domain', () => {
+  process.env.SHOPIFY_API_URL = 'http://localhost:8080/';
+  assert.equal(shopifyUrl(store, '/admin/api/2026-01/graphql.json'), 'http://localhost:8080/admin/api/2026-01/graphql.json');
+});
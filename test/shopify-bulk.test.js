@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+process.env.SHOPIFY_BULK_STALL_MS = '200';
+const { streamBulkJsonl } = require('../src/services/shopify-bulk');
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'bulk-products.jsonl'));
+
+let server;
+let baseUrl;
+
+// Serves the fixture in small chunks, so lines arrive split across reads;
+// /stall sends the first chunk and then nothing
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/jsonl' });
+    const chunkSize = req.url === '/crlf' ? 5 : 7;
+    const body = req.url === '/crlf' ? Buffer.from(fixture.toString().replace(/\n/g, '\r\n')) : fixture;
+    for (let offset = 0; offset < body.length; offset += chunkSize) {
+      res.write(body.subarray(offset, offset + chunkSize));
+      if (req.url === '/stall') return;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+async function collect(url) {
+  const parents = [];
+  const orphans = [];
+  const counts = await streamBulkJsonl(url, {
+    onParent: (parent, children) => parents.push({ id: parent.id, children: children.map(child => child.id) }),
+    onOrphan: (child) => orphans.push(child.id),
+  });
+  return { parents, orphans, counts };
+}
+
+test('joins children to their parent across split lines', async () => {
+  const { parents, counts } = await collect(`${baseUrl}/products.jsonl`);
+
+  assert.deepEqual(parents, [
+    {
+      id: 'gid://shopify/Product/100',
+      children: ['gid://shopify/ProductVariant/1001', 'gid://shopify/Metafield/5001', 'gid://shopify/ProductVariant/1002'],
+    },
+    { id: 'gid://shopify/Product/101', children: ['gid://shopify/ProductVariant/1011'] },
+    { id: 'gid://shopify/Product/102', children: ['gid://shopify/ProductVariant/1021'] },
+  ]);
+  assert.deepEqual(counts, { parentCount: 3, childCount: 6, orphanCount: 1 });
+});
+
+test('passes a child that arrives after its parent to onOrphan', async () => {
+  const { parents, orphans } = await collect(`${baseUrl}/products.jsonl`);
+
+  assert.deepEqual(orphans, ['gid://shopify/ProductVariant/1003']);
+  assert.ok(parents.every(parent => !parent.children.includes('gid://shopify/ProductVariant/1003')));
+});
+
+test('skips orphans when there is no onOrphan handler', async () => {
+  const parents = [];
+  const counts = await streamBulkJsonl(`${baseUrl}/products.jsonl`, {
+    onParent: (parent) => parents.push(parent.id),
+  });
+
+  assert.equal(parents.length, 3);
+  assert.equal(counts.orphanCount, 1);
+});
+
+test('reads CRLF line endings', async () => {
+  const { parents, orphans } = await collect(`${baseUrl}/crlf`);
+
+  assert.equal(parents.length, 3);
+  assert.deepEqual(orphans, ['gid://shopify/ProductVariant/1003']);
+});
+
+test('gives up on a download that stops sending', async () => {
+  await assert.rejects(collect(`${baseUrl}/stall`), /stalled - nothing received for 200ms/);
+});
@@ -0,0 +1,170 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.SHOPIFY_GQL_MAX_RETRIES = '3';
+process.env.SHOPIFY_GQL_BACKOFF_MS = '20';
+process.env.SHOPIFY_GQL_MAX_BACKOFF_MS = '40';
+const { shopifyGraphQL, getGraphQLMetrics } = require('../src/services/shopify-graphql');
+
+const QUERY = 'query GetShop { shop { name } }';
+const MUTATION = 'mutation CreateDraftOrder($input: DraftOrderInput!) { draftOrderCreate(input: $input) { draftOrder { id } } }';
+
+let server;
+let tokensIssued;
+// What the GraphQL endpoint answers, one entry per request; the last one repeats
+let replies;
+// The access token each GraphQL request carried
+let tokensSeen;
+
+function store(id) {
+  return { id, shopDomain: 'cardsurfer.myshopify.com', clientId: 'client-id', clientSecret: 'client-secret' };
+}
+
+function cost(requested, actual, currentlyAvailable = 990) {
+  return {
+    requestedQueryCost: requested,
+    actualQueryCost: actual,
+    throttleStatus: { maximumAvailable: 1000, currentlyAvailable, restoreRate: 50 },
+  };
+}
+
+const ok = { status: 200, body: { data: { shop: { name: 'Cardsurfer' } }, extensions: { cost: cost(2, 1) } } };
+const throttled = { status: 200, body: { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: { cost: cost(2, 0) } } };
+
+// Stands in for the shop: hands out numbered tokens and answers GraphQL from
+// replies (a reply with acceptsToken answers ok for that token)
+before(async () => {
+  server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      if (req.url === '/admin/oauth/access_token') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ access_token: `token-${++tokensIssued}`, expires_in: 86399 }));
+      }
+      tokensSeen.push(req.headers['x-shopify-access-token']);
+      const reply = replies.length > 1 ? replies.shift() : replies[0];
+      if (reply.acceptsToken && reply.acceptsToken === req.headers['x-shopify-access-token']) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(ok.body));
+      }
+      res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(JSON.stringify(reply.body || {}));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SHOPIFY_API_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  delete process.env.SHOPIFY_API_URL;
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  tokensIssued = 0;
+  tokensSeen = [];
+  replies = [ok];
+});
+
+test('retries 429, 5xx and THROTTLED responses until one succeeds', async () => {
+  const start = getGraphQLMetrics();
+  replies = [{ status: 429, headers: { 'Retry-After': '0.01' } }, { status: 503 }, throttled, ok];
+
+  const data = await shopifyGraphQL(store('retries'), QUERY);
+
+  assert.deepEqual(data.data, { shop: { name: 'Cardsurfer' } });
+  assert.equal(tokensSeen.length, 4);
+  const metrics = getGraphQLMetrics();
+  assert.equal(metrics.retries - start.retries, 3);
+  assert.equal(metrics.throttled - start.throttled, 1);
+});
+
+test('gives up once the retries run out', async () => {
+  const start = getGraphQLMetrics();
+  replies = [{ status: 502 }];
+
+  await assert.rejects(shopifyGraphQL(store('exhausted'), QUERY), (error) => {
+    assert.equal(error.status, 502);
+    return true;
+  });
+  assert.equal(tokensSeen.length, 4);
+  assert.equal(getGraphQLMetrics().failures - start.failures, 1);
+});
+
+test('backoff is a random share of a doubling, capped step', async (t) => {
+  const delays = [];
+  const realSetTimeout = global.setTimeout;
+  t.mock.method(Math, 'random', () => 1);
+  t.mock.method(global, 'setTimeout', (fn, ms, ...args) => {
+    if (ms > 0 && ms < 1000) delays.push(ms);
+    return realSetTimeout(fn, ms, ...args);
+  });
+  replies = [{ status: 500 }, { status: 500 }, { status: 500 }, ok];
+
+  await shopifyGraphQL(store('backoff'), QUERY);
+  assert.deepEqual(delays, [20, 40, 40]);
+
+  // With no jitter left the retries go straight out
+  Math.random.mock.mockImplementation(() => 0);
+  delays.length = 0;
+  replies = [{ status: 500 }, { status: 500 }, ok];
+  await shopifyGraphQL(store('backoff'), QUERY);
+  assert.deepEqual(delays, []);
+});
+
+test('mutations are retried on 429 but not on 5xx', async () => {
+  replies = [{ status: 429, headers: { 'Retry-After': '0.01' } }, ok];
+  await shopifyGraphQL(store('mutation'), MUTATION, { input: {} });
+  assert.equal(tokensSeen.length, 2);
+
+  tokensSeen = [];
+  replies = [{ status: 500 }, ok];
+  await assert.rejects(shopifyGraphQL(store('mutation'), MUTATION, { input: {} }), /Shopify GraphQL error: 500/);
+  assert.equal(tokensSeen.length, 1);
+});
+
+test('a 401 fetches a new access token once', async () => {
+  const start = getGraphQLMetrics();
+  // The first token is rejected, the one fetched after it accepted
+  replies = [{ status: 401, acceptsToken: 'token-2' }];
+
+  await shopifyGraphQL(store('refresh'), QUERY);
+  assert.deepEqual(tokensSeen, ['token-1', 'token-2']);
+  assert.equal(getGraphQLMetrics().tokenRefreshes - start.tokenRefreshes, 1);
+
+  // A new token that is rejected too isn't refreshed again
+  tokensIssued = 0;
+  tokensSeen = [];
+  replies = [{ status: 401 }];
+  await assert.rejects(shopifyGraphQL(store('rejected'), QUERY), /Shopify GraphQL error: 401/);
+  assert.deepEqual(tokensSeen, ['token-1', 'token-2']);
+});
+
+test('the bucket follows Shopify\'s throttle status and makes the next call wait', async () => {
+  const start = getGraphQLMetrics();
+  replies = [{ status: 200, body: { data: {}, extensions: { cost: cost(10, 10, 0) } } }, ok];
+
+  await shopifyGraphQL(store('bucket'), QUERY);
+  assert.equal(getGraphQLMetrics().buckets.bucket.maximumAvailable, 1000);
+  assert.ok(getGraphQLMetrics().buckets.bucket.currentlyAvailable < 10);
+
+  // 10 points at 50 a second is a wait of about 200ms
+  await shopifyGraphQL(store('bucket'), QUERY);
+  const waited = getGraphQLMetrics().throttleWaitMs - start.throttleWaitMs;
+  assert.ok(waited > 100 && waited <= 200, `waited ${waited}ms`);
+});
+
+test('counts requested and actual cost per operation', async () => {
+  const start = getGraphQLMetrics().operations.CountCost || { requests: 0, requestedCost: 0, actualCost: 0 };
+  replies = [{ status: 200, body: { data: {}, extensions: { cost: cost(12, 7) } } }];
+
+  await shopifyGraphQL(store('cost'), 'query CountCost { shop { name } }');
+  await shopifyGraphQL(store('cost'), 'query CountCost { shop { name } }');
+
+  const operation = getGraphQLMetrics().operations.CountCost;
+  assert.equal(operation.requests - start.requests, 2);
+  assert.equal(operation.requestedCost - start.requestedCost, 24);
+  assert.equal(operation.actualCost - start.actualCost, 14);
+});
@@ -0,0 +1,125 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+
+const { pool } = require('../src/database');
+const { verifyWebhookHmac, handleProductUpsert } = require('../src/services/shopify-webhooks');
+const webhookRoutes = require('../src/routes/webhooks');
+
+const store = { id: 'main', shopDomain: 'cardsurfer.myshopify.com', clientSecret: 'client-secret', webhookSecret: null };
+const storeRow = { id: 'main', shop_domain: 'cardsurfer.myshopify.com', client_secret: 'client-secret', webhook_secret: null, active: true };
+
+const originalQuery = pool.query;
+const originalConnect = pool.connect;
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+let server;
+let baseUrl;
+
+// The routes mounted as index.js mounts them, with the stores table answered from memory
+before(async () => {
+  pool.query = async (sql, params) => {
+    if (/FROM stores/.test(sql)) {
+      return { rows: params[0].toLowerCase() === storeRow.shop_domain ? [storeRow] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/api/webhooks', webhookRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  pool.query = originalQuery;
+  server.close();
+});
+
+afterEach(() => {
+  pool.connect = originalConnect;
+});
+
+test('accepts a body signed with the client secret', () => {
+  const body = Buffer.from('{"id":1}');
+  assert.equal(verifyWebhookHmac(body, sign(body, 'client-secret'), store), true);
+});
+
+test('a webhook secret takes precedence over the client secret', () => {
+  const body = Buffer.from('{"id":1}');
+  const withSecret = { ...store, webhookSecret: 'webhook-secret' };
+
+  assert.equal(verifyWebhookHmac(body, sign(body, 'webhook-secret'), withSecret), true);
+  assert.equal(verifyWebhookHmac(body, sign(body, 'client-secret'), withSecret), false);
+});
+
+test('rejects a changed body, a truncated signature and a missing header', () => {
+  const body = Buffer.from('{"id":1}');
+  const hmac = sign(body, 'client-secret');
+
+  assert.equal(verifyWebhookHmac(Buffer.from('{"id":2}'), hmac, store), false);
+  assert.equal(verifyWebhookHmac(body, hmac.slice(0, 20), store), false);
+  assert.equal(verifyWebhookHmac(body, undefined, store), false);
+  assert.equal(verifyWebhookHmac(undefined, hmac, store), false);
+});
+
+test('rejects everything for a store without a secret', () => {
+  const body = Buffer.from('{"id":1}');
+  assert.equal(verifyWebhookHmac(body, sign(body, ''), { id: 'bare' }), false);
+});
+
+async function deliver(shopDomain, body, hmac) {
+  const headers = { 'Content-Type': 'application/json', 'X-Shopify-Topic': 'products/delete' };
+  if (shopDomain) headers['X-Shopify-Shop-Domain'] = shopDomain;
+  if (hmac) headers['X-Shopify-Hmac-Sha256'] = hmac;
+  const response = await fetch(`${baseUrl}/api/webhooks/products/delete`, { method: 'POST', headers, body });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the route rejects an unknown or missing shop', async () => {
+  const body = '{"id":1}';
+
+  assert.deepEqual(await deliver('elsewhere.myshopify.com', body, sign(body, 'client-secret')), { status: 401, body: { error: 'Unknown shop' } });
+  assert.deepEqual(await deliver(null, body, sign(body, 'client-secret')), { status: 401, body: { error: 'Unknown shop' } });
+});
+
+test('the route rejects a bad or missing signature', async () => {
+  const body = '{"id":1}';
+
+  assert.deepEqual(await deliver('cardsurfer.myshopify.com', body, sign(body, 'wrong-secret')), { status: 401, body: { error: 'Invalid webhook signature' } });
+  assert.deepEqual(await deliver('Cardsurfer.myshopify.com', body, sign('{"id":2}', 'client-secret')), { status: 401, body: { error: 'Invalid webhook signature' } });
+  assert.deepEqual(await deliver('cardsurfer.myshopify.com', body, null), { status: 401, body: { error: 'Invalid webhook signature' } });
+});
+
+test('skips a product payload no newer than the saved product', async () => {
+  const queries = [];
+  pool.connect = async () => ({
+    query: async (sql, params) => {
+      queries.push(sql.trim().split(/\s+/)[0]);
+      if (/FOR UPDATE/.test(sql)) {
+        assert.deepEqual(params, [100, 'main', '2026-10-01T12:00:00-04:00']);
+        return { rows: [{ stale: true }] };
+      }
+      return { rows: [] };
+    },
+    release: () => {},
+  });
+
+  const result = await handleProductUpsert({
+    id: 100,
+    title: 'Lightning Bolt [Magic 2010]',
+    handle: 'lightning-bolt-m10',
+    updated_at: '2026-10-01T12:00:00-04:00',
+    variants: [{ id: 1001, price: '1.00', inventory_quantity: 4 }],
+  }, store);
+
+  assert.deepEqual(result, { productId: 100, variantCount: 0, removedVariants: 0, skipped: true });
+  // Nothing written: no upsert and no sync_log row
+  assert.deepEqual(queries, ['BEGIN', 'SELECT', 'COMMIT']);
+});
@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// syncInventory is swapped for one the tests finish by hand, before sync-runner picks it up
+const inventorySync = require('../src/services/inventory-sync');
+let runs;
+inventorySync.syncInventory = ({ store, mode, trigger }) => new Promise((resolve, reject) => {
+  runs.push({ store: store.id, mode, trigger, resolve, reject });
+});
+const { requestSync, getSyncProgress, syncEvents } = require('../src/services/sync-runner');
+
+function store(id) {
+  return { id, shopDomain: `${id}.myshopify.com` };
+}
+
+// Let the runner's then/finally callbacks run
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// "store mode trigger" for each syncInventory call
+function runsOf() {
+  return runs.map(run => `${run.store} ${run.mode} ${run.trigger}`);
+}
+
+beforeEach(() => {
+  runs = [];
+});
+
+test('a request during a run is queued, and later ones coalesce into it', async () => {
+  assert.deepEqual(requestSync({ store: store('queue'), mode: 'incremental', trigger: 'cron' }), { status: 'started', mode: 'incremental' });
+  assert.deepEqual(requestSync({ store: store('queue'), mode: 'incremental', trigger: 'manual' }), { status: 'queued', mode: 'incremental' });
+  assert.deepEqual(requestSync({ store: store('queue'), mode: 'incremental', trigger: 'cron' }), { status: 'coalesced', mode: 'incremental' });
+  assert.deepEqual(getSyncProgress('queue').queued, { store: 'queue', mode: 'incremental', triggers: ['manual', 'cron'] });
+
+  runs[0].resolve({ store: 'queue', mode: 'incremental' });
+  await settle();
+
+  // The queued requests ran once, together
+  assert.deepEqual(runsOf(), ['queue incremental cron', 'queue incremental manual,cron']);
+  assert.equal(getSyncProgress('queue').queued, null);
+
+  runs[1].resolve({ store: 'queue', mode: 'incremental' });
+  await settle();
+  assert.equal(runs.length, 2);
+  assert.deepEqual(getSyncProgress('queue'), { running: null, queued: null });
+});
+
+test('a full request upgrades a queued incremental one, never the reverse', async () => {
+  requestSync({ store: store('upgrade'), mode: 'incremental', trigger: 'cron' });
+  requestSync({ store: store('upgrade'), mode: 'incremental', trigger: 'cron' });
+  assert.deepEqual(requestSync({ store: store('upgrade'), mode: 'full', trigger: 'manual' }), { status: 'coalesced', mode: 'full' });
+  assert.deepEqual(requestSync({ store: store('upgrade'), mode: 'incremental', trigger: 'cron' }), { status: 'coalesced', mode: 'full' });
+
+  runs[0].resolve({ store: 'upgrade', mode: 'incremental' });
+  await settle();
+  assert.deepEqual(runsOf(), ['upgrade incremental cron', 'upgrade full cron,manual,cron']);
+
+  runs[1].resolve({ store: 'upgrade', mode: 'full' });
+  await settle();
+});
+
+test('the queue runs after a failed sync too, and stores queue separately', async () => {
+  const failed = [];
+  const onFailed = (event) => failed.push(event);
+  syncEvents.on('failed', onFailed);
+
+  requestSync({ store: store('first'), mode: 'full', trigger: 'manual' });
+  assert.equal(requestSync({ store: store('second'), mode: 'full', trigger: 'manual' }).status, 'started');
+  requestSync({ store: store('first'), mode: 'incremental', trigger: 'cron' });
+
+  runs[0].reject(new Error('connection refused'));
+  await settle();
+  syncEvents.off('failed', onFailed);
+
+  // The event says only that it failed, not why
+  assert.deepEqual(failed, [{ store: 'first', mode: 'full', error: 'Sync failed - see the server log for details' }]);
+  assert.deepEqual(runsOf(), ['first full manual', 'second full manual', 'first incremental cron']);
+
+  runs[1].resolve({ store: 'second', mode: 'full' });
+  runs[2].resolve({ store: 'first', mode: 'incremental' });
+  await settle();
+});